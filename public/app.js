@@ -44,6 +44,28 @@ const api = {
     return this.request('/me');
   },
 
+  // Account endpoints
+  async changeUsername(username) {
+    return this.request('/account/username', {
+      method: 'PATCH',
+      body: JSON.stringify({ username }),
+    });
+  },
+
+  async changePassword(currentPassword, newPassword) {
+    return this.request('/account/password', {
+      method: 'PATCH',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  },
+
+  async deleteAccount(password) {
+    return this.request('/account', {
+      method: 'DELETE',
+      body: JSON.stringify({ password }),
+    });
+  },
+
   // Bucket list endpoints
   async createBucketList(name) {
     return this.request('/bucket-lists', {
@@ -67,6 +89,117 @@ const api = {
     return this.request(`/bucket-lists/${id}`);
   },
 
+  async renameBucketList(id, name) {
+    return this.request(`/bucket-lists/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  async leaveBucketList(id) {
+    return this.request(`/bucket-lists/${id}/leave`, {
+      method: 'POST',
+    });
+  },
+
+  async deleteBucketList(id) {
+    return this.request(`/bucket-lists/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async setMemberRole(id, userId, role) {
+    return this.request(`/bucket-lists/${id}/members/${userId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  async removeMember(id, userId) {
+    return this.request(`/bucket-lists/${id}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async rotateShareCode(id) {
+    return this.request(`/bucket-lists/${id}/share-code`, {
+      method: 'POST',
+    });
+  },
+
+  async updateSharing(id, joinEnabled, expiresAt) {
+    return this.request(`/bucket-lists/${id}/sharing`, {
+      method: 'PATCH',
+      body: JSON.stringify({ join_enabled: joinEnabled, share_code_expires_at: expiresAt }),
+    });
+  },
+
+  async importBucketList(format, data, name) {
+    return this.request('/bucket-lists/import', {
+      method: 'POST',
+      body: JSON.stringify({ format, data, name }),
+    });
+  },
+
+  async cloneBucketList(id, name) {
+    return this.request(`/bucket-lists/${id}/clone`, {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  async publishTemplate(id, name, description) {
+    return this.request(`/bucket-lists/${id}/template`, {
+      method: 'POST',
+      body: JSON.stringify({ name, description }),
+    });
+  },
+
+  async getTemplates() {
+    return this.request('/templates');
+  },
+
+  async useTemplate(id, name) {
+    return this.request(`/templates/${id}/use`, {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  async deleteTemplate(id) {
+    return this.request(`/templates/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Export is a file download, so it is opened as a URL rather than fetched
+  exportUrl(id, format) {
+    return `/api/bucket-lists/${id}/export?format=${format}`;
+  },
+
+  async setProgressMode(id, mode) {
+    return this.request(`/bucket-lists/${id}/progress-mode`, {
+      method: 'PATCH',
+      body: JSON.stringify({ mode }),
+    });
+  },
+
+  async getStats(id) {
+    return this.request(`/bucket-lists/${id}/stats`);
+  },
+
+  async getActivity(id, before = null) {
+    const query = before ? `?before=${before}` : '';
+    return this.request(`/bucket-lists/${id}/activity${query}`);
+  },
+
+  async setGrid(id, size, freeCenter, layout = null) {
+    return this.request(`/bucket-lists/${id}/grid`, {
+      method: 'PUT',
+      body: JSON.stringify({ size, free_center: freeCenter, layout }),
+    });
+  },
+
   // Item endpoints
   async addItem(bucketListId, payload) {
     return this.request('/items', {
@@ -75,6 +208,13 @@ const api = {
     });
   },
 
+  async addItems(bucketListId, text) {
+    return this.request('/items/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ bucket_list_id: bucketListId, text }),
+    });
+  },
+
   async toggleItem(itemId) {
     return this.request(`/items/${itemId}/toggle`, {
       method: 'PATCH',
@@ -87,25 +227,136 @@ const api = {
       body: JSON.stringify({ delta }),
     });
   },
+
+  async getCounterHistory(itemId) {
+    return this.request(`/items/${itemId}/counter-history`);
+  },
+
+  async undoCounterChange(itemId) {
+    return this.request(`/items/${itemId}/counter/undo`, {
+      method: 'POST',
+    });
+  },
+
+  async updateItem(itemId, payload) {
+    return this.request(`/items/${itemId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(payload),
+    });
+  },
+
+  async deleteItem(itemId) {
+    return this.request(`/items/${itemId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // The file is sent as the request body, not as JSON
+  async uploadAttachment(itemId, file) {
+    return this.request(`/items/${itemId}/attachments?name=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file,
+    });
+  },
+
+  async deleteAttachment(attachmentId) {
+    return this.request(`/attachments/${attachmentId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Comment endpoints
+  async getComments(itemId) {
+    return this.request(`/items/${itemId}/comments`);
+  },
+
+  async addComment(itemId, body) {
+    return this.request(`/items/${itemId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  async updateComment(commentId, body) {
+    return this.request(`/comments/${commentId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ body }),
+    });
+  },
+
+  async deleteComment(commentId) {
+    return this.request(`/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  async updateNumeric(itemId, delta) {
+    return this.request(`/items/${itemId}/numeric`, {
+      method: 'POST',
+      body: JSON.stringify({ delta }),
+    });
+  },
+
+  async vote(itemId, optionId) {
+    return this.request(`/items/${itemId}/vote`, {
+      method: 'POST',
+      body: JSON.stringify({ option_id: optionId }),
+    });
+  },
+
+  async chooseOption(itemId, optionId) {
+    return this.request(`/items/${itemId}/choose`, {
+      method: 'POST',
+      body: JSON.stringify({ option_id: optionId }),
+    });
+  },
+
+  async rateItem(itemId, stars) {
+    return this.request(`/items/${itemId}/rating`, {
+      method: 'POST',
+      body: JSON.stringify({ stars }),
+    });
+  },
+
+  async search(query) {
+    return this.request(`/search?q=${encodeURIComponent(query)}`);
+  },
+
+  async getDueItems(days = 14) {
+    return this.request(`/due-items?days=${days}`);
+  },
+
+  async getCalendarLink(id) {
+    return this.request(`/bucket-lists/${id}/calendar-link`);
+  },
+
+  async moveItem(itemId, parentItemId, position) {
+    return this.request(`/items/${itemId}/move`, {
+      method: 'POST',
+      body: JSON.stringify({ parent_item_id: parentItemId, position }),
+    });
+  },
 };
 
 // Check which page user is on
 const isDashboard = window.location.pathname.includes('dashboard.html');
 const isListPage = window.location.pathname.includes('list.html');
+const isAccountPage = window.location.pathname.includes('account.html');
 
 // Authentication check
 async function checkAuth() {
   try {
     const data = await api.getMe();
     if (data.user) {
-      if (!isDashboard && !isListPage) {
+      if (!isDashboard && !isListPage && !isAccountPage) {
         // Redirect to dashboard if logged in (on login page)
         window.location.href = 'dashboard.html';
       }
       return data.user;
     }
   } catch (error) {
-    if (isDashboard || isListPage) {
+    if (isDashboard || isListPage || isAccountPage) {
       // Redirect to login if not authenticated (on protected pages)
       window.location.href = 'index.html';
     }
@@ -118,6 +369,8 @@ if (isDashboard) {
   initDashboard();
 } else if (isListPage) {
   initListPage();
+} else if (isAccountPage) {
+  initAccountPage();
 } else {
   initAuth();
 }
@@ -185,6 +438,83 @@ function initAuth() {
 // Dashboard Functions
 let currentUser = null;
 
+// Account Page Functions
+async function initAccountPage() {
+  currentUser = await checkAuth();
+  if (!currentUser) return;
+
+  const usernameDisplay = document.getElementById('usernameDisplay');
+  const newUsername = document.getElementById('newUsername');
+  usernameDisplay.textContent = `Signed in as ${currentUser.username}`;
+  newUsername.value = currentUser.username;
+
+  document.getElementById('logoutBtn')?.addEventListener('click', async () => {
+    try {
+      await api.logout();
+      window.location.href = 'index.html';
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  });
+
+  // Success notes reuse the error line, in a friendlier colour
+  const showMessage = (element, text, isError = true) => {
+    element.textContent = text;
+    element.classList.toggle('success-message', !isError);
+  };
+
+  document.getElementById('usernameForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const messageDiv = document.getElementById('usernameMessage');
+    showMessage(messageDiv, '');
+
+    try {
+      const { user } = await api.changeUsername(newUsername.value);
+      currentUser = user;
+      usernameDisplay.textContent = `Signed in as ${user.username}`;
+      showMessage(messageDiv, 'Username changed.', false);
+    } catch (error) {
+      showMessage(messageDiv, error.message);
+    }
+  });
+
+  const passwordForm = document.getElementById('passwordForm');
+  passwordForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const messageDiv = document.getElementById('passwordMessage');
+    showMessage(messageDiv, '');
+
+    const newPassword = document.getElementById('newPassword').value;
+    if (newPassword !== document.getElementById('confirmPassword').value) {
+      showMessage(messageDiv, 'The new passwords do not match');
+      return;
+    }
+
+    try {
+      await api.changePassword(document.getElementById('currentPassword').value, newPassword);
+      passwordForm.reset();
+      showMessage(messageDiv, 'Password changed.', false);
+    } catch (error) {
+      showMessage(messageDiv, error.message);
+    }
+  });
+
+  document.getElementById('deleteAccountForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const messageDiv = document.getElementById('deleteAccountMessage');
+    showMessage(messageDiv, '');
+
+    if (!confirm('Delete your account? This cannot be undone.')) return;
+
+    try {
+      await api.deleteAccount(document.getElementById('deletePassword').value);
+      window.location.href = 'index.html';
+    } catch (error) {
+      showMessage(messageDiv, error.message);
+    }
+  });
+}
+
 async function initDashboard() {
   // Check authentication
   currentUser = await checkAuth();
@@ -243,8 +573,96 @@ async function initDashboard() {
     }
   });
 
-  // Load bucket lists
+  // Import list form
+  const importListForm = document.getElementById('importListForm');
+  importListForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('importListError');
+    errorDiv.textContent = '';
+
+    const file = document.getElementById('importFile').files[0];
+    if (!file) return;
+
+    try {
+      const bucketList = await importListFile(file);
+      window.location.href = `list.html?id=${bucketList.id}`;
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  // Search across every list
+  document.getElementById('searchForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('searchError');
+    errorDiv.textContent = '';
+    const query = document.getElementById('searchInput').value.trim();
+    if (!query) return;
+
+    try {
+      const { results } = await api.search(query);
+      renderSearchResults(results, query);
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  // Load bucket lists, due items and templates
   loadBucketLists();
+  loadDueItems();
+  loadTemplates();
+}
+
+// Search results link to the item on its list page
+function renderSearchResults(results, query) {
+  const container = document.getElementById('searchResults');
+  if (!container) return;
+
+  if (results.length === 0) {
+    container.innerHTML = '<p class="empty-message">No items found.</p>';
+    return;
+  }
+
+  container.innerHTML = results.map(item => `
+    <a class="search-result" href="list.html?id=${item.bucket_list_id}&item=${item.id}">
+      <span class="search-result-text ${item.is_checked ? 'checked' : ''}">${highlightTerms(item.text, query)}</span>
+      <span class="search-result-list">${escapeHtml(item.bucket_list_name)}</span>
+      ${item.description ? `<span class="search-result-description">${highlightTerms(item.description, query)}</span>` : ''}
+    </a>
+  `).join('');
+}
+
+// Escape text and wrap the words that start with a search term in <mark>
+function highlightTerms(text, query) {
+  const terms = query.match(/[\p{L}\p{N}]+/gu) || [];
+  if (terms.length === 0) return escapeHtml(text);
+
+  const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+  )).join('');
+}
+
+// Overdue and upcoming items from every list, linking to their list
+async function loadDueItems() {
+  const section = document.getElementById('dueSection');
+  const container = document.getElementById('dueItemsContainer');
+  if (!section || !container) return;
+
+  try {
+    const { items } = await api.getDueItems();
+    section.classList.toggle('hidden', items.length === 0);
+
+    container.innerHTML = items.map(item => `
+      <a class="due-item ${item.overdue ? 'overdue' : ''}" href="list.html?id=${item.bucket_list_id}">
+        <span class="due-item-date">${item.overdue ? 'Overdue · ' : ''}${formatDueDate(item.due_date)}</span>
+        <span class="due-item-text">${escapeHtml(item.text)}</span>
+        <span class="due-item-list">${escapeHtml(item.bucket_list_name)}</span>
+      </a>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading due items:', error);
+  }
 }
 
 async function loadBucketLists() {
@@ -261,6 +679,18 @@ async function loadBucketLists() {
       <div class="bucket-list-card" data-id="${list.id}">
         <h3>${escapeHtml(list.name)}</h3>
         <p class="share-code">Share Code: <strong>${list.share_code}</strong></p>
+        <p class="list-role">Your role: ${escapeHtml(list.role)}</p>
+        ${renderProgressBar(list.completion)}
+        <div class="card-actions">
+          ${list.role === 'owner' ? `
+            <button class="card-action-btn" data-action="rename">Rename</button>
+            <button class="card-action-btn danger" data-action="delete">Delete</button>
+            <button class="card-action-btn" data-action="template">Publish as template</button>
+          ` : ''}
+          <button class="card-action-btn" data-action="clone">Copy</button>
+          <button class="card-action-btn" data-action="export-json">Export</button>
+          <button class="card-action-btn danger" data-action="leave">Leave</button>
+        </div>
       </div>
     `).join('');
 
@@ -271,67 +701,373 @@ async function loadBucketLists() {
         window.location.href = `list.html?id=${listId}`;
       });
     });
+
+    // Card actions must not trigger navigation
+    container.querySelectorAll('.card-action-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const listId = parseInt(btn.closest('.bucket-list-card').dataset.id);
+        const list = data.bucketLists.find(l => l.id === listId);
+
+        try {
+          const changed = await runListAction(btn.dataset.action, list);
+          if (changed) loadBucketLists();
+          if (btn.dataset.action === 'template') loadTemplates();
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    });
   } catch (error) {
     console.error('Error loading bucket lists:', error);
   }
 }
 
-// List Page Functions
-let currentListId = null;
-let allItems = [];
+// Rename, leave, delete, export, copy or publish a list after asking the user.
+// Resolves to true when the list itself changed.
+async function runListAction(action, list) {
+  if (action === 'export-json' || action === 'export-csv') {
+    window.location.href = api.exportUrl(list.id, action.replace('export-', ''));
+    return false;
+  }
 
-async function initListPage() {
-  // Check authentication
-  const currentUser = await checkAuth();
-  if (!currentUser) return;
+  // Copies start with nothing checked, so open the new list right away
+  if (action === 'clone') {
+    const name = prompt('Name for the copy (checks and counters start over):', `${list.name} (copy)`);
+    if (!name || !name.trim()) return false;
+    const result = await api.cloneBucketList(list.id, name.trim());
+    window.location.href = `list.html?id=${result.bucketList.id}`;
+    return false;
+  }
 
-  // Set username display
-  const usernameDisplay = document.getElementById('usernameDisplay');
-  if (usernameDisplay) {
-    usernameDisplay.textContent = `Welcome, ${currentUser.username}`;
+  if (action === 'template') {
+    const name = prompt('Template name (everyone will be able to start a list from it):', list.name);
+    if (!name || !name.trim()) return false;
+    const description = prompt('Short description (optional):', '') || '';
+    await api.publishTemplate(list.id, name.trim(), description.trim());
+    alert(`Published "${name.trim()}" as a template.`);
+    return false;
   }
 
-  // Get list ID from URL
-  const urlParams = new URLSearchParams(window.location.search);
-  const listId = parseInt(urlParams.get('id'));
+  if (action === 'rename') {
+    const name = prompt('New name for this bucket list:', list.name);
+    if (!name || !name.trim() || name.trim() === list.name) return false;
+    await api.renameBucketList(list.id, name.trim());
+    return true;
+  }
 
-  if (!listId || isNaN(listId)) {
-    alert('Invalid list ID');
-    window.location.href = 'dashboard.html';
-    return;
+  if (action === 'leave') {
+    if (!confirm(`Leave "${list.name}"? You will need the share code to rejoin.`)) return false;
+    await api.leaveBucketList(list.id);
+    return true;
   }
 
-  currentListId = listId;
+  if (action === 'delete') {
+    if (!confirm(`Delete "${list.name}" and all of its items for every member? This cannot be undone.`)) return false;
+    await api.deleteBucketList(list.id);
+    return true;
+  }
 
-  // Logout handler
-  const logoutBtn = document.getElementById('logoutBtn');
-  logoutBtn?.addEventListener('click', async () => {
-    try {
-      await api.logout();
-      window.location.href = 'index.html';
-    } catch (error) {
-      console.error('Logout error:', error);
-    }
-  });
+  return false;
+}
+
+async function loadTemplates() {
+  const container = document.getElementById('templatesContainer');
+  if (!container) return;
+
+  try {
+    const { templates } = await api.getTemplates();
+
+    if (templates.length === 0) {
+      container.innerHTML = '<p class="empty-message">No templates yet. Owners can publish a list as a template.</p>';
+      return;
+    }
+
+    container.innerHTML = templates.map(template => `
+      <div class="template-card" data-id="${template.id}">
+        <h3>${escapeHtml(template.name)}</h3>
+        ${template.description ? `<p class="template-description">${escapeHtml(template.description)}</p>` : ''}
+        <p class="template-meta">
+          ${template.item_count} item(s)${template.grid_size ? ` · ${template.grid_size} × ${template.grid_size} bingo card` : ''}
+          · by ${escapeHtml(template.created_by_username || 'unknown')}
+        </p>
+        <div class="card-actions">
+          <button class="card-action-btn" data-action="use">Use template</button>
+          ${template.created_by === currentUser.id ? '<button class="card-action-btn danger" data-action="delete">Delete</button>' : ''}
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.template-card .card-action-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const template = templates.find(t => t.id === parseInt(btn.closest('.template-card').dataset.id));
+
+        try {
+          if (btn.dataset.action === 'use') {
+            const name = prompt('Name for your new bucket list:', template.name);
+            if (!name || !name.trim()) return;
+            const result = await api.useTemplate(template.id, name.trim());
+            window.location.href = `list.html?id=${result.bucketList.id}`;
+          } else if (btn.dataset.action === 'delete') {
+            if (!confirm(`Delete the template "${template.name}"? Lists made from it are not affected.`)) return;
+            await api.deleteTemplate(template.id);
+            loadTemplates();
+          }
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Error loading templates:', error);
+  }
+}
+
+// Create a new list from an exported .json or .csv file.
+// CSV files carry no list name, so the file name is used.
+async function importListFile(file) {
+  const format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+  const data = await file.text();
+  const name = format === 'csv' ? file.name.replace(/\.csv$/i, '') : undefined;
+  const result = await api.importBucketList(format, data, name);
+  return result.bucketList;
+}
+
+// List Page Functions
+let currentListId = null;
+let currentList = null;
+let currentMembers = [];
+let currentRole = null;
+let allItems = [];
+let currentGrid = null;
+let currentBingos = [];
+let itemsRenderPending = false;
+// Comment threads are loaded when first opened; drafts survive re-renders
+const itemComments = new Map();
+const openCommentThreads = new Set();
+const commentDrafts = new Map();
+// Counter histories are fetched whenever they are opened or change
+const counterHistories = new Map();
+const openCounterHistories = new Set();
+// "Only 2 of 5 fitted" notes after a clamped change, shown for a few seconds
+const counterNotices = new Map();
+let oldestActivityId = null;
+
+async function initListPage() {
+  // Check authentication
+  currentUser = await checkAuth();
+  if (!currentUser) return;
+
+  // Set username display
+  const usernameDisplay = document.getElementById('usernameDisplay');
+  if (usernameDisplay) {
+    usernameDisplay.textContent = `Welcome, ${currentUser.username}`;
+  }
+
+  // Get list ID from URL
+  const urlParams = new URLSearchParams(window.location.search);
+  const listId = parseInt(urlParams.get('id'));
 
-  // Load bucket list data
+  if (!listId || isNaN(listId)) {
+    alert('Invalid list ID');
+    window.location.href = 'dashboard.html';
+    return;
+  }
+
+  currentListId = listId;
+  // Search results link to a single item to highlight
+  highlightedItemId = parseInt(urlParams.get('item')) || null;
+
+  // Logout handler
+  const logoutBtn = document.getElementById('logoutBtn');
+  logoutBtn?.addEventListener('click', async () => {
+    try {
+      await api.logout();
+      window.location.href = 'index.html';
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  });
+
+  // Load bucket list data and follow live updates
   await loadListPage(listId);
+  document.getElementById(`item-${highlightedItemId}`)?.scrollIntoView({ block: 'center' });
+  subscribeToListEvents(listId);
+  loadActivity();
+  loadStats();
+
+  document.getElementById('loadMoreActivityBtn')?.addEventListener('click', () => {
+    loadActivity(oldestActivityId);
+  });
+
+  // List header actions
+  document.querySelectorAll('.list-action-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        const changed = await runListAction(btn.dataset.action, currentList);
+        if (!changed) return;
+
+        if (btn.dataset.action === 'rename') {
+          await loadListPage(currentListId);
+        } else {
+          window.location.href = 'dashboard.html';
+        }
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+  });
+
+  // Import a file as a new list and open it
+  const importFileInput = document.getElementById('importFile');
+  document.getElementById('importListBtn')?.addEventListener('click', () => {
+    importFileInput.click();
+  });
+
+  importFileInput?.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    try {
+      const bucketList = await importListFile(file);
+      window.location.href = `list.html?id=${bucketList.id}`;
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  // Sharing settings
+  document.getElementById('rotateShareCodeBtn')?.addEventListener('click', async () => {
+    const errorDiv = document.getElementById('sharingError');
+    errorDiv.textContent = '';
+    if (!confirm('Create a new share code? The current code will stop working.')) return;
+
+    try {
+      const result = await api.rotateShareCode(currentListId);
+      currentList = result.bucketList;
+      renderListPage();
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  document.getElementById('sharingForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('sharingError');
+    errorDiv.textContent = '';
+
+    const joinEnabled = document.getElementById('joinEnabled').checked;
+    const expiryValue = document.getElementById('shareCodeExpiry').value;
+
+    try {
+      const result = await api.updateSharing(
+        currentListId,
+        joinEnabled,
+        expiryValue ? new Date(expiryValue).toISOString() : null
+      );
+      currentList = result.bucketList;
+      renderListPage();
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  // Shared or individual progress (owners only)
+  document.getElementById('progressModeSelect')?.addEventListener('change', async (e) => {
+    const errorDiv = document.getElementById('progressModeError');
+    errorDiv.textContent = '';
+
+    try {
+      const result = await api.setProgressMode(currentListId, e.target.value);
+      showBingoBanner(result.bingos);
+      // Reload so every item and bingo line reflects the new mode
+      await loadListPage(currentListId);
+    } catch (error) {
+      errorDiv.textContent = error.message;
+      e.target.value = currentList.progress_mode;
+    }
+  });
+
+  // Bingo card settings
+  const gridSettingsForm = document.getElementById('gridSettingsForm');
+  const gridSizeSelect = document.getElementById('gridSize');
+  const freeCenterInput = document.getElementById('gridFreeCenter');
+
+  gridSizeSelect?.addEventListener('change', () => {
+    updateFreeCenterOption();
+  });
+
+  gridSettingsForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('gridError');
+    errorDiv.textContent = '';
+
+    const size = parseInt(gridSizeSelect.value) || null;
+
+    try {
+      const result = await api.setGrid(currentListId, size, size ? freeCenterInput.checked : false, currentGrid && currentGrid.size === size ? currentGrid.cells : null);
+      currentGrid = result.grid;
+      currentBingos = result.bingos;
+      renderListPage();
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  document.getElementById('shuffleGridBtn')?.addEventListener('click', async () => {
+    if (!currentGrid) return;
+    const errorDiv = document.getElementById('gridError');
+    errorDiv.textContent = '';
+
+    // Fisher-Yates shuffle of the placed items, leaving the free square alone
+    const itemIds = currentGrid.cells.filter(cell => cell !== null);
+    for (let i = itemIds.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [itemIds[i], itemIds[j]] = [itemIds[j], itemIds[i]];
+    }
+    const layout = currentGrid.cells.map((_, index) => index === currentGrid.free_index ? null : itemIds.shift() || null);
+
+    try {
+      const result = await api.setGrid(currentListId, currentGrid.size, currentGrid.free_center, layout);
+      currentGrid = result.grid;
+      currentBingos = result.bingos;
+      renderListPage();
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
 
   // Add item form handler
   const addItemForm = document.getElementById('addItemForm');
   const itemTypeSelect = document.getElementById('itemType');
   const parentItemGroup = document.getElementById('parentItemGroup');
   const counterTargetGroup = document.getElementById('counterTargetGroup');
+  const autoCompleteGroup = document.getElementById('autoCompleteGroup');
+  const proofRequiredGroup = document.getElementById('proofRequiredGroup');
+  const numericGroup = document.getElementById('numericGroup');
+  const choiceOptionsGroup = document.getElementById('choiceOptionsGroup');
+
+  // Show the fields that go with the item type, clearing the others
+  const showTypeFields = (type) => {
+    const groups = [
+      [counterTargetGroup, type === 'counter'],
+      [numericGroup, type === 'numeric'],
+      [choiceOptionsGroup, type === 'choice'],
+      [autoCompleteGroup, type === 'check'],
+      [proofRequiredGroup, CHECKABLE_TYPES.includes(type)]
+    ];
+    groups.forEach(([group, visible]) => {
+      if (!group) return;
+      group.style.display = visible ? 'block' : 'none';
+      if (!visible) {
+        group.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = false; });
+        group.querySelectorAll('input:not([type="checkbox"]), textarea').forEach(input => { input.value = ''; });
+      }
+    });
+  };
 
-  // Show/hide fields based on item type
-  itemTypeSelect?.addEventListener('change', (e) => {
-    if (e.target.value === 'counter') {
-      counterTargetGroup.style.display = 'block';
-    } else {
-      counterTargetGroup.style.display = 'none';
-      document.getElementById('counterTarget').value = '';
-    }
-  });
+  itemTypeSelect?.addEventListener('change', (e) => showTypeFields(e.target.value));
 
   addItemForm?.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -343,6 +1079,13 @@ async function initListPage() {
     const description = document.getElementById('itemDescription').value.trim();
     const parentItemId = document.getElementById('parentItemId').value || null;
     const counterTarget = document.getElementById('counterTarget').value || null;
+    const autoComplete = document.getElementById('itemAutoComplete').checked;
+    const proofRequired = document.getElementById('itemProofRequired').checked;
+    const dueDate = document.getElementById('itemDueDate').value || null;
+    const numericTarget = document.getElementById('numericTarget').value;
+    const unit = document.getElementById('numericUnit').value.trim();
+    const choiceOptions = document.getElementById('choiceOptions').value
+      .split('\n').map(option => option.trim()).filter(Boolean);
 
     if (!text) {
       errorDiv.textContent = 'Title is required';
@@ -355,22 +1098,82 @@ async function initListPage() {
         type,
         description: description || null,
         parent_item_id: parentItemId ? parseInt(parentItemId) : null,
-        counter_target: counterTarget ? parseInt(counterTarget) : null
+        counter_target: counterTarget ? parseInt(counterTarget) : null,
+        auto_complete: autoComplete,
+        proof_required: proofRequired,
+        due_date: dueDate
       };
+      if (type === 'numeric') {
+        payload.numeric_target = numericTarget ? parseFloat(numericTarget) : null;
+        payload.unit = unit || null;
+      }
+      if (type === 'choice') {
+        payload.options = choiceOptions;
+      }
+
+      const result = await api.addItem(currentListId, payload);
+      upsertItem(result.item);
+      result.parents.forEach(upsertItem);
 
-      await api.addItem(currentListId, payload);
-      
       // Reset form
       document.getElementById('itemText').value = '';
       document.getElementById('itemDescription').value = '';
       document.getElementById('parentItemId').value = '';
       document.getElementById('counterTarget').value = '';
+      document.getElementById('itemAutoComplete').checked = false;
+      document.getElementById('itemProofRequired').checked = false;
+      document.getElementById('itemDueDate').value = '';
       itemTypeSelect.value = 'check';
-      counterTargetGroup.style.display = 'none';
+      showTypeFields('check');
       parentItemGroup.style.display = 'none';
 
-      // Reload list
-      await loadListPage(currentListId);
+      renderListPage();
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  // Sorting and filtering only change what this page shows
+  document.getElementById('itemSort')?.addEventListener('change', (e) => {
+    itemSort = e.target.value;
+    renderListPage();
+  });
+
+  document.getElementById('itemFilter')?.addEventListener('change', (e) => {
+    itemFilter = e.target.value;
+    renderListPage();
+  });
+
+  document.getElementById('itemStatusFilter')?.addEventListener('change', (e) => {
+    itemStatusFilter = e.target.value;
+    renderListPage();
+  });
+
+  // Calendar apps subscribe to a private feed URL
+  document.getElementById('calendarLinkBtn')?.addEventListener('click', async () => {
+    try {
+      const { url } = await api.getCalendarLink(currentListId);
+      prompt('Add this URL to your calendar app to see the due dates. Keep it private: anyone with it can read them.', url);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  // Bulk entry: the server turns the pasted outline into items
+  document.getElementById('bulkAddForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('bulkAddError');
+    errorDiv.textContent = '';
+
+    const textInput = document.getElementById('bulkItemsText');
+    if (!textInput.value.trim()) return;
+
+    try {
+      const result = await api.addItems(currentListId, textInput.value);
+      result.items.forEach(upsertItem);
+      result.parents.forEach(upsertItem);
+      textInput.value = '';
+      renderListPage();
     } catch (error) {
       errorDiv.textContent = error.message;
     }
@@ -381,24 +1184,14 @@ async function loadListPage(listId) {
   try {
     const data = await api.getBucketList(listId);
 
-    // Set title
-    document.getElementById('listTitle').textContent = escapeHtml(data.bucketList.name);
-
-    // Set share code
-    document.getElementById('shareCodeDisplay').textContent = data.bucketList.share_code;
-
-    // Set members
-    const membersText = data.members.map(m => escapeHtml(m.username)).join(', ');
-    document.getElementById('membersDisplay').textContent = membersText || 'None';
-
-    // Store items for parent selection
+    currentList = data.bucketList;
+    currentMembers = data.members;
+    currentRole = data.role;
     allItems = data.items;
+    currentGrid = data.grid;
+    currentBingos = data.bingos;
 
-    // Update parent item dropdown
-    updateParentItemDropdown(data.items);
-
-    // Load items with hierarchical rendering
-    loadItemsHierarchical(data.items);
+    renderListPage();
   } catch (error) {
     console.error('Error loading bucket list:', error);
     alert('Failed to load bucket list: ' + error.message);
@@ -406,26 +1199,666 @@ async function loadListPage(listId) {
   }
 }
 
+// Redraw the list page from the current state
+function renderListPage() {
+  // Set title
+  document.getElementById('listTitle').textContent = currentList.name;
+
+  // Hide what the current role is not allowed to do
+  const isOwner = currentRole === 'owner';
+  document.querySelector('.list-action-btn[data-action="rename"]')?.classList.toggle('hidden', !isOwner);
+  document.getElementById('deleteListBtn')?.classList.toggle('hidden', !isOwner);
+  document.querySelector('.list-action-btn[data-action="template"]')?.classList.toggle('hidden', !isOwner);
+  document.getElementById('gridSettingsForm')?.classList.toggle('hidden', !isOwner);
+  document.querySelector('.add-item-section')?.classList.toggle('hidden', !canEditItems());
+
+  // Set share code
+  document.getElementById('shareCodeDisplay').textContent = currentList.share_code;
+  renderSharingSettings();
+
+  const progressModeSelect = document.getElementById('progressModeSelect');
+  if (progressModeSelect) {
+    progressModeSelect.value = currentList.progress_mode || 'shared';
+    progressModeSelect.disabled = !isOwner;
+  }
+
+  // Set members
+  renderMembers();
+
+  // Update parent item dropdown and the per-member filters
+  updateParentItemDropdown(allItems);
+  updateStatusFilterOptions();
+
+  // Keep an open edit form until the user is done with it
+  if (document.querySelector('#itemsContainer .item-edit-form')) {
+    itemsRenderPending = true;
+  } else {
+    // Re-rendering replaces a comment box being typed in, so give it the focus back
+    const typingInThread = document.activeElement?.dataset?.commentItemId;
+    loadItemsHierarchical(allItems);
+    if (typingInThread) {
+      document.querySelector(`.comment-input[data-comment-item-id="${typingInThread}"]`)?.focus();
+    }
+  }
+
+  // Render bingo card if the list has one
+  syncGridSettings(currentGrid);
+  renderBingoCard(currentGrid, allItems, currentBingos);
+}
+
+function canEditItems() {
+  return currentRole === 'editor' || currentRole === 'owner';
+}
+
+function renderMembers() {
+  const container = document.getElementById('membersDisplay');
+  if (!container) return;
+
+  if (currentMembers.length === 0) {
+    container.textContent = 'None';
+    return;
+  }
+
+  const isOwner = currentRole === 'owner';
+  container.innerHTML = currentMembers.map(member => `
+    <span class="member-chip" data-user-id="${member.id}">
+      ${escapeHtml(member.username)}
+      ${isOwner ? `
+        <select class="member-role-select">
+          ${['viewer', 'editor', 'owner'].map(role => `
+            <option value="${role}" ${member.role === role ? 'selected' : ''}>${role}</option>
+          `).join('')}
+        </select>
+      ` : `<span class="member-role">${escapeHtml(member.role)}</span>`}
+      ${isOwner && member.id !== currentUser.id
+        ? '<button class="member-remove-btn" title="Remove member">&times;</button>'
+        : ''}
+    </span>
+  `).join('');
+
+  container.querySelectorAll('.member-remove-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const userId = parseInt(btn.closest('.member-chip').dataset.userId);
+      const member = currentMembers.find(m => m.id === userId);
+      if (!confirm(`Remove ${member.username} from this bucket list?`)) return;
+
+      try {
+        await api.removeMember(currentListId, userId);
+        currentMembers = currentMembers.filter(m => m.id !== userId);
+        renderMembers();
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+  });
+
+  container.querySelectorAll('.member-role-select').forEach(select => {
+    select.addEventListener('change', async () => {
+      const userId = parseInt(select.closest('.member-chip').dataset.userId);
+      try {
+        const result = await api.setMemberRole(currentListId, userId, select.value);
+        currentMembers = currentMembers.map(m => m.id === userId ? result.member : m);
+        if (userId === currentUser.id) {
+          currentRole = result.member.role;
+        }
+        renderListPage();
+      } catch (error) {
+        alert(error.message);
+        renderMembers();
+      }
+    });
+  });
+}
+
+// Share code status for everyone, settings form for owners
+function renderSharingSettings() {
+  const status = document.getElementById('shareStatus');
+  const form = document.getElementById('sharingForm');
+  const expiresAt = currentList.share_code_expires_at
+    ? new Date(currentList.share_code_expires_at.replace(' ', 'T') + 'Z')
+    : null;
+
+  if (status) {
+    if (!currentList.join_enabled) {
+      status.textContent = '(joining disabled)';
+    } else if (expiresAt && expiresAt <= new Date()) {
+      status.textContent = '(expired)';
+    } else if (expiresAt) {
+      status.textContent = `(expires ${expiresAt.toLocaleString()})`;
+    } else {
+      status.textContent = '';
+    }
+  }
+
+  if (!form) return;
+  form.classList.toggle('hidden', currentRole !== 'owner');
+  document.getElementById('joinEnabled').checked = !!currentList.join_enabled;
+
+  // datetime-local inputs work in local time without a zone
+  const expiryInput = document.getElementById('shareCodeExpiry');
+  if (expiresAt) {
+    const local = new Date(expiresAt.getTime() - expiresAt.getTimezoneOffset() * 60000);
+    expiryInput.value = local.toISOString().substring(0, 16);
+  } else {
+    expiryInput.value = '';
+  }
+}
+
+// Replace (or add) an item in the local state
+function upsertItem(item) {
+  const index = allItems.findIndex(existing => existing.id === item.id);
+  if (index === -1) {
+    allItems.push(item);
+  } else {
+    allItems[index] = item;
+  }
+}
+
+// Follow live changes made by other members
+function subscribeToListEvents(listId) {
+  const source = new EventSource(`/api/bucket-lists/${listId}/events`);
+  let reconnecting = false;
+
+  // Events may have been missed while disconnected
+  source.addEventListener('open', () => {
+    if (reconnecting) {
+      reconnecting = false;
+      loadListPage(listId);
+    }
+  });
+
+  source.addEventListener('error', () => {
+    reconnecting = true;
+  });
+
+  const handlers = {
+    'item-created': (data) => upsertItem(data.item),
+    'items-created': (data) => data.items.forEach(upsertItem),
+    'items-reordered': (data) => {
+      allItems = data.items;
+    },
+    'item-updated': (data) => upsertItem(data.item),
+    'item-toggled': (data) => upsertItem(data.item),
+    'counter-changed': (data) => {
+      upsertItem(data.item);
+      refreshCounterHistory(data.item.id);
+    },
+    'numeric-changed': (data) => upsertItem(data.item),
+    'vote-cast': (data) => upsertItem(data.item),
+    'choice-made': (data) => upsertItem(data.item),
+    'item-rated': (data) => upsertItem(data.item),
+    'item-deleted': (data) => {
+      allItems = allItems.filter(item => !data.deletedIds.includes(item.id));
+    },
+    'comment-added': (data) => addCommentToThread(data.comment, data.commentCount),
+    'comment-updated': (data) => replaceCommentInThread(data.comment),
+    'comment-deleted': (data) => removeCommentFromThread(data.itemId, data.commentId, data.commentCount),
+    'member-joined': (data) => {
+      if (data.member && !currentMembers.some(m => m.id === data.member.id)) {
+        currentMembers.push(data.member);
+      }
+    },
+    'member-left': (data) => {
+      currentMembers = currentMembers.filter(m => m.id !== data.userId);
+      if (data.userId === currentUser.id) {
+        source.close();
+        alert('You are no longer a member of this bucket list.');
+        window.location.href = 'dashboard.html';
+      }
+    },
+    'member-updated': (data) => {
+      currentMembers = currentMembers.map(m => m.id === data.member.id ? data.member : m);
+      if (data.member.id === currentUser.id) {
+        currentRole = data.member.role;
+      }
+    },
+    'list-updated': (data) => {
+      currentList = data.bucketList;
+      // A new progress mode changes every item's state
+      if (data.items) allItems = data.items;
+    },
+    'grid-updated': () => {}
+  };
+
+  Object.entries(handlers).forEach(([type, apply]) => {
+    source.addEventListener(type, (e) => {
+      const data = JSON.parse(e.data);
+      apply(data);
+      // Auto-completing parents that changed along with the items
+      (data.parents || []).forEach(upsertItem);
+      currentGrid = data.grid;
+      currentBingos = data.allBingos;
+      renderListPage();
+
+      // The member who made the change already saw their own banner
+      if (data.actorId !== currentUser.id) {
+        showBingoBanner(data.bingos);
+      }
+    });
+  });
+
+  source.addEventListener('activity-added', (e) => {
+    const { entry } = JSON.parse(e.data);
+    const feed = document.getElementById('activityFeed');
+    feed?.querySelector('.empty-message')?.remove();
+    feed?.prepend(renderActivityEntry(entry));
+    // Every logged change may move the numbers
+    scheduleStatsRefresh();
+  });
+
+  source.addEventListener('list-deleted', () => {
+    source.close();
+    alert('This bucket list has been deleted.');
+    window.location.href = 'dashboard.html';
+  });
+
+  return source;
+}
+
 function updateParentItemDropdown(items) {
   const parentSelect = document.getElementById('parentItemId');
   if (!parentSelect) return;
 
-  // Clear existing options except "None"
+  // Clear existing options except "None", keeping the current choice
+  const selected = parentSelect.value;
   parentSelect.innerHTML = '<option value="">None (top level)</option>';
 
-  // Add top-level items as potential parents
-  items.filter(item => !item.parent_item_id).forEach(item => {
+  // Any item can be a parent, shown indented under its own parent
+  flattenItemTree(items).forEach(({ item, depth }) => {
     const option = document.createElement('option');
     option.value = item.id;
-    option.textContent = escapeHtml(item.text || item.title || 'Untitled');
+    option.textContent = indentLabel(item.text || item.title || 'Untitled', depth);
     parentSelect.appendChild(option);
   });
+  if (items.some(item => String(item.id) === selected)) {
+    parentSelect.value = selected;
+  }
+
+  // Show/hide parent item group based on whether there are items
+  const parentItemGroup = document.getElementById('parentItemGroup');
+  if (parentItemGroup && items.length > 0) {
+    parentItemGroup.style.display = 'block';
+  }
+}
+
+// Items in the order the tree shows them, with how deeply each is nested
+function flattenItemTree(items) {
+  const sorted = [...items].sort((a, b) => (a.position - b.position) || (a.id - b.id));
+  const flattened = [];
+  const addChildren = (parentId, depth) => {
+    sorted.filter(item => (item.parent_item_id || null) === parentId).forEach(item => {
+      flattened.push({ item, depth });
+      addChildren(item.id, depth + 1);
+    });
+  };
+  addChildren(null, 0);
+  return flattened;
+}
+
+// Option label for a nested item, e.g. "    ↳ Paris"
+function indentLabel(text, depth) {
+  return depth === 0 ? text : `${'\u00a0\u00a0'.repeat(depth)}↳ ${text}`;
+}
+
+// How the items section is sorted ('manual' or 'due') and filtered
+// (by due date, and by status: 'unchecked', 'checked', 'counters' or 'member:<id>')
+let itemSort = 'manual';
+let itemFilter = 'all';
+let itemStatusFilter = 'all';
+let highlightedItemId = null;
+
+// "Checked by ..." entries for the current members
+function updateStatusFilterOptions() {
+  const select = document.getElementById('itemStatusFilter');
+  if (!select) return;
+
+  select.querySelectorAll('option[data-member]').forEach(option => option.remove());
+  currentMembers.forEach(member => {
+    const option = document.createElement('option');
+    option.value = `member:${member.id}`;
+    option.dataset.member = 'true';
+    option.textContent = `Checked by ${member.username}`;
+    select.appendChild(option);
+  });
+
+  // The member may have left
+  if (!Array.from(select.options).some(option => option.value === itemStatusFilter)) {
+    itemStatusFilter = 'all';
+  }
+  select.value = itemStatusFilter;
+}
+
+// Whether a member has checked an item (their own check for individual items)
+function isCheckedBy(item, userId) {
+  if (item.type !== 'check') return false;
+  return item.progress ? !!getMemberProgress(item, userId).is_checked : !!item.is_checked && item.checked_by === userId;
+}
+
+function matchesStatusFilter(item) {
+  if (itemStatusFilter.startsWith('member:')) {
+    return isCheckedBy(item, parseInt(itemStatusFilter.slice('member:'.length)));
+  }
+  switch (itemStatusFilter) {
+    case 'unchecked':
+      return !isDoneForMe(item);
+    case 'checked':
+      return isDoneForMe(item);
+    case 'counters':
+      return item.type === 'counter';
+    default:
+      return true;
+  }
+}
+
+// Today as "YYYY-MM-DD" in local time, like the due dates
+function todayString(offsetDays = 0) {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function formatDueDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.toLocaleDateString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: year === new Date().getFullYear() ? undefined : 'numeric'
+  });
+}
+
+// Done as far as the current user is concerned (their own part of individual items)
+function isDoneForMe(item) {
+  return isStateComplete(item, item.progress ? getMemberProgress(item, currentUser.id) : item);
+}
+
+function isOverdue(item) {
+  return !!item.due_date && item.due_date < todayString() && !isDoneForMe(item);
+}
+
+function matchesItemFilter(item) {
+  return matchesDueFilter(item) && matchesStatusFilter(item);
+}
+
+function matchesDueFilter(item) {
+  switch (itemFilter) {
+    case 'overdue':
+      return isOverdue(item);
+    case 'week':
+      return !!item.due_date && item.due_date >= todayString() && item.due_date <= todayString(7) && !isDoneForMe(item);
+    case 'dated':
+      return !!item.due_date;
+    case 'undated':
+      return !item.due_date;
+    default:
+      return true;
+  }
+}
+
+function renderDueBadge(item) {
+  if (!item.due_date) return '';
+  const overdue = isOverdue(item);
+  const soon = !overdue && !isDoneForMe(item) && item.due_date <= todayString(7);
+  return `<span class="due-badge ${overdue ? 'overdue' : ''} ${soon ? 'due-soon' : ''}">Due ${formatDueDate(item.due_date)}</span>`;
+}
+
+// Open a counter's history or close it
+async function toggleCounterHistory(itemId) {
+  if (openCounterHistories.has(itemId)) {
+    openCounterHistories.delete(itemId);
+    renderListPage();
+    return;
+  }
+
+  openCounterHistories.add(itemId);
+  await refreshCounterHistory(itemId);
+}
+
+// Reload an open history, e.g. after anyone changed the counter
+async function refreshCounterHistory(itemId) {
+  if (!openCounterHistories.has(itemId)) return;
+
+  try {
+    counterHistories.set(itemId, await api.getCounterHistory(itemId));
+  } catch (error) {
+    console.error('Error loading counter history:', error);
+    openCounterHistories.delete(itemId);
+    alert('Failed to load counter history: ' + error.message);
+  }
+  renderListPage();
+}
+
+let counterNoticeTimeout = null;
+
+// Tell the member when zero or the target stopped part of their change
+// (open histories catch up from the counter-changed event)
+function noteCounterChange(result) {
+  if (!result.clamped) return;
+
+  const { delta, requested_delta: requested } = result.change;
+  const limit = requested > 0 ? `the target of ${result.item.counter_target}` : 'zero';
+  counterNotices.clear();
+  counterNotices.set(result.item.id, delta === 0
+    ? `Already at ${limit}, so nothing changed`
+    : `Only ${Math.abs(delta)} of ${Math.abs(requested)} ${requested > 0 ? 'added' : 'taken off'}: the counter stops at ${limit}`);
+
+  clearTimeout(counterNoticeTimeout);
+  counterNoticeTimeout = setTimeout(() => {
+    counterNotices.clear();
+    renderListPage();
+  }, 6000);
+}
+
+// The open history under a counter: every change, newest first, and undo for my last one
+function renderCounterHistory(item) {
+  const panel = document.createElement('div');
+  panel.className = 'counter-history';
+  const { changes = [], undoableChangeId = null } = counterHistories.get(item.id) || {};
+
+  panel.innerHTML = `
+    ${undoableChangeId && canEditItems() ? '<button class="secondary-btn counter-undo-btn">Undo my last change</button>' : ''}
+    ${changes.length === 0 ? '<p class="empty-message">No changes yet.</p>' : ''}
+    <ul class="counter-changes">
+      ${changes.map(change => {
+        // Values cut by a lowered target were never asked for
+        const targetCut = change.requested_delta === 0 && change.delta !== 0;
+        return `
+        <li class="${change.undone_at ? 'undone' : ''}">
+          <strong>${escapeHtml(change.username || 'A former member')}</strong>
+          ${change.undo_of ? 'undid a change:' : ''}
+          ${targetCut ? 'target lowered:' : ''}
+          ${change.delta > 0 ? '+' : ''}${change.delta}
+          ${change.clamped && !targetCut ? `<span class="counter-clamped" title="The counter stops at zero and its target">(asked for ${change.requested_delta > 0 ? '+' : ''}${change.requested_delta})</span>` : ''}
+          → ${change.value}
+          <span class="comment-time">${formatTimestamp(change.created_at)}</span>
+        </li>
+      `;
+      }).join('')}
+    </ul>
+  `;
+
+  panel.querySelector('.counter-undo-btn')?.addEventListener('click', async () => {
+    try {
+      const result = await api.undoCounterChange(item.id);
+      showBingoBanner(result.bingos);
+      upsertItem(result.item);
+      result.parents.forEach(upsertItem);
+      noteCounterChange(result);
+      renderListPage();
+    } catch (error) {
+      console.error('Error undoing counter change:', error);
+      alert('Failed to undo: ' + error.message);
+    }
+  });
+
+  return panel;
+}
+
+// Open a thread (loading its comments the first time) or close it
+async function toggleCommentThread(itemId) {
+  if (openCommentThreads.has(itemId)) {
+    openCommentThreads.delete(itemId);
+    renderListPage();
+    return;
+  }
+
+  if (!itemComments.has(itemId)) {
+    try {
+      const { comments } = await api.getComments(itemId);
+      itemComments.set(itemId, comments);
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      alert('Failed to load comments: ' + error.message);
+      return;
+    }
+  }
+  openCommentThreads.add(itemId);
+  renderListPage();
+}
+
+function setCommentCount(itemId, commentCount) {
+  const item = allItems.find(existing => existing.id === itemId);
+  if (item) item.comment_count = commentCount;
+}
+
+// My own comments arrive both in the response and as an event
+function addCommentToThread(comment, commentCount) {
+  setCommentCount(comment.item_id, commentCount);
+  const comments = itemComments.get(comment.item_id);
+  if (comments && !comments.some(existing => existing.id === comment.id)) {
+    comments.push(comment);
+  }
+}
+
+function replaceCommentInThread(comment) {
+  const comments = itemComments.get(comment.item_id);
+  if (comments) {
+    itemComments.set(comment.item_id, comments.map(existing => existing.id === comment.id ? comment : existing));
+  }
+}
+
+function removeCommentFromThread(itemId, commentId, commentCount) {
+  setCommentCount(itemId, commentCount);
+  const comments = itemComments.get(itemId);
+  if (comments) {
+    itemComments.set(itemId, comments.filter(existing => existing.id !== commentId));
+  }
+}
+
+// The open thread under an item: its comments, oldest first, and a box to add one
+function renderCommentThread(item) {
+  const thread = document.createElement('div');
+  thread.className = 'item-comments';
+  const comments = itemComments.get(item.id) || [];
+
+  thread.innerHTML = `
+    ${comments.length === 0 ? '<p class="empty-message">No comments yet.</p>' : ''}
+    ${comments.map(comment => `
+      <div class="comment" data-comment-id="${comment.id}">
+        <div class="comment-meta">
+          <strong>${escapeHtml(comment.username || 'A former member')}</strong>
+          <span class="comment-time">${formatTimestamp(comment.created_at)}${comment.updated_at ? ' (edited)' : ''}</span>
+          ${comment.user_id === currentUser.id ? `
+            <button class="comment-action-btn comment-edit-btn">Edit</button>
+            <button class="comment-action-btn comment-delete-btn">Delete</button>
+          ` : ''}
+        </div>
+        <div class="comment-body">${escapeHtml(comment.body)}</div>
+      </div>
+    `).join('')}
+    <form class="comment-form">
+      <textarea class="comment-input" data-comment-item-id="${item.id}" rows="2" maxlength="2000" placeholder="Write a comment"></textarea>
+      <button type="submit">Comment</button>
+    </form>
+  `;
+
+  const input = thread.querySelector('.comment-input');
+  input.value = commentDrafts.get(item.id) || '';
+  input.addEventListener('input', () => commentDrafts.set(item.id, input.value));
+
+  thread.querySelector('.comment-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const body = input.value.trim();
+    if (!body) return;
+
+    try {
+      const result = await api.addComment(item.id, body);
+      commentDrafts.delete(item.id);
+      addCommentToThread(result.comment, result.commentCount);
+      renderListPage();
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      alert('Failed to add comment: ' + error.message);
+    }
+  });
+
+  thread.querySelectorAll('.comment').forEach(commentDiv => {
+    const comment = comments.find(existing => existing.id === parseInt(commentDiv.dataset.commentId));
+
+    commentDiv.querySelector('.comment-edit-btn')?.addEventListener('click', async () => {
+      const body = prompt('Edit your comment:', comment.body);
+      if (body === null || !body.trim() || body.trim() === comment.body) return;
+
+      try {
+        const result = await api.updateComment(comment.id, body.trim());
+        replaceCommentInThread(result.comment);
+        renderListPage();
+      } catch (error) {
+        console.error('Error editing comment:', error);
+        alert('Failed to edit comment: ' + error.message);
+      }
+    });
+
+    commentDiv.querySelector('.comment-delete-btn')?.addEventListener('click', async () => {
+      if (!confirm('Delete this comment?')) return;
+
+      try {
+        const result = await api.deleteComment(comment.id);
+        removeCommentFromThread(item.id, comment.id, result.commentCount);
+        renderListPage();
+      } catch (error) {
+        console.error('Error deleting comment:', error);
+        alert('Failed to delete comment: ' + error.message);
+      }
+    });
+  });
+
+  return thread;
+}
 
-  // Show/hide parent item group based on whether there are items
-  const parentItemGroup = document.getElementById('parentItemGroup');
-  if (parentItemGroup && items.length > 0) {
-    parentItemGroup.style.display = 'block';
-  }
+// Item types that are checked off with a checkbox
+const CHECKABLE_TYPES = ['check', 'rating'];
+
+// File types the server accepts as attachments
+const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/gif,image/webp,application/pdf,text/plain';
+
+// Thumbnails for images, links for other files; whoever added a file or an owner can remove it
+function renderAttachments(item) {
+  if (!item.attachments || item.attachments.length === 0) return '';
+
+  return `
+    <div class="item-attachments">
+      ${item.attachments.map(attachment => {
+        const url = `/api/attachments/${attachment.id}`;
+        const title = `${escapeHtml(attachment.original_name)} (added by ${escapeHtml(attachment.username || 'a former member')})`;
+        const canRemove = attachment.user_id === currentUser.id || currentRole === 'owner';
+        return `
+          <div class="attachment" title="${title}">
+            <a href="${url}" target="_blank" rel="noopener">
+              ${attachment.mime_type.startsWith('image/')
+                ? `<img class="attachment-thumb" src="${url}" alt="${escapeHtml(attachment.original_name)}" loading="lazy">`
+                : `<span class="attachment-file">${escapeHtml(attachment.original_name)}</span>`}
+            </a>
+            ${canRemove ? `<button class="attachment-delete-btn" data-attachment-id="${attachment.id}" title="Remove attachment">×</button>` : ''}
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
 }
 
 function loadItemsHierarchical(items) {
@@ -440,6 +1873,33 @@ function loadItemsHierarchical(items) {
   const itemMap = new Map();
   const rootItems = [];
 
+  // Keep matching items and the parents they sit under
+  if (itemFilter !== 'all' || itemStatusFilter !== 'all') {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const visible = new Set();
+    items.filter(matchesItemFilter).forEach(item => {
+      for (let current = item; current && !visible.has(current.id); current = byId.get(current.parent_item_id)) {
+        visible.add(current.id);
+      }
+    });
+    items = items.filter(item => visible.has(item.id));
+
+    if (items.length === 0) {
+      container.innerHTML = '<p class="empty-message">No items match this filter.</p>';
+      return;
+    }
+  }
+
+  // Siblings are shown in their saved order, or soonest due first (undated last)
+  items = [...items].sort((a, b) => {
+    if (itemSort === 'due' && a.due_date !== b.due_date) {
+      if (!a.due_date) return 1;
+      if (!b.due_date) return -1;
+      return a.due_date.localeCompare(b.due_date);
+    }
+    return (a.position - b.position) || (a.id - b.id);
+  });
+
   // First pass: create map of all items
   items.forEach(item => {
     itemMap.set(item.id, { ...item, children: [] });
@@ -465,52 +1925,196 @@ function loadItemsHierarchical(items) {
 
 function renderItemNode(item, depth = 0) {
   const itemDiv = document.createElement('div');
+  itemDiv.id = `item-${item.id}`;
   itemDiv.className = `item item-${item.type || 'check'}`;
+  if (item.id === highlightedItemId) {
+    itemDiv.classList.add('highlighted');
+  }
   if (depth > 0) {
     itemDiv.classList.add('sub-item');
     itemDiv.style.marginLeft = `${depth * 30}px`;
   }
 
-  const checkedClass = item.is_checked ? 'checked' : '';
-  const checkedByText = item.is_checked && item.checked_by_username
+  const canEdit = canEditItems();
+  // Individual items show my own state, with everyone else's below
+  const state = item.progress ? getMemberProgress(item, currentUser.id) : item;
+  const checkedClass = state.is_checked ? 'checked' : '';
+  const checkedByText = !item.progress && item.is_checked && item.checked_by_username
     ? ` (checked by ${escapeHtml(item.checked_by_username)})`
     : '';
 
+  // "3 of 5 sub-items" under any item with sub-items
+  const children = item.children || [];
+  const subItemProgress = children.length > 0
+    ? `<div class="sub-item-progress">${children.filter(isItemComplete).length} of ${children.length} sub-items</div>`
+    : '';
+
   if (item.type === 'counter') {
     // Render counter item
-    const counterValue = item.counter_value || 0;
+    const counterValue = state.counter_value || 0;
     const counterTarget = item.counter_target;
     const isComplete = counterTarget && counterValue >= counterTarget;
 
     itemDiv.innerHTML = `
       <div class="item-header">
         <span class="item-text ${isComplete ? 'complete' : ''}">${escapeHtml(item.text)}</span>
+        ${renderDueBadge(item)}
         <div class="counter-controls">
-          <button class="counter-btn" data-item-id="${item.id}" data-delta="-1">-</button>
+          ${canEdit ? `<button class="counter-btn" data-item-id="${item.id}" data-delta="-1">-</button>` : ''}
           <span class="counter-value">${counterValue}${counterTarget ? ` / ${counterTarget}` : ''}</span>
-          <button class="counter-btn" data-item-id="${item.id}" data-delta="1">+</button>
+          ${canEdit ? `<button class="counter-btn" data-item-id="${item.id}" data-delta="1">+</button>` : ''}
+        </div>
+        <button class="item-history-toggle ${openCounterHistories.has(item.id) ? 'open' : ''}" title="Show or hide the changes to this counter">History</button>
+      </div>
+      ${counterNotices.has(item.id) ? `<div class="counter-notice">${escapeHtml(counterNotices.get(item.id))}</div>` : ''}
+      ${item.description ? `<div class="item-description">${escapeHtml(item.description)}</div>` : ''}
+      ${renderAttachments(item)}
+      ${isComplete ? '<span class="item-complete-badge">Complete!</span>' : ''}
+      ${subItemProgress}
+      ${item.progress ? renderMemberProgress(item) : ''}
+    `;
+  } else if (item.type === 'numeric') {
+    // Render numeric item: amounts are logged in the item's unit
+    const isComplete = isStateComplete(item, state);
+    itemDiv.innerHTML = `
+      <div class="item-header">
+        <span class="item-text ${isComplete ? 'complete' : ''}">${escapeHtml(item.text)}</span>
+        ${renderDueBadge(item)}
+        <div class="numeric-controls">
+          <span class="numeric-value">${formatNumericProgress(item, state)}</span>
+          ${canEdit ? `
+            <form class="numeric-form">
+              <input type="number" name="delta" step="any" placeholder="+ amount" aria-label="Amount to add (negative to take off)" required>
+              <button type="submit">Log</button>
+            </form>
+          ` : ''}
         </div>
       </div>
       ${item.description ? `<div class="item-description">${escapeHtml(item.description)}</div>` : ''}
+      ${renderAttachments(item)}
       ${isComplete ? '<span class="item-complete-badge">Complete!</span>' : ''}
+      ${subItemProgress}
+      ${item.progress ? renderMemberProgress(item) : ''}
+    `;
+  } else if (item.type === 'choice') {
+    // Render choice item: votes until an editor picks the winner
+    const chosen = item.options.find(option => option.id === item.chosen_option_id);
+    itemDiv.innerHTML = `
+      <div class="item-header">
+        <span class="item-text ${chosen ? 'complete' : ''}">${escapeHtml(item.text)}</span>
+        ${chosen ? `<span class="choice-chosen">Chosen: ${escapeHtml(chosen.label)}</span>` : ''}
+        ${renderDueBadge(item)}
+      </div>
+      ${item.description ? `<div class="item-description">${escapeHtml(item.description)}</div>` : ''}
+      ${renderChoiceOptions(item, canEdit)}
+      ${renderAttachments(item)}
+      ${subItemProgress}
     `;
   } else {
-    // Render checkbox item
+    // Render checkbox item (rating items are rated once checked);
+    // auto-completing parents follow their sub-items
+    const autoChecked = !!item.auto_complete && children.length > 0;
     itemDiv.innerHTML = `
       <div class="item-header">
         <input 
           type="checkbox" 
-          ${item.is_checked ? 'checked' : ''} 
+          ${state.is_checked ? 'checked' : ''} 
+          ${canEdit && !autoChecked ? '' : 'disabled'}
+          ${autoChecked ? 'title="Checked automatically once all sub-items are done"' : ''}
           data-item-id="${item.id}"
           class="item-checkbox"
         >
         <span class="item-text ${checkedClass}">${escapeHtml(item.text)}</span>
-        ${item.is_checked ? `<span class="item-checked-by">${checkedByText}</span>` : ''}
+        ${checkedByText ? `<span class="item-checked-by">${checkedByText}</span>` : ''}
+        ${item.proof_required ? '<span class="proof-badge" title="Attach a photo or file before checking this item">Proof required</span>' : ''}
+        ${renderDueBadge(item)}
       </div>
       ${item.description ? `<div class="item-description">${escapeHtml(item.description)}</div>` : ''}
+      ${item.type === 'rating' ? renderRating(item, state, canEdit) : ''}
+      ${renderAttachments(item)}
+      ${subItemProgress}
+      ${item.progress ? renderMemberProgress(item) : ''}
     `;
   }
 
+  // Everyone can open the comments, viewers included
+  const commentCount = item.comment_count || 0;
+  itemDiv.querySelector('.item-header').insertAdjacentHTML('beforeend', `
+    <button class="item-comments-toggle ${openCommentThreads.has(item.id) ? 'open' : ''}" title="Show or hide comments">
+      Comments${commentCount > 0 ? ` (${commentCount})` : ''}
+    </button>
+  `);
+  itemDiv.querySelector('.item-comments-toggle').addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleCommentThread(item.id);
+  });
+
+  // Edit/delete controls (not for viewers)
+  itemDiv.querySelector('.item-header').insertAdjacentHTML('beforeend', canEdit ? `
+    <div class="item-actions">
+      <label class="item-action-btn item-attach-btn" title="Attach a photo or file">
+        Attach<input type="file" accept="${ATTACHMENT_ACCEPT}" hidden>
+      </label>
+      <button class="item-action-btn item-edit-btn" title="Edit item">Edit</button>
+      <button class="item-action-btn item-delete-btn" title="Delete item">Delete</button>
+    </div>
+  ` : '');
+
+  itemDiv.querySelector('.item-attach-btn input')?.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const result = await api.uploadAttachment(item.id, file);
+      upsertItem(result.item);
+      renderListPage();
+    } catch (error) {
+      console.error('Error adding attachment:', error);
+      alert('Failed to attach file: ' + error.message);
+    }
+  });
+
+  itemDiv.querySelectorAll('.attachment-delete-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!confirm('Remove this attachment?')) return;
+
+      try {
+        const result = await api.deleteAttachment(parseInt(btn.dataset.attachmentId));
+        upsertItem(result.item);
+        renderListPage();
+      } catch (error) {
+        console.error('Error removing attachment:', error);
+        alert('Failed to remove attachment: ' + error.message);
+      }
+    });
+  });
+
+  itemDiv.querySelector('.item-edit-btn')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openItemEditForm(itemDiv, item);
+  });
+
+  itemDiv.querySelector('.item-delete-btn')?.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const hasChildren = item.children && item.children.length > 0;
+    const message = hasChildren
+      ? `Delete "${item.text}" and its ${item.children.length} sub-item(s)?`
+      : `Delete "${item.text}"?`;
+    if (!confirm(message)) return;
+
+    try {
+      const result = await api.deleteItem(item.id);
+      allItems = allItems.filter(existing => !result.deletedIds.includes(existing.id));
+      result.parents.forEach(upsertItem);
+      renderListPage();
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      alert('Failed to delete item: ' + error.message);
+    }
+  });
+
   // Add event handlers
   if (item.type === 'counter') {
     // Counter buttons
@@ -520,14 +2124,23 @@ function renderItemNode(item, depth = 0) {
         const itemId = parseInt(btn.dataset.itemId);
         const delta = parseInt(btn.dataset.delta);
         try {
-          await api.updateCounter(itemId, delta);
-          await loadListPage(currentListId);
+          const result = await api.updateCounter(itemId, delta);
+          showBingoBanner(result.bingos);
+          upsertItem(result.item);
+          result.parents.forEach(upsertItem);
+          noteCounterChange(result);
+          renderListPage();
         } catch (error) {
           console.error('Error updating counter:', error);
           alert('Failed to update counter: ' + error.message);
         }
       });
     });
+
+    itemDiv.querySelector('.item-history-toggle').addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleCounterHistory(item.id);
+    });
   } else {
     // Checkbox toggle
     const checkbox = itemDiv.querySelector('.item-checkbox');
@@ -535,8 +2148,11 @@ function renderItemNode(item, depth = 0) {
       checkbox.addEventListener('change', async (e) => {
         const itemId = parseInt(e.target.dataset.itemId);
         try {
-          await api.toggleItem(itemId);
-          await loadListPage(currentListId);
+          const result = await api.toggleItem(itemId);
+          showBingoBanner(result.bingos);
+          upsertItem(result.item);
+          result.parents.forEach(upsertItem);
+          renderListPage();
         } catch (error) {
           console.error('Error toggling item:', error);
           e.target.checked = !e.target.checked;
@@ -546,6 +2162,52 @@ function renderItemNode(item, depth = 0) {
     }
   }
 
+  // Numeric amounts, votes, choices and stars
+  itemDiv.querySelector('.numeric-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const delta = parseFloat(e.target.elements.delta.value);
+    if (!delta) return;
+    updateItemWith(() => api.updateNumeric(item.id, delta), 'Failed to log amount');
+  });
+
+  itemDiv.querySelectorAll('.vote-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      // Clicking my own vote again takes it back
+      const optionId = parseInt(btn.dataset.optionId);
+      const myVote = item.votes.find(vote => vote.user_id === currentUser.id);
+      updateItemWith(() => api.vote(item.id, myVote && myVote.option_id === optionId ? null : optionId), 'Failed to vote');
+    });
+  });
+
+  itemDiv.querySelectorAll('.choose-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const optionId = btn.dataset.optionId ? parseInt(btn.dataset.optionId) : null;
+      updateItemWith(() => api.chooseOption(item.id, optionId), 'Failed to choose option');
+    });
+  });
+
+  itemDiv.querySelectorAll('.star-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      // Clicking my current rating again clears it
+      const stars = parseInt(btn.dataset.stars);
+      const myRating = item.ratings.find(rating => rating.user_id === currentUser.id);
+      updateItemWith(() => api.rateItem(item.id, myRating && myRating.stars === stars ? null : stars), 'Failed to rate item');
+    });
+  });
+
+  // Dragging follows the saved order, so not while sorted by due date
+  if (canEdit && itemSort === 'manual') {
+    enableItemDragging(itemDiv, item);
+  }
+
+  if (item.type === 'counter' && openCounterHistories.has(item.id)) {
+    itemDiv.appendChild(renderCounterHistory(item));
+  }
+
+  if (openCommentThreads.has(item.id)) {
+    itemDiv.appendChild(renderCommentThread(item));
+  }
+
   // Render children recursively
   if (item.children && item.children.length > 0) {
     const childrenContainer = document.createElement('div');
@@ -559,10 +2221,747 @@ function renderItemNode(item, depth = 0) {
   return itemDiv;
 }
 
+// Run an item update and show its result (with any parents and bingo lines it completed)
+async function updateItemWith(request, failureMessage) {
+  try {
+    const result = await request();
+    showBingoBanner(result.bingos || []);
+    upsertItem(result.item);
+    (result.parents || []).forEach(upsertItem);
+    renderListPage();
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    alert(`${failureMessage}: ${error.message}`);
+  }
+}
+
+// Numbers up to two decimals, in the reader's locale
+function formatAmount(value) {
+  return Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+// "12.5 / 100 km" for a numeric item's state (the item's own or one member's)
+function formatNumericProgress(item, state) {
+  const target = item.numeric_target ? ` / ${formatAmount(item.numeric_target)}` : '';
+  const unit = item.unit ? ` ${escapeHtml(item.unit)}` : '';
+  return `${formatAmount(state.numeric_value)}${target}${unit}`;
+}
+
+// A choice item's options with their votes, and buttons to vote and to choose
+function renderChoiceOptions(item, canEdit) {
+  const myVote = item.votes.find(vote => vote.user_id === currentUser.id);
+  const decided = !!item.chosen_option_id;
+
+  return `
+    <div class="choice-options">
+      ${item.options.map(option => {
+        const voters = item.votes.filter(vote => vote.option_id === option.id);
+        const isMine = myVote && myVote.option_id === option.id;
+        return `
+          <div class="choice-option ${option.id === item.chosen_option_id ? 'chosen' : ''}">
+            <span class="choice-label">${escapeHtml(option.label)}</span>
+            <span class="choice-votes" title="${voters.map(vote => escapeHtml(vote.username)).join(', ')}">
+              ${voters.length} ${voters.length === 1 ? 'vote' : 'votes'}
+            </span>
+            ${canEdit && !decided ? `
+              <button class="choice-btn vote-btn ${isMine ? 'voted' : ''}" data-option-id="${option.id}">
+                ${isMine ? 'Voted' : 'Vote'}
+              </button>
+              <button class="choice-btn secondary-btn choose-btn" data-option-id="${option.id}" title="Settle on this option">Choose</button>
+            ` : ''}
+          </div>
+        `;
+      }).join('')}
+      ${canEdit && decided ? '<button class="choice-btn secondary-btn choose-btn" title="Undo the choice and vote again">Reopen vote</button>' : ''}
+    </div>
+  `;
+}
+
+// Stars for a rating item: everyone's average, and mine to set once I've done it
+function renderRating(item, state, canEdit) {
+  const myRating = item.ratings.find(rating => rating.user_id === currentUser.id);
+  const canRate = canEdit && isStateComplete(item, state);
+  const average = item.average_rating
+    ? `<span class="rating-average" title="${item.ratings.map(rating => `${escapeHtml(rating.username)}: ${rating.stars}`).join(', ')}">
+        ★ ${item.average_rating} (${item.ratings.length} ${item.ratings.length === 1 ? 'rating' : 'ratings'})
+      </span>`
+    : '';
+
+  if (!canRate) {
+    return average ? `<div class="item-rating">${average}</div>` : '';
+  }
+
+  return `
+    <div class="item-rating">
+      <span class="rating-stars" title="Your rating">
+        ${[1, 2, 3, 4, 5].map(stars => `
+          <button class="star-btn ${myRating && stars <= myRating.stars ? 'filled' : ''}" data-stars="${stars}" title="${stars} of 5">★</button>
+        `).join('')}
+      </span>
+      ${average}
+    </div>
+  `;
+}
+
+// Drag and drop reordering: dropping on the top or bottom quarter of an
+// item puts the dragged item before or after it, the middle makes it a sub-item
+let draggedItemId = null;
+
+function isDescendantOf(itemId, ancestorId) {
+  let item = allItems.find(candidate => candidate.id === itemId);
+  while (item && item.parent_item_id) {
+    if (item.parent_item_id === ancestorId) return true;
+    item = allItems.find(candidate => candidate.id === item.parent_item_id);
+  }
+  return false;
+}
+
+function enableItemDragging(itemDiv, item) {
+  itemDiv.draggable = true;
+
+  const clearDropMarkers = () => itemDiv.classList.remove('drop-before', 'drop-after', 'drop-inside');
+
+  // Only the item's own row counts, not its sub-items below it
+  const getDropZone = (e) => {
+    const rect = itemDiv.getBoundingClientRect();
+    const children = itemDiv.querySelector(':scope > .item-children');
+    const bottom = children ? children.getBoundingClientRect().top : rect.bottom;
+    const offset = (e.clientY - rect.top) / Math.max(bottom - rect.top, 1);
+    if (offset < 0.25) return 'before';
+    if (offset > 0.75 && !children) return 'after';
+    return 'inside';
+  };
+
+  itemDiv.addEventListener('dragstart', (e) => {
+    e.stopPropagation();
+    draggedItemId = item.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(item.id));
+    itemDiv.classList.add('dragging');
+  });
+
+  itemDiv.addEventListener('dragend', (e) => {
+    e.stopPropagation();
+    draggedItemId = null;
+    itemDiv.classList.remove('dragging');
+  });
+
+  itemDiv.addEventListener('dragover', (e) => {
+    e.stopPropagation();
+    if (!draggedItemId || draggedItemId === item.id || isDescendantOf(item.id, draggedItemId)) return;
+    e.preventDefault();
+    clearDropMarkers();
+    itemDiv.classList.add(`drop-${getDropZone(e)}`);
+  });
+
+  itemDiv.addEventListener('dragleave', (e) => {
+    e.stopPropagation();
+    clearDropMarkers();
+  });
+
+  itemDiv.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    clearDropMarkers();
+    const movedId = draggedItemId;
+    if (!movedId || movedId === item.id) return;
+
+    const zone = getDropZone(e);
+    const parentItemId = zone === 'inside' ? item.id : (item.parent_item_id || null);
+    const siblings = allItems
+      .filter(candidate => (candidate.parent_item_id || null) === parentItemId && candidate.id !== movedId)
+      .sort((a, b) => (a.position - b.position) || (a.id - b.id));
+    const position = zone === 'inside'
+      ? siblings.length
+      : siblings.findIndex(sibling => sibling.id === item.id) + (zone === 'after' ? 1 : 0);
+
+    try {
+      const result = await api.moveItem(movedId, parentItemId, position);
+      allItems = result.items;
+      showBingoBanner(result.bingos);
+      renderListPage();
+    } catch (error) {
+      console.error('Error moving item:', error);
+      alert('Failed to move item: ' + error.message);
+    }
+  });
+}
+
+// A member's own state of an individual item (zeroes when untouched)
+function getMemberProgress(item, userId) {
+  return (item.progress || []).find(state => state.user_id === userId)
+    || { user_id: userId, is_checked: 0, counter_value: 0, numeric_value: 0 };
+}
+
+// Everyone's progress on an individual item: a summary plus the other members
+function renderMemberProgress(item) {
+  const doneCount = currentMembers.filter(member => isStateComplete(item, getMemberProgress(item, member.id))).length;
+  const others = currentMembers.filter(member => member.id !== currentUser.id).map(member => {
+    const state = getMemberProgress(item, member.id);
+    let label = state.is_checked ? '✓' : '–';
+    if (item.type === 'counter') {
+      label = `${state.counter_value || 0}${item.counter_target ? ` / ${item.counter_target}` : ''}`;
+    } else if (item.type === 'numeric') {
+      label = formatNumericProgress(item, state);
+    }
+    return `
+      <span class="member-progress-chip ${isStateComplete(item, state) ? 'complete' : ''}">
+        ${escapeHtml(member.username)}: ${label}
+      </span>
+    `;
+  }).join('');
+
+  return `
+    <div class="member-progress">
+      <span class="member-progress-summary">${doneCount} of ${currentMembers.length} done</span>
+      ${others}
+    </div>
+  `;
+}
+
+function openItemEditForm(itemDiv, item) {
+  // Only one edit form per item
+  if (itemDiv.querySelector(':scope > .item-edit-form')) return;
+
+  const header = itemDiv.querySelector(':scope > .item-header');
+  const description = itemDiv.querySelector(':scope > .item-description');
+
+  // Possible parents: any other item except the item's own sub-items
+  const parentOptions = flattenItemTree(allItems)
+    .filter(({ item: other }) => other.id !== item.id && !isDescendantOf(other.id, item.id))
+    .map(({ item: other, depth }) => `
+      <option value="${other.id}" ${other.id === item.parent_item_id ? 'selected' : ''}>
+        ${indentLabel(escapeHtml(other.text), depth)}
+      </option>
+    `).join('');
+
+  const form = document.createElement('form');
+  form.className = 'item-edit-form';
+  form.innerHTML = `
+    <div class="form-group">
+      <label>Title:</label>
+      <input type="text" name="text" required>
+    </div>
+    <div class="form-group">
+      <label>Description (optional):</label>
+      <textarea name="description" rows="2">${escapeHtml(item.description || '')}</textarea>
+    </div>
+    ${item.type === 'counter' ? `
+      <div class="form-group">
+        <label>Target (optional):</label>
+        <input type="number" name="counterTarget" min="1" value="${item.counter_target || ''}" placeholder="Leave empty for no target">
+      </div>
+    ` : ''}
+    ${item.type === 'numeric' ? `
+      <div class="form-group">
+        <label>Target and unit (optional):</label>
+        <div class="numeric-fields">
+          <input type="number" name="numericTarget" min="0" step="any" value="${item.numeric_target || ''}" placeholder="Leave empty for no target">
+          <input type="text" name="unit" maxlength="20" placeholder="Unit">
+        </div>
+      </div>
+    ` : ''}
+    ${item.type === 'check' ? `
+      <div class="form-group">
+        <label class="inline-label">
+          <input type="checkbox" name="autoComplete" ${item.auto_complete ? 'checked' : ''}>
+          Check automatically once all its sub-items are done
+        </label>
+      </div>
+    ` : ''}
+    ${CHECKABLE_TYPES.includes(item.type) ? `
+      <div class="form-group">
+        <label class="inline-label">
+          <input type="checkbox" name="proofRequired" ${item.proof_required ? 'checked' : ''}>
+          Require a photo or file before it can be checked
+        </label>
+      </div>
+    ` : ''}
+    <div class="form-group">
+      <label>Due date (optional):</label>
+      <input type="date" name="dueDate" value="${item.due_date || ''}">
+    </div>
+    <div class="form-group">
+      <label>Progress:</label>
+      <select name="progressMode">
+        <option value="" ${!item.progress_mode ? 'selected' : ''}>Same as the list</option>
+        <option value="shared" ${item.progress_mode === 'shared' ? 'selected' : ''}>Shared</option>
+        <option value="individual" ${item.progress_mode === 'individual' ? 'selected' : ''}>Individual</option>
+      </select>
+    </div>
+    <div class="form-group">
+      <label>Parent Item:</label>
+      <select name="parentItemId">
+        <option value="">None (top level)</option>
+        ${parentOptions}
+      </select>
+    </div>
+    <div class="item-edit-actions">
+      <button type="submit">Save</button>
+      <button type="button" class="secondary-btn item-edit-cancel">Cancel</button>
+    </div>
+    <div class="error-message"></div>
+  `;
+  // Set from the DOM so any quotes in the title or unit come through as typed
+  form.elements.text.value = item.text;
+  if (item.type === 'numeric') {
+    form.elements.unit.value = item.unit || '';
+  }
+
+  const closeForm = () => {
+    form.remove();
+    header.classList.remove('hidden');
+    description?.classList.remove('hidden');
+
+    // Catch up on changes that arrived while editing
+    if (itemsRenderPending) {
+      itemsRenderPending = false;
+      renderListPage();
+    }
+  };
+
+  form.querySelector('.item-edit-cancel').addEventListener('click', closeForm);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = form.querySelector('.error-message');
+    errorDiv.textContent = '';
+
+    const payload = {
+      text: form.elements.text.value.trim(),
+      description: form.elements.description.value.trim() || null,
+      parent_item_id: form.elements.parentItemId.value ? parseInt(form.elements.parentItemId.value) : null,
+      progress_mode: form.elements.progressMode.value || null,
+      due_date: form.elements.dueDate.value || null
+    };
+
+    if (item.type === 'counter') {
+      const target = form.elements.counterTarget.value;
+      payload.counter_target = target ? parseInt(target) : null;
+    }
+    if (item.type === 'numeric') {
+      const target = form.elements.numericTarget.value;
+      payload.numeric_target = target ? parseFloat(target) : null;
+      payload.unit = form.elements.unit.value.trim() || null;
+    }
+    if (item.type === 'check') {
+      payload.auto_complete = form.elements.autoComplete.checked;
+    }
+    if (CHECKABLE_TYPES.includes(item.type)) {
+      payload.proof_required = form.elements.proofRequired.checked;
+    }
+
+    if (!payload.text) {
+      errorDiv.textContent = 'Title is required';
+      return;
+    }
+
+    try {
+      const result = await api.updateItem(item.id, payload);
+      showBingoBanner(result.bingos);
+      upsertItem(result.item);
+      result.parents.forEach(upsertItem);
+      closeForm();
+      renderListPage();
+    } catch (error) {
+      errorDiv.textContent = error.message;
+    }
+  });
+
+  header.classList.add('hidden');
+  description?.classList.add('hidden');
+  itemDiv.insertBefore(form, itemDiv.firstChild);
+  form.elements.text.focus();
+}
+
+// Completion bar for a { percent, completed, total } summary
+function renderProgressBar(completion) {
+  if (!completion) return '';
+  return `
+    <div class="progress-bar" title="${completion.completed} of ${completion.total} items done">
+      <div class="progress-bar-fill" style="width: ${completion.percent}%"></div>
+    </div>
+    <p class="progress-label">${completion.percent}% complete · ${completion.completed} of ${completion.total} items done</p>
+  `;
+}
+
+async function loadStats() {
+  try {
+    const { stats } = await api.getStats(currentListId);
+    renderStats(stats);
+  } catch (error) {
+    console.error('Load stats error:', error);
+  }
+}
+
+// Changes often arrive in bursts (bulk adds, quick counter taps)
+let statsRefreshTimeout = null;
+
+function scheduleStatsRefresh() {
+  clearTimeout(statsRefreshTimeout);
+  statsRefreshTimeout = setTimeout(loadStats, 500);
+}
+
+function renderStats(stats) {
+  const summary = document.getElementById('statsSummary');
+  const leaderboard = document.getElementById('leaderboard');
+  const timeline = document.getElementById('statsTimeline');
+  if (!summary || !leaderboard || !timeline) return;
+
+  summary.innerHTML = renderProgressBar(stats.completion);
+
+  leaderboard.innerHTML = stats.leaderboard.map(entry => {
+    const parts = [`${entry.checks} ${entry.checks === 1 ? 'check' : 'checks'}`];
+    if (entry.counter_steps > 0) {
+      parts.push(`${entry.counter_steps} counter ${entry.counter_steps === 1 ? 'step' : 'steps'}`);
+    }
+    return `
+      <li class="${entry.user_id === currentUser.id ? 'current-user' : ''}">
+        <span class="leaderboard-name">${escapeHtml(entry.username)}</span>
+        <span class="leaderboard-score">${parts.join(', ')}</span>
+      </li>
+    `;
+  }).join('');
+
+  if (stats.timeline.length === 0) {
+    timeline.innerHTML = '<p class="empty-message">Nothing completed yet</p>';
+    return;
+  }
+
+  // One bar per day, scaled to the busiest day
+  const busiest = Math.max(...stats.timeline.map(day => day.completions));
+  timeline.innerHTML = stats.timeline.map(day => `
+    <div class="timeline-day" title="${day.completions} completed on ${day.date} (${day.total} in total)">
+      <span class="timeline-date">${day.date}</span>
+      <div class="timeline-bar" style="width: ${Math.round((day.completions / busiest) * 100)}%"></div>
+      <span class="timeline-count">${day.completions}</span>
+    </div>
+  `).join('');
+}
+
+// Load a page of the activity feed; without `before` the feed starts over
+async function loadActivity(before = null) {
+  const feed = document.getElementById('activityFeed');
+  const loadMoreBtn = document.getElementById('loadMoreActivityBtn');
+  if (!feed) return;
+
+  try {
+    const data = await api.getActivity(currentListId, before);
+
+    if (!before) {
+      feed.innerHTML = '';
+    }
+
+    data.activity.forEach(entry => feed.appendChild(renderActivityEntry(entry)));
+
+    if (data.activity.length > 0) {
+      oldestActivityId = data.activity[data.activity.length - 1].id;
+    }
+
+    if (!feed.children.length) {
+      feed.innerHTML = '<p class="empty-message">No activity yet.</p>';
+    }
+
+    loadMoreBtn?.classList.toggle('hidden', !data.hasMore);
+  } catch (error) {
+    console.error('Error loading activity:', error);
+  }
+}
+
+function describeActivity(entry) {
+  const details = entry.details || {};
+  const itemText = `“${escapeHtml(details.text)}”`;
+
+  switch (entry.action) {
+    case 'item_created':
+      return `added ${itemText}`;
+    case 'items_bulk_created':
+      return `added ${details.count} items`;
+    case 'item_checked':
+      return `checked ${itemText}${details.individual ? ' for themselves' : ''}`;
+    case 'item_unchecked':
+      return `unchecked ${itemText}${details.individual ? ' for themselves' : ''}`;
+    case 'counter_changed': {
+      const amount = Math.abs(details.delta);
+      const progress = `${details.value}${details.target ? ` / ${details.target}` : ''}`;
+      if (details.undo) {
+        return `undid their change to ${itemText} (${details.individual ? 'their own count is' : 'now'} ${progress})`;
+      }
+      return `${details.delta > 0 ? 'added' : 'removed'} ${amount} ${details.delta > 0 ? 'to' : 'from'} ${itemText} (${details.individual ? 'their own count is' : 'now'} ${progress})`;
+    }
+    case 'numeric_changed': {
+      const unit = details.unit ? ` ${escapeHtml(details.unit)}` : '';
+      const progress = `${formatAmount(details.value)}${details.target ? ` / ${formatAmount(details.target)}` : ''}${unit}`;
+      return `${details.delta > 0 ? 'logged' : 'took off'} ${formatAmount(Math.abs(details.delta))}${unit} ${details.delta > 0 ? 'on' : 'from'} ${itemText} (${details.individual ? 'their own total is' : 'now'} ${progress})`;
+    }
+    case 'vote_cast':
+      return `voted for “${escapeHtml(details.option)}” on ${itemText}`;
+    case 'vote_withdrawn':
+      return `withdrew their vote on ${itemText}`;
+    case 'choice_made':
+      return `chose “${escapeHtml(details.option)}” for ${itemText}`;
+    case 'choice_reopened':
+      return `reopened the vote on ${itemText}`;
+    case 'item_rated':
+      return `rated ${itemText} ${details.stars} of 5`;
+    case 'rating_removed':
+      return `removed their rating of ${itemText}`;
+    case 'item_updated':
+      return `edited ${itemText} (${Object.keys(details.changes || {}).map(field => field.replace(/_/g, ' ')).join(', ')})`;
+    case 'item_moved':
+      if (!details.parent_changed) return `reordered ${itemText}`;
+      return details.parent_text
+        ? `moved ${itemText} under “${escapeHtml(details.parent_text)}”`
+        : `moved ${itemText} to the top level`;
+    case 'comment_added':
+      return `commented on ${itemText}`;
+    case 'comment_edited':
+      return `edited a comment on ${itemText}`;
+    case 'comment_deleted':
+      return `deleted a comment on ${itemText}`;
+    case 'attachment_added':
+      return `attached “${escapeHtml(details.name)}” to ${itemText}`;
+    case 'attachment_removed':
+      return `removed “${escapeHtml(details.name)}” from ${itemText}`;
+    case 'item_deleted':
+      return `deleted ${itemText}${details.deleted_count > 1 ? ` and ${details.deleted_count - 1} sub-item(s)` : ''}`;
+    case 'member_joined':
+      return 'joined the list';
+    case 'member_left':
+      return 'left the list';
+    case 'account_deleted':
+      return 'deleted their account and left the list';
+    case 'member_role_changed':
+      return `made ${escapeHtml(details.username)} ${details.to === 'owner' ? 'an' : 'a'} ${escapeHtml(details.to)}`;
+    case 'member_removed':
+      return `removed ${escapeHtml(details.username)} from the list`;
+    case 'share_code_rotated':
+      return 'created a new share code';
+    case 'sharing_updated':
+      return details.join_enabled ? 'updated the sharing settings' : 'closed the list to new members';
+    case 'list_renamed':
+      return `renamed the list from “${escapeHtml(details.from)}” to “${escapeHtml(details.to)}”`;
+    case 'progress_mode_changed':
+      return details.mode === 'individual' ? 'switched the list to individual progress' : 'switched the list to shared progress';
+    case 'list_cloned':
+      return `copied this list from “${escapeHtml(details.from)}”`;
+    case 'list_from_template':
+      return `started this list from the template “${escapeHtml(details.template)}”`;
+    case 'template_published':
+      return `published the list as the template “${escapeHtml(details.name)}”`;
+    case 'list_imported':
+      return `imported the list with ${details.item_count} item(s)`;
+    case 'grid_updated':
+      return details.size ? `set up a ${details.size} × ${details.size} bingo card` : 'turned off the bingo card';
+    default:
+      return escapeHtml(entry.action);
+  }
+}
+
+function renderActivityEntry(entry) {
+  const div = document.createElement('div');
+  div.className = 'activity-entry';
+  div.innerHTML = `
+    <span class="activity-text"><strong>${escapeHtml(entry.username || 'Someone')}</strong> ${describeActivity(entry)}</span>
+    <span class="activity-time">${formatTimestamp(entry.created_at)}</span>
+  `;
+  return div;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function formatTimestamp(timestamp) {
+  if (!timestamp) return '';
+  return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
+function syncGridSettings(grid) {
+  const gridSizeSelect = document.getElementById('gridSize');
+  const freeCenterInput = document.getElementById('gridFreeCenter');
+  if (!gridSizeSelect || !freeCenterInput) return;
+
+  gridSizeSelect.value = grid ? String(grid.size) : '';
+  freeCenterInput.checked = grid ? grid.free_center : false;
+  document.getElementById('shuffleGridBtn')?.classList.toggle('hidden', !grid);
+  updateFreeCenterOption();
+}
+
+function updateFreeCenterOption() {
+  const size = parseInt(document.getElementById('gridSize').value);
+  const freeCenterInput = document.getElementById('gridFreeCenter');
+
+  // Only odd-sized cards have a center square
+  const hasCenter = size && size % 2 === 1;
+  freeCenterInput.disabled = !hasCenter;
+  if (!hasCenter) {
+    freeCenterInput.checked = false;
+  }
+}
+
+// Whether a check state / counter value / amount (the item's own or one member's) is done
+function isStateComplete(item, state) {
+  if (item.type === 'counter') {
+    return !!item.counter_target && state.counter_value >= item.counter_target;
+  }
+  if (item.type === 'numeric') {
+    return !!item.numeric_target && state.numeric_value >= item.numeric_target;
+  }
+  if (item.type === 'choice') {
+    return !!item.chosen_option_id;
+  }
+  return !!state.is_checked;
+}
+
+// Individual items are done once every member has done them
+function isItemComplete(item) {
+  if (item.progress) {
+    return currentMembers.length > 0
+      && currentMembers.every(member => isStateComplete(item, getMemberProgress(item, member.id)));
+  }
+  return isStateComplete(item, item);
+}
+
+// Cell indexes (row-major) covered by a completed line
+function getBingoLineCells(size, bingo) {
+  const indexes = Array.from({ length: size }, (_, i) => i);
+  if (bingo.line_type === 'row') {
+    return indexes.map(i => bingo.line_index * size + i);
+  }
+  if (bingo.line_type === 'column') {
+    return indexes.map(i => i * size + bingo.line_index);
+  }
+  return indexes.map(i => i * size + (bingo.line_index === 0 ? i : size - 1 - i));
+}
+
+function describeBingoLine(bingo) {
+  if (bingo.line_type === 'diagonal') {
+    return bingo.line_index === 0 ? 'the diagonal' : 'the anti-diagonal';
+  }
+  return `${bingo.line_type} ${bingo.line_index + 1}`;
+}
+
+let bingoBannerTimeout = null;
+
+function showBingoBanner(bingos) {
+  const banner = document.getElementById('bingoBanner');
+  if (!banner || !bingos || bingos.length === 0) return;
+
+  const lines = bingos.map(describeBingoLine).join(', ');
+  const completedBy = bingos[0].completed_by_username;
+  banner.innerHTML = `
+    <strong>🎉 BINGO!</strong>
+    <span>${completedBy ? `${escapeHtml(completedBy)} completed ` : 'Completed '}${escapeHtml(lines)}</span>
+  `;
+  banner.classList.remove('hidden');
+
+  clearTimeout(bingoBannerTimeout);
+  bingoBannerTimeout = setTimeout(() => banner.classList.add('hidden'), 6000);
+}
+
+function renderBingoCard(grid, items, bingos = []) {
+  const card = document.getElementById('bingoCard');
+  const bingoCount = document.getElementById('bingoCount');
+  if (!card) return;
+
+  if (!grid) {
+    card.classList.add('hidden');
+    card.innerHTML = '';
+    if (bingoCount) bingoCount.textContent = '';
+    return;
+  }
+
+  if (bingoCount) {
+    bingoCount.textContent = bingos.length > 0
+      ? `${bingos.length} bingo${bingos.length === 1 ? '' : 's'}`
+      : '';
+  }
+
+  const canEdit = canEditItems();
+  const itemMap = new Map(items.map(item => [item.id, item]));
+  const winningCells = new Set(bingos.flatMap(bingo => getBingoLineCells(grid.size, bingo)));
+  card.classList.remove('hidden');
+  card.style.gridTemplateColumns = `repeat(${grid.size}, 1fr)`;
+  card.innerHTML = '';
+
+  grid.cells.forEach((itemId, index) => {
+    const cell = document.createElement('div');
+    cell.className = 'bingo-cell';
+    if (winningCells.has(index)) {
+      cell.classList.add('winning');
+    }
+
+    if (index === grid.free_index) {
+      cell.classList.add('free', 'marked');
+      cell.innerHTML = '<span class="bingo-cell-text">FREE</span>';
+      card.appendChild(cell);
+      return;
+    }
+
+    const item = itemMap.get(itemId);
+    if (!item) {
+      cell.classList.add('empty');
+      card.appendChild(cell);
+      return;
+    }
+
+    if (isItemComplete(item)) {
+      cell.classList.add('marked');
+    }
+
+    if (item.type === 'counter') {
+      const counterValue = (item.progress ? getMemberProgress(item, currentUser.id) : item).counter_value || 0;
+      cell.innerHTML = `
+        <span class="bingo-cell-text">${escapeHtml(item.text)}</span>
+        <div class="bingo-cell-counter">
+          ${canEdit ? '<button class="counter-btn" data-delta="-1">-</button>' : ''}
+          <span>${counterValue}${item.counter_target ? ` / ${item.counter_target}` : ''}</span>
+          ${canEdit ? '<button class="counter-btn" data-delta="1">+</button>' : ''}
+        </div>
+      `;
+
+      cell.querySelectorAll('.counter-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          try {
+            const result = await api.updateCounter(item.id, parseInt(btn.dataset.delta));
+            showBingoBanner(result.bingos);
+            upsertItem(result.item);
+            noteCounterChange(result);
+            renderListPage();
+          } catch (error) {
+            console.error('Error updating counter:', error);
+            alert('Failed to update counter: ' + error.message);
+          }
+        });
+      });
+    } else if (!canEdit || !CHECKABLE_TYPES.includes(item.type)) {
+      // Numeric and choice items are updated from the list below
+      cell.innerHTML = `<span class="bingo-cell-text">${escapeHtml(item.text)}</span>`;
+    } else {
+      cell.classList.add('clickable');
+      cell.innerHTML = `<span class="bingo-cell-text">${escapeHtml(item.text)}</span>`;
+      cell.addEventListener('click', async () => {
+        try {
+          const result = await api.toggleItem(item.id);
+          showBingoBanner(result.bingos);
+          upsertItem(result.item);
+          renderListPage();
+        } catch (error) {
+          console.error('Error toggling item:', error);
+          alert('Failed to toggle item: ' + error.message);
+        }
+      });
+    }
+
+    card.appendChild(cell);
+  });
+}
+
+// Safe both as text and inside quoted attribute values (innerHTML alone
+// leaves quotes as they are)
 function escapeHtml(text) {
   if (text === null || text === undefined) return '';
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
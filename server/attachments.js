@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Attachment files are kept on disk under random names; the database holds
+// their original names. Only these types can be uploaded, so nothing that a
+// browser would run (HTML, SVG) is ever served back.
+const ATTACHMENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+};
+
+const isImageType = (mimeType) => mimeType.startsWith('image/');
+
+// "2.5 MB" style sizes for messages
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+};
+
+// The directory is created on the first upload
+function createAttachmentStore(uploadsDir) {
+  const root = path.resolve(uploadsDir);
+
+  const pathOf = (storedName) => path.join(root, path.basename(storedName));
+
+  // Write a file and return the name it was stored under
+  const save = (buffer, mimeType) => {
+    fs.mkdirSync(root, { recursive: true });
+    const storedName = crypto.randomBytes(16).toString('hex') + ATTACHMENT_TYPES[mimeType];
+    fs.writeFileSync(pathOf(storedName), buffer);
+    return storedName;
+  };
+
+  // Files that are already gone are skipped
+  const remove = (storedNames) => {
+    storedNames.forEach(storedName => {
+      try {
+        fs.unlinkSync(pathOf(storedName));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Remove attachment error:', error);
+        }
+      }
+    });
+  };
+
+  return { pathOf, save, remove };
+}
+
+module.exports = { ATTACHMENT_TYPES, isImageType, formatSize, createAttachmentStore };
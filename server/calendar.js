@@ -0,0 +1,63 @@
+const { addDays } = require('./dates');
+
+// iCalendar (RFC 5545) feed of a list's due dates: one all-day event per item
+
+// Escape commas, semicolons, backslashes and line breaks in text values
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r\n|\r|\n/g, '\\n');
+
+// Lines may be at most 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDate = (value) => value.replace(/-/g, '');
+
+const formatTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// `isDone(item)` decides which events are marked as done
+const toICalendar = (bucketList, items, isDone = () => false) => {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bucket List//Due dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(bucketList.name)}`
+  ];
+
+  items.filter(item => item.due_date).forEach(item => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:item-${item.id}-list-${bucketList.id}@bucket-list`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(item.due_date)}`,
+      `DTEND;VALUE=DATE:${formatDate(addDays(item.due_date, 1))}`,
+      `SUMMARY:${escapeText(`${isDone(item) ? '✓ ' : ''}${item.text}`)}`
+    );
+    if (item.description) {
+      lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { toICalendar };
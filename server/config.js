@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// Settings come from (highest priority first) environment variables,
+// a JSON config file, and the defaults below. The config file is
+// config.json in the project root unless BUCKET_LIST_CONFIG points elsewhere.
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_SESSION_SECRET = 'bucket-list-secret-key-change-in-production';
+
+const defaults = {
+  port: 3000,
+  dbPath: 'bucketlist.db',
+  sessionSecret: DEFAULT_SESSION_SECRET,
+  sessionMaxAgeHours: 24,
+  uploadsDir: 'uploads',
+  maxUploadMb: 10
+};
+
+const loadConfigFile = () => {
+  const configPath = process.env.BUCKET_LIST_CONFIG
+    ? path.resolve(process.env.BUCKET_LIST_CONFIG)
+    : path.join(ROOT_DIR, 'config.json');
+
+  if (!fs.existsSync(configPath)) {
+    if (process.env.BUCKET_LIST_CONFIG) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+};
+
+const fromEnv = () => {
+  const env = {};
+  if (process.env.PORT) env.port = process.env.PORT;
+  if (process.env.DB_PATH) env.dbPath = process.env.DB_PATH;
+  if (process.env.SESSION_SECRET) env.sessionSecret = process.env.SESSION_SECRET;
+  if (process.env.SESSION_MAX_AGE_HOURS) env.sessionMaxAgeHours = process.env.SESSION_MAX_AGE_HOURS;
+  if (process.env.UPLOADS_DIR) env.uploadsDir = process.env.UPLOADS_DIR;
+  if (process.env.MAX_UPLOAD_MB) env.maxUploadMb = process.env.MAX_UPLOAD_MB;
+  return env;
+};
+
+const settings = { ...defaults, ...loadConfigFile(), ...fromEnv() };
+
+const port = parseInt(settings.port);
+const sessionMaxAgeHours = parseFloat(settings.sessionMaxAgeHours);
+const maxUploadMb = parseFloat(settings.maxUploadMb);
+
+if (isNaN(port) || port < 0 || port > 65535) {
+  throw new Error(`Invalid port: ${settings.port}`);
+}
+
+if (isNaN(sessionMaxAgeHours) || sessionMaxAgeHours <= 0) {
+  throw new Error(`Invalid session lifetime: ${settings.sessionMaxAgeHours}`);
+}
+
+if (isNaN(maxUploadMb) || maxUploadMb <= 0) {
+  throw new Error(`Invalid upload size limit: ${settings.maxUploadMb}`);
+}
+
+if (settings.sessionSecret === DEFAULT_SESSION_SECRET && process.env.NODE_ENV === 'production') {
+  console.warn('Warning: using the default session secret. Set SESSION_SECRET or sessionSecret in config.json.');
+}
+
+module.exports = {
+  port,
+  // Relative paths are resolved from the project root; ':memory:' is kept as is
+  dbPath: settings.dbPath === ':memory:' ? settings.dbPath : path.resolve(ROOT_DIR, settings.dbPath),
+  sessionSecret: settings.sessionSecret,
+  sessionMaxAge: sessionMaxAgeHours * 60 * 60 * 1000,
+  uploadsDir: path.resolve(ROOT_DIR, settings.uploadsDir),
+  maxUploadSize: Math.round(maxUploadMb * 1024 * 1024)
+};
@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Quote a value when it contains a delimiter, quote or line break
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Turn an array of objects into CSV with a header row of `columns`
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(formatField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatField(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Parse CSV text into an array of records (arrays of strings).
+// Quoted fields may contain commas, doubled quotes and line breaks.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Ignore a leading byte order mark (spreadsheet exports often add one)
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  // Last record when the text does not end with a line break
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  return records.filter(r => r.length > 1 || r[0] !== '');
+};
+
+module.exports = { toCsv, parseCsv };
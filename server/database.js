@@ -1,220 +1,1462 @@
 const Database = require('better-sqlite3');
-const path = require('path');
-
-// Initialize database
-const dbPath = path.join(__dirname, '..', 'bucketlist.db');
-const db = new Database(dbPath);
-
-// Enable foreign keys
-db.pragma('foreign_keys = ON');
-
-// Create tables if they don't exist
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS bucket_lists (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    share_code TEXT UNIQUE NOT NULL,
-    created_by INTEGER,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (created_by) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS bucket_list_members (
-    user_id INTEGER,
-    bucket_list_id INTEGER,
-    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    PRIMARY KEY (user_id, bucket_list_id),
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (bucket_list_id) REFERENCES bucket_lists(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS items (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    bucket_list_id INTEGER,
-    text TEXT NOT NULL,
-    is_checked BOOLEAN DEFAULT 0,
-    checked_by INTEGER,
-    checked_at DATETIME,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (bucket_list_id) REFERENCES bucket_lists(id),
-    FOREIGN KEY (checked_by) REFERENCES users(id)
-  );
-`);
-
-// Migrate items table to add new columns if they don't exist
-// SQLite requires separate ALTER TABLE statements for each column
-const addColumnIfNotExists = (columnName, columnDef) => {
-  try {
-    db.exec(`ALTER TABLE items ADD COLUMN ${columnName} ${columnDef}`);
-  } catch (error) {
-    // Column may already exist, which is fine
-    if (!error.message.includes('duplicate column name')) {
-      console.error(`Error adding column ${columnName}:`, error.message);
-    }
+const config = require('./config');
+const { runMigrations } = require('./migrations');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const GRID_SIZES = [3, 4, 5];
+
+// Index of the free center square, or -1 when the card has none
+const getFreeCellIndex = (size, freeCenter) => {
+  if (!freeCenter || size % 2 === 0) return -1;
+  return Math.floor((size * size) / 2);
+};
+
+// All winning lines of a card as lists of cell indexes (row-major)
+const getGridLines = (size) => {
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push({ line_type: 'row', line_index: i, cells: Array.from({ length: size }, (_, j) => i * size + j) });
+    lines.push({ line_type: 'column', line_index: i, cells: Array.from({ length: size }, (_, j) => j * size + i) });
   }
+  lines.push({ line_type: 'diagonal', line_index: 0, cells: Array.from({ length: size }, (_, j) => j * size + j) });
+  lines.push({ line_type: 'diagonal', line_index: 1, cells: Array.from({ length: size }, (_, j) => j * size + (size - 1 - j)) });
+  return lines;
 };
 
-addColumnIfNotExists('type', "TEXT DEFAULT 'check'");
-addColumnIfNotExists('description', 'TEXT');
-addColumnIfNotExists('parent_item_id', 'INTEGER');
-addColumnIfNotExists('counter_value', 'INTEGER DEFAULT 0');
-addColumnIfNotExists('counter_target', 'INTEGER');
-
-// Helper functions
-const dbHelpers = {
-  // User operations
-  createUser: (username, passwordHash) => {
-    const stmt = db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)');
-    return stmt.run(username, passwordHash);
-  },
-
-  getUserByUsername: (username) => {
-    const stmt = db.prepare('SELECT * FROM users WHERE username = ?');
-    return stmt.get(username);
-  },
-
-  getUserById: (id) => {
-    const stmt = db.prepare('SELECT id, username, created_at FROM users WHERE id = ?');
-    return stmt.get(id);
-  },
-
-  // Bucket list operations
-  createBucketList: (name, shareCode, createdBy) => {
-    const stmt = db.prepare('INSERT INTO bucket_lists (name, share_code, created_by) VALUES (?, ?, ?)');
-    const result = stmt.run(name, shareCode, createdBy);
-    // Add creator as member
-    dbHelpers.addMember(result.lastInsertRowid, createdBy);
-    return result;
-  },
-
-  getBucketListByCode: (shareCode) => {
-    const stmt = db.prepare('SELECT * FROM bucket_lists WHERE share_code = ?');
-    return stmt.get(shareCode);
-  },
-
-  getBucketListById: (id) => {
-    const stmt = db.prepare('SELECT * FROM bucket_lists WHERE id = ?');
-    return stmt.get(id);
-  },
-
-  getUserBucketLists: (userId) => {
-    const stmt = db.prepare(`
-      SELECT DISTINCT bl.* FROM bucket_lists bl
-      INNER JOIN bucket_list_members blm ON bl.id = blm.bucket_list_id
-      WHERE blm.user_id = ?
-      ORDER BY bl.created_at DESC
-    `);
-    return stmt.all(userId);
-  },
-
-  // Membership operations
-  addMember: (bucketListId, userId) => {
-    const stmt = db.prepare('INSERT OR IGNORE INTO bucket_list_members (user_id, bucket_list_id) VALUES (?, ?)');
-    // Ensure integers for proper comparison
-    return stmt.run(parseInt(userId), parseInt(bucketListId));
-  },
-
-  isMember: (bucketListId, userId) => {
-    const stmt = db.prepare('SELECT * FROM bucket_list_members WHERE bucket_list_id = ? AND user_id = ?');
-    // Ensure integers for proper comparison - SQLite is strict about type matching
-    const result = stmt.get(parseInt(bucketListId), parseInt(userId));
-    // better-sqlite3 returns undefined when no row found, but check both for safety
-    return result !== undefined && result !== null;
-  },
-
-  getMembers: (bucketListId) => {
-    const stmt = db.prepare(`
-      SELECT u.id, u.username, blm.joined_at
-      FROM users u
-      INNER JOIN bucket_list_members blm ON u.id = blm.user_id
-      WHERE blm.bucket_list_id = ?
-      ORDER BY blm.joined_at ASC
-    `);
-    return stmt.all(bucketListId);
-  },
-
-  // Item operations
-  createItem: (bucketListId, text, options = {}) => {
-    const {
-      type = 'check',
-      description = null,
-      parentItemId = null,
-      counterValue = 0,
-      counterTarget = null
-    } = options;
-
-    const stmt = db.prepare(`
-      INSERT INTO items (
-        bucket_list_id, text, type, description, parent_item_id,
-        counter_value, counter_target
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
-    `);
-    return stmt.run(
-      parseInt(bucketListId),
-      text,
-      type,
-      description || null,
-      parentItemId ? parseInt(parentItemId) : null,
-      parseInt(counterValue) || 0,
-      counterTarget ? parseInt(counterTarget) : null
-    );
-  },
-
-  getItems: (bucketListId) => {
-    const stmt = db.prepare(`
-      SELECT i.*, u.username as checked_by_username
-      FROM items i
-      LEFT JOIN users u ON i.checked_by = u.id
-      WHERE i.bucket_list_id = ?
-      ORDER BY 
-        CASE WHEN i.parent_item_id IS NULL THEN 0 ELSE 1 END,
-        i.parent_item_id,
-        i.created_at ASC
-    `);
-    return stmt.all(parseInt(bucketListId));
-  },
-
-  toggleItem: (itemId, userId, isChecked) => {
-    if (isChecked) {
-      const stmt = db.prepare('UPDATE items SET is_checked = 1, checked_by = ?, checked_at = CURRENT_TIMESTAMP WHERE id = ?');
-      return stmt.run(userId, itemId);
-    } else {
-      const stmt = db.prepare('UPDATE items SET is_checked = 0, checked_by = NULL, checked_at = NULL WHERE id = ?');
-      return stmt.run(itemId);
+// 'check' and 'rating' items are checked off; 'counter' (whole steps) and
+// 'numeric' (decimal amounts in a unit) items count toward a target;
+// 'choice' items are done once one of their options is chosen
+const ITEM_TYPES = ['check', 'counter', 'numeric', 'choice', 'rating'];
+const CHECKABLE_TYPES = ['check', 'rating'];
+
+// Numeric amounts are kept to two decimals
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// A counter change whose applied delta differs from the requested one was clamped
+const withClamped = (change) => change && { ...change, clamped: change.delta !== change.requested_delta };
+
+// 'shared': one check state / counter value for the whole list;
+// 'individual': every member keeps their own in item_progress. Choice
+// items are always shared, since the vote is about one decision.
+const PROGRESS_MODES = ['shared', 'individual'];
+
+// Whether a check state / counter value / amount (the item's own, or one
+// member's progress row) is done. Counters and numeric items only count
+// once they reach their target.
+const isStateComplete = (item, state) => {
+  if (item.type === 'counter') {
+    return !!item.counter_target && parseInt(state.counter_value) >= parseInt(item.counter_target);
+  }
+  if (item.type === 'numeric') {
+    return !!item.numeric_target && parseFloat(state.numeric_value) >= parseFloat(item.numeric_target);
+  }
+  if (item.type === 'choice') {
+    return !!item.chosen_option_id;
+  }
+  return !!state.is_checked;
+};
+
+// Individual items are done once every member has done them
+const isItemComplete = (item, memberCount) => {
+  if (item.progress) {
+    return memberCount > 0 && item.progress.filter(state => isStateComplete(item, state)).length >= memberCount;
+  }
+  return isStateComplete(item, item);
+};
+
+// How far along an item is, from 0 to 1: checks and choices are all or
+// nothing, counters and numeric items count toward their target. Individual
+// items average over the members. Without a target there is no end, so
+// those return null.
+const getItemProgress = (item, memberCount) => {
+  if ((item.type === 'counter' && !item.counter_target) || (item.type === 'numeric' && !item.numeric_target)) {
+    return null;
+  }
+  const progressOf = (state) => {
+    if (item.type === 'counter') {
+      return Math.min(parseInt(state.counter_value) || 0, item.counter_target) / item.counter_target;
     }
-  },
-
-  getItem: (itemId) => {
-    const stmt = db.prepare(`
-      SELECT i.*, u.username as checked_by_username
-      FROM items i
-      LEFT JOIN users u ON i.checked_by = u.id
-      WHERE i.id = ?
-    `);
-    return stmt.get(parseInt(itemId));
-  },
-
-  updateCounter: (itemId, delta) => {
-    const item = dbHelpers.getItem(itemId);
-    if (!item || item.type !== 'counter') {
-      throw new Error('Item not found or not a counter type');
+    if (item.type === 'numeric') {
+      return Math.min(parseFloat(state.numeric_value) || 0, item.numeric_target) / item.numeric_target;
     }
+    return isStateComplete(item, state) ? 1 : 0;
+  };
 
-    const newValue = Math.max(0, (parseInt(item.counter_value) || 0) + parseInt(delta));
-    const target = item.counter_target ? parseInt(item.counter_target) : null;
-    const clampedValue = target ? Math.min(newValue, target) : newValue;
-
-    const stmt = db.prepare('UPDATE items SET counter_value = ? WHERE id = ?');
-    return stmt.run(clampedValue, parseInt(itemId));
+  if (item.progress) {
+    if (memberCount === 0) return 0;
+    return item.progress.reduce((total, state) => total + progressOf(state), 0) / memberCount;
   }
+  return progressOf(item);
 };
 
-module.exports = { db, ...dbHelpers };
+// Open a database, creating and migrating its tables as needed.
+// Pass ':memory:' as the path for a throwaway database (e.g. in tests).
+function createDatabase(dbPath = config.dbPath) {
+  const db = new Database(dbPath);
+
+  // Enable foreign keys
+  db.pragma('foreign_keys = ON');
+
+  // Bring the schema up to date
+  runMigrations(db);
+
+  // Items whose effective mode is individual get a `progress` array with
+  // the state of every current member who has touched them; others get null
+  const attachProgress = (items) => {
+    const individualIds = items.filter(item => item.individual).map(item => item.id);
+    const rows = individualIds.length === 0 ? [] : db.prepare(`
+      SELECT ip.item_id, ip.user_id, u.username, ip.is_checked, ip.checked_at, ip.counter_value, ip.numeric_value
+      FROM item_progress ip
+      INNER JOIN items i ON i.id = ip.item_id
+      INNER JOIN bucket_list_members blm ON blm.bucket_list_id = i.bucket_list_id AND blm.user_id = ip.user_id
+      INNER JOIN users u ON u.id = ip.user_id
+      WHERE ip.item_id IN (${individualIds.map(() => '?').join(', ')})
+      ORDER BY blm.joined_at ASC
+    `).all(...individualIds);
+
+    items.forEach(item => {
+      item.progress = item.individual
+        ? rows.filter(row => row.item_id === item.id).map(({ item_id, ...state }) => state)
+        : null;
+    });
+    return items;
+  };
+
+  // Every item gets its `attachments`, oldest first (without where they are stored)
+  const attachFiles = (items) => {
+    const ids = items.map(item => item.id);
+    const rows = ids.length === 0 ? [] : db.prepare(`
+      SELECT a.id, a.item_id, a.user_id, u.username, a.original_name, a.mime_type, a.size, a.created_at
+      FROM attachments a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE a.item_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY a.created_at ASC, a.id ASC
+    `).all(...ids);
+
+    items.forEach(item => {
+      item.attachments = rows.filter(row => row.item_id === item.id);
+    });
+    return items;
+  };
+
+  // Choice items get their `options` and the current members' `votes`;
+  // rating items their members' `ratings` and the `average_rating` (or null)
+  const attachTypeDetails = (items) => {
+    const idsOf = (type) => items.filter(item => item.type === type).map(item => item.id);
+    const placeholders = (ids) => ids.map(() => '?').join(', ');
+    const choiceIds = idsOf('choice');
+    const ratingIds = idsOf('rating');
+
+    const options = choiceIds.length === 0 ? [] : db.prepare(`
+      SELECT id, item_id, label FROM item_options
+      WHERE item_id IN (${placeholders(choiceIds)})
+      ORDER BY position ASC, id ASC
+    `).all(...choiceIds);
+    const votes = choiceIds.length === 0 ? [] : db.prepare(`
+      SELECT v.item_id, v.user_id, u.username, v.option_id
+      FROM item_votes v
+      INNER JOIN items i ON i.id = v.item_id
+      INNER JOIN bucket_list_members blm ON blm.bucket_list_id = i.bucket_list_id AND blm.user_id = v.user_id
+      INNER JOIN users u ON u.id = v.user_id
+      WHERE v.item_id IN (${placeholders(choiceIds)})
+      ORDER BY v.created_at ASC
+    `).all(...choiceIds);
+    const ratings = ratingIds.length === 0 ? [] : db.prepare(`
+      SELECT r.item_id, r.user_id, u.username, r.stars
+      FROM item_ratings r
+      INNER JOIN items i ON i.id = r.item_id
+      INNER JOIN bucket_list_members blm ON blm.bucket_list_id = i.bucket_list_id AND blm.user_id = r.user_id
+      INNER JOIN users u ON u.id = r.user_id
+      WHERE r.item_id IN (${placeholders(ratingIds)})
+      ORDER BY blm.joined_at ASC
+    `).all(...ratingIds);
+
+    const rowsOf = (rows, item) => rows.filter(row => row.item_id === item.id).map(({ item_id, ...row }) => row);
+    items.forEach(item => {
+      if (item.type === 'choice') {
+        item.options = rowsOf(options, item);
+        item.votes = rowsOf(votes, item);
+      }
+      if (item.type === 'rating') {
+        item.ratings = rowsOf(ratings, item);
+        item.average_rating = item.ratings.length === 0
+          ? null
+          : Math.round(item.ratings.reduce((sum, rating) => sum + rating.stars, 0) / item.ratings.length * 10) / 10;
+      }
+    });
+    return items;
+  };
+
+  // Position after the last of an item's future siblings
+  const nextPosition = (bucketListId, parentItemId) => db.prepare(`
+    SELECT COALESCE(MAX(position), -1) + 1 as position FROM items
+    WHERE bucket_list_id = ? AND parent_item_id IS ?
+  `).get(parseInt(bucketListId), parentItemId ? parseInt(parentItemId) : null).position;
+
+  // Helper functions
+  const dbHelpers = {
+    // User operations
+    createUser: (username, passwordHash) => {
+      const stmt = db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)');
+      return stmt.run(username, passwordHash);
+    },
+
+    getUserByUsername: (username) => {
+      const stmt = db.prepare('SELECT * FROM users WHERE username = ?');
+      return stmt.get(username);
+    },
+
+    getUserById: (id) => {
+      const stmt = db.prepare('SELECT id, username, created_at FROM users WHERE id = ?');
+      return stmt.get(id);
+    },
+
+    getPasswordHash: (userId) => {
+      const row = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(parseInt(userId));
+      return row ? row.password_hash : null;
+    },
+
+    updateUsername: (userId, username) => {
+      const stmt = db.prepare('UPDATE users SET username = ? WHERE id = ?');
+      return stmt.run(username, parseInt(userId));
+    },
+
+    updatePasswordHash: (userId, passwordHash) => {
+      const stmt = db.prepare('UPDATE users SET password_hash = ? WHERE id = ?');
+      return stmt.run(passwordHash, parseInt(userId));
+    },
+
+    // Removes a user and their memberships. Lists where they were the only
+    // owner pass to the longest-standing editor (or, failing that, member);
+    // lists nobody else is in are deleted. Their checks, comments, files and
+    // history stay but are no longer credited to anyone; their votes,
+    // ratings and own progress go. Returns what happened to each list, and
+    // the attachment files of deleted lists to remove from disk.
+    deleteUser: db.transaction((userId) => {
+      const id = parseInt(userId);
+      const result = { deletedListIds: [], leftListIds: [], newOwners: [], files: [] };
+
+      dbHelpers.getUserBucketLists(id).forEach(bucketList => {
+        const others = dbHelpers.getMembers(bucketList.id).filter(member => member.id !== id);
+        if (others.length === 0) {
+          result.files.push(...dbHelpers.getListAttachmentFiles(bucketList.id));
+          dbHelpers.deleteBucketList(bucketList.id);
+          result.deletedListIds.push(bucketList.id);
+          return;
+        }
+
+        if (bucketList.role === 'owner' && dbHelpers.countOwners(bucketList.id) === 1) {
+          const heir = others.find(member => member.role === 'editor') || others[0];
+          dbHelpers.setMemberRole(bucketList.id, heir.id, 'owner');
+          result.newOwners.push({ bucketListId: bucketList.id, userId: heir.id, username: heir.username, from: heir.role });
+        }
+        dbHelpers.removeMember(bucketList.id, id);
+        result.leftListIds.push(bucketList.id);
+      });
+
+      ['item_progress', 'item_votes', 'item_ratings'].forEach(table => {
+        db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(id);
+      });
+      // Only their creator can remove a template, so they go with the account
+      db.prepare('DELETE FROM templates WHERE created_by = ?').run(id);
+      [
+        ['bucket_lists', 'created_by'],
+        ['items', 'checked_by'],
+        ['bingos', 'completed_by'],
+        ['activity', 'user_id'],
+        ['attachments', 'user_id'],
+        ['item_comments', 'user_id'],
+        ['counter_changes', 'user_id']
+      ].forEach(([table, column]) => {
+        db.prepare(`UPDATE ${table} SET ${column} = NULL WHERE ${column} = ?`).run(id);
+      });
+      db.prepare('DELETE FROM users WHERE id = ?').run(id);
+      return result;
+    }),
+
+    // Bucket list operations
+    createBucketList: (name, shareCode, createdBy) => {
+      const stmt = db.prepare('INSERT INTO bucket_lists (name, share_code, created_by) VALUES (?, ?, ?)');
+      const result = stmt.run(name, shareCode, createdBy);
+      // Add creator as owner
+      dbHelpers.addMember(result.lastInsertRowid, createdBy, 'owner');
+      return result;
+    },
+
+    // Create a list with a whole item tree (see createItemTree) and optional
+    // settings { gridSize, freeCenter, progressMode }
+    importBucketList: db.transaction((name, shareCode, createdBy, items, settings = {}) => {
+      const result = dbHelpers.createBucketList(name, shareCode, createdBy);
+      if (settings.progressMode) {
+        dbHelpers.setProgressMode(result.lastInsertRowid, settings.progressMode);
+      }
+      dbHelpers.createItemTree(result.lastInsertRowid, createdBy, items);
+      if (settings.gridSize) {
+        dbHelpers.setGrid(result.lastInsertRowid, settings.gridSize, settings.freeCenter);
+      }
+      return result.lastInsertRowid;
+    }),
+
+    // Copy a list's items and settings into a new list,
+    // with every check and counter reset
+    cloneBucketList: (sourceId, name, shareCode, createdBy) => {
+      const source = dbHelpers.getBucketListById(sourceId);
+      return dbHelpers.importBucketList(name, shareCode, createdBy, dbHelpers.getItemTemplate(sourceId), {
+        gridSize: source.grid_size,
+        freeCenter: !!source.grid_free_center,
+        progressMode: source.progress_mode
+      });
+    },
+
+    getBucketListByCode: (shareCode) => {
+      const stmt = db.prepare('SELECT * FROM bucket_lists WHERE share_code = ?');
+      return stmt.get(shareCode);
+    },
+
+    getBucketListById: (id) => {
+      const stmt = db.prepare('SELECT * FROM bucket_lists WHERE id = ?');
+      return stmt.get(id);
+    },
+
+    renameBucketList: (id, name) => {
+      const stmt = db.prepare('UPDATE bucket_lists SET name = ? WHERE id = ?');
+      return stmt.run(name, parseInt(id));
+    },
+
+    // A new code starts without an expiry
+    updateShareCode: (id, shareCode) => {
+      const stmt = db.prepare('UPDATE bucket_lists SET share_code = ?, share_code_expires_at = NULL WHERE id = ?');
+      return stmt.run(shareCode, parseInt(id));
+    },
+
+    setProgressMode: (id, mode) => {
+      const stmt = db.prepare('UPDATE bucket_lists SET progress_mode = ? WHERE id = ?');
+      return stmt.run(mode, parseInt(id));
+    },
+
+    // expiresAt is a UTC 'YYYY-MM-DD HH:MM:SS' string or null for no expiry
+    updateJoinSettings: (id, joinEnabled, expiresAt) => {
+      const stmt = db.prepare('UPDATE bucket_lists SET join_enabled = ?, share_code_expires_at = ? WHERE id = ?');
+      return stmt.run(joinEnabled ? 1 : 0, expiresAt || null, parseInt(id));
+    },
+
+    // Removes the list with everything that belongs to it
+    deleteBucketList: db.transaction((id) => {
+      const bucketListId = parseInt(id);
+      db.prepare('DELETE FROM bingos WHERE bucket_list_id = ?').run(bucketListId);
+      db.prepare('DELETE FROM activity WHERE bucket_list_id = ?').run(bucketListId);
+      db.prepare('DELETE FROM item_progress WHERE item_id IN (SELECT id FROM items WHERE bucket_list_id = ?)').run(bucketListId);
+      db.prepare('DELETE FROM attachments WHERE item_id IN (SELECT id FROM items WHERE bucket_list_id = ?)').run(bucketListId);
+      db.prepare('DELETE FROM item_comments WHERE item_id IN (SELECT id FROM items WHERE bucket_list_id = ?)').run(bucketListId);
+      ['item_votes', 'item_ratings', 'item_options', 'counter_changes'].forEach(table => {
+        db.prepare(`DELETE FROM ${table} WHERE item_id IN (SELECT id FROM items WHERE bucket_list_id = ?)`).run(bucketListId);
+      });
+      db.prepare('DELETE FROM items WHERE bucket_list_id = ?').run(bucketListId);
+      db.prepare('DELETE FROM bucket_list_members WHERE bucket_list_id = ?').run(bucketListId);
+      return db.prepare('DELETE FROM bucket_lists WHERE id = ?').run(bucketListId);
+    }),
+
+    getUserBucketLists: (userId) => {
+      const stmt = db.prepare(`
+        SELECT DISTINCT bl.*, blm.role FROM bucket_lists bl
+        INNER JOIN bucket_list_members blm ON bl.id = blm.bucket_list_id
+        WHERE blm.user_id = ?
+        ORDER BY bl.created_at DESC
+      `);
+      return stmt.all(userId);
+    },
+
+    // Membership operations
+    addMember: (bucketListId, userId, role = 'editor') => {
+      const stmt = db.prepare('INSERT OR IGNORE INTO bucket_list_members (user_id, bucket_list_id, role) VALUES (?, ?, ?)');
+      // Ensure integers for proper comparison
+      return stmt.run(parseInt(userId), parseInt(bucketListId), role);
+    },
+
+    removeMember: (bucketListId, userId) => {
+      const stmt = db.prepare('DELETE FROM bucket_list_members WHERE bucket_list_id = ? AND user_id = ?');
+      return stmt.run(parseInt(bucketListId), parseInt(userId));
+    },
+
+    isMember: (bucketListId, userId) => {
+      const stmt = db.prepare('SELECT * FROM bucket_list_members WHERE bucket_list_id = ? AND user_id = ?');
+      // Ensure integers for proper comparison - SQLite is strict about type matching
+      const result = stmt.get(parseInt(bucketListId), parseInt(userId));
+      // better-sqlite3 returns undefined when no row found, but check both for safety
+      return result !== undefined && result !== null;
+    },
+
+    // Role of a member, or null for non-members
+    getMemberRole: (bucketListId, userId) => {
+      const stmt = db.prepare('SELECT role FROM bucket_list_members WHERE bucket_list_id = ? AND user_id = ?');
+      const result = stmt.get(parseInt(bucketListId), parseInt(userId));
+      return result ? result.role : null;
+    },
+
+    // Whether the user is a member with at least `minRole`
+    hasRole: (bucketListId, userId, minRole) => {
+      const role = dbHelpers.getMemberRole(bucketListId, userId);
+      return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+    },
+
+    setMemberRole: (bucketListId, userId, role) => {
+      const stmt = db.prepare('UPDATE bucket_list_members SET role = ? WHERE bucket_list_id = ? AND user_id = ?');
+      return stmt.run(role, parseInt(bucketListId), parseInt(userId));
+    },
+
+    countOwners: (bucketListId) => {
+      const stmt = db.prepare(`
+        SELECT COUNT(*) as count FROM bucket_list_members WHERE bucket_list_id = ? AND role = 'owner'
+      `);
+      return stmt.get(parseInt(bucketListId)).count;
+    },
+
+    // Calendar feed links: one secret token per member and list
+    setCalendarToken: (bucketListId, userId, token) => {
+      const stmt = db.prepare('UPDATE bucket_list_members SET calendar_token = ? WHERE bucket_list_id = ? AND user_id = ?');
+      return stmt.run(token, parseInt(bucketListId), parseInt(userId));
+    },
+
+    getCalendarToken: (bucketListId, userId) => {
+      const stmt = db.prepare('SELECT calendar_token FROM bucket_list_members WHERE bucket_list_id = ? AND user_id = ?');
+      const result = stmt.get(parseInt(bucketListId), parseInt(userId));
+      return result ? result.calendar_token : null;
+    },
+
+    // The member a calendar token belongs to, or undefined
+    getMemberByCalendarToken: (token) => {
+      const stmt = db.prepare('SELECT user_id, bucket_list_id FROM bucket_list_members WHERE calendar_token = ?');
+      return stmt.get(String(token));
+    },
+
+    getMembers: (bucketListId) => {
+      const stmt = db.prepare(`
+        SELECT u.id, u.username, blm.role, blm.joined_at
+        FROM users u
+        INNER JOIN bucket_list_members blm ON u.id = blm.user_id
+        WHERE blm.bucket_list_id = ?
+        ORDER BY blm.joined_at ASC
+      `);
+      return stmt.all(bucketListId);
+    },
+
+    // Item operations
+    createItem: (bucketListId, text, options = {}) => {
+      const {
+        type = 'check',
+        description = null,
+        parentItemId = null,
+        counterValue = 0,
+        counterTarget = null,
+        progressMode = null,
+        autoComplete = false,
+        proofRequired = false,
+        dueDate = null,
+        numericValue = 0,
+        numericTarget = null,
+        unit = null,
+        choiceOptions = [],
+        chosenOption = null
+      } = options;
+
+      // New items go after their siblings
+      const stmt = db.prepare(`
+        INSERT INTO items (
+          bucket_list_id, text, type, description, parent_item_id,
+          counter_value, counter_target, progress_mode, auto_complete, proof_required, due_date, position,
+          numeric_value, numeric_target, unit
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const result = stmt.run(
+        parseInt(bucketListId),
+        text,
+        type,
+        description || null,
+        parentItemId ? parseInt(parentItemId) : null,
+        parseInt(counterValue) || 0,
+        counterTarget ? parseInt(counterTarget) : null,
+        progressMode || null,
+        autoComplete ? 1 : 0,
+        proofRequired ? 1 : 0,
+        dueDate || null,
+        nextPosition(bucketListId, parentItemId),
+        roundAmount(parseFloat(numericValue) || 0),
+        numericTarget ? roundAmount(parseFloat(numericTarget)) : null,
+        unit || null
+      );
+
+      // Choice items can start out decided (imports), by the option's label
+      const insertOption = db.prepare('INSERT INTO item_options (item_id, label, position) VALUES (?, ?, ?)');
+      choiceOptions.forEach((label, index) => {
+        const optionId = insertOption.run(result.lastInsertRowid, label, index).lastInsertRowid;
+        if (label === chosenOption) {
+          dbHelpers.chooseOption(result.lastInsertRowid, optionId);
+        }
+      });
+
+      // New top-level items take the next free square on the bingo card
+      if (!parentItemId) {
+        dbHelpers.layoutGrid(bucketListId);
+      }
+
+      return result;
+    },
+
+    // Insert nested { text, type, description, isChecked, counterValue,
+    // counterTarget, progressMode, autoComplete, proofRequired, dueDate, numericValue,
+    // numericTarget, unit, options, chosenOption, items } nodes in one go;
+    // checked nodes are checked by `userId`. Returns the new item ids, parents before their sub-items.
+    createItemTree: db.transaction((bucketListId, userId, nodes, parentItemId = null) => {
+      const ids = [];
+      const insertNodes = (children, parentId) => {
+        children.forEach(node => {
+          const itemId = dbHelpers.createItem(bucketListId, node.text, {
+            type: node.type,
+            description: node.description,
+            parentItemId: parentId,
+            counterValue: node.counterValue,
+            counterTarget: node.counterTarget,
+            progressMode: node.progressMode,
+            autoComplete: node.autoComplete,
+            proofRequired: node.proofRequired,
+            dueDate: node.dueDate,
+            numericValue: node.numericValue,
+            numericTarget: node.numericTarget,
+            unit: node.unit,
+            choiceOptions: node.options,
+            chosenOption: node.chosenOption
+          }).lastInsertRowid;
+
+          if (node.isChecked) {
+            dbHelpers.toggleItem(itemId, userId, true);
+          }
+          ids.push(itemId);
+          insertNodes(node.items, itemId);
+        });
+      };
+      insertNodes(nodes, parentItemId);
+      return ids;
+    }),
+
+    getItems: (bucketListId) => {
+      const stmt = db.prepare(`
+        SELECT i.*, u.username as checked_by_username,
+          COALESCE(i.progress_mode, bl.progress_mode) = 'individual' AND i.type != 'choice' as individual,
+          (SELECT COUNT(*) FROM item_comments c WHERE c.item_id = i.id) as comment_count
+        FROM items i
+        INNER JOIN bucket_lists bl ON i.bucket_list_id = bl.id
+        LEFT JOIN users u ON i.checked_by = u.id
+        WHERE i.bucket_list_id = ?
+        ORDER BY 
+          CASE WHEN i.parent_item_id IS NULL THEN 0 ELSE 1 END,
+          i.parent_item_id,
+          i.position ASC,
+          i.id ASC
+      `);
+      return attachTypeDetails(attachFiles(attachProgress(stmt.all(parseInt(bucketListId)))));
+    },
+
+    // Individual items keep one state per member, shared items one for everybody
+    toggleItem: (itemId, userId, isChecked) => {
+      const item = dbHelpers.getItem(itemId);
+      if (item && item.individual) {
+        const stmt = db.prepare(`
+          INSERT INTO item_progress (item_id, user_id, is_checked, checked_at) VALUES (?, ?, ?, ?)
+          ON CONFLICT (item_id, user_id) DO UPDATE SET
+            is_checked = excluded.is_checked, checked_at = excluded.checked_at, updated_at = CURRENT_TIMESTAMP
+        `);
+        const checkedAt = isChecked ? new Date().toISOString().replace('T', ' ').substring(0, 19) : null;
+        return stmt.run(parseInt(itemId), parseInt(userId), isChecked ? 1 : 0, checkedAt);
+      }
+
+      if (isChecked) {
+        const stmt = db.prepare('UPDATE items SET is_checked = 1, checked_by = ?, checked_at = CURRENT_TIMESTAMP WHERE id = ?');
+        return stmt.run(userId, itemId);
+      } else {
+        const stmt = db.prepare('UPDATE items SET is_checked = 0, checked_by = NULL, checked_at = NULL WHERE id = ?');
+        return stmt.run(itemId);
+      }
+    },
+
+    getItem: (itemId) => {
+      const stmt = db.prepare(`
+        SELECT i.*, u.username as checked_by_username,
+          COALESCE(i.progress_mode, bl.progress_mode) = 'individual' AND i.type != 'choice' as individual,
+          (SELECT COUNT(*) FROM item_comments c WHERE c.item_id = i.id) as comment_count
+        FROM items i
+        INNER JOIN bucket_lists bl ON i.bucket_list_id = bl.id
+        LEFT JOIN users u ON i.checked_by = u.id
+        WHERE i.id = ?
+      `);
+      const item = stmt.get(parseInt(itemId));
+      return item ? attachTypeDetails(attachFiles(attachProgress([item])))[0] : item;
+    },
+
+    // A member's own state of an individual item (zeroes when untouched)
+    getMemberProgress: (item, userId) => {
+      const state = (item.progress || []).find(row => row.user_id === parseInt(userId));
+      return state || { user_id: parseInt(userId), is_checked: 0, checked_at: null, counter_value: 0, numeric_value: 0 };
+    },
+
+    // Only the fields present in `fields` are changed; `userId` is who made the edit
+    updateItem: db.transaction((itemId, fields, userId = null) => {
+      const item = dbHelpers.getItem(itemId);
+      if (!item) {
+        throw new Error('Item not found');
+      }
+
+      const updates = [];
+      const values = [];
+
+      if (fields.text !== undefined) {
+        updates.push('text = ?');
+        values.push(fields.text);
+      }
+
+      if (fields.description !== undefined) {
+        updates.push('description = ?');
+        values.push(fields.description || null);
+      }
+
+      if (fields.counterTarget !== undefined) {
+        const target = fields.counterTarget ? parseInt(fields.counterTarget) : null;
+        updates.push('counter_target = ?');
+        values.push(target);
+
+        // Keep the current value within a lowered target. The cut goes into
+        // the counter's history as a change nobody asked for (requested 0),
+        // so it shows as clamped and can't be undone.
+        if (target !== null && (parseInt(item.counter_value) || 0) > target) {
+          updates.push('counter_value = ?');
+          values.push(target);
+          if (!item.individual) {
+            dbHelpers.recordCounterChange(itemId, userId, target - parseInt(item.counter_value), 0, target);
+          }
+        }
+        if (target !== null) {
+          (item.progress || []).filter(state => state.counter_value > target).forEach(state => {
+            dbHelpers.recordCounterChange(itemId, state.user_id, target - state.counter_value, 0, target);
+          });
+          db.prepare('UPDATE item_progress SET counter_value = MIN(counter_value, ?) WHERE item_id = ?').run(target, parseInt(itemId));
+        }
+      }
+
+      if (fields.numericTarget !== undefined) {
+        const target = fields.numericTarget ? roundAmount(parseFloat(fields.numericTarget)) : null;
+        updates.push('numeric_target = ?');
+        values.push(target);
+
+        // Keep the current amount within a lowered target
+        if (target !== null && (parseFloat(item.numeric_value) || 0) > target) {
+          updates.push('numeric_value = ?');
+          values.push(target);
+        }
+        if (target !== null) {
+          db.prepare('UPDATE item_progress SET numeric_value = MIN(numeric_value, ?) WHERE item_id = ?').run(target, parseInt(itemId));
+        }
+      }
+
+      if (fields.unit !== undefined) {
+        updates.push('unit = ?');
+        values.push(fields.unit || null);
+      }
+
+      if (fields.dueDate !== undefined) {
+        updates.push('due_date = ?');
+        values.push(fields.dueDate || null);
+      }
+
+      if (fields.autoComplete !== undefined) {
+        updates.push('auto_complete = ?');
+        values.push(fields.autoComplete ? 1 : 0);
+      }
+
+      if (fields.proofRequired !== undefined) {
+        updates.push('proof_required = ?');
+        values.push(fields.proofRequired ? 1 : 0);
+      }
+
+      // null follows the list's mode
+      if (fields.progressMode !== undefined) {
+        updates.push('progress_mode = ?');
+        values.push(fields.progressMode || null);
+      }
+
+      // A new parent puts the item after its new siblings
+      if (fields.parentItemId !== undefined && (fields.parentItemId || null) !== item.parent_item_id) {
+        updates.push('parent_item_id = ?', 'position = ?');
+        values.push(
+          fields.parentItemId ? parseInt(fields.parentItemId) : null,
+          nextPosition(item.bucket_list_id, fields.parentItemId)
+        );
+      }
+
+      if (updates.length === 0) return null;
+
+      const stmt = db.prepare(`UPDATE items SET ${updates.join(', ')} WHERE id = ?`);
+      const result = stmt.run(...values, parseInt(itemId));
+
+      // Moving an item in or out of the top level changes the bingo card
+      if (fields.parentItemId !== undefined) {
+        dbHelpers.layoutGrid(item.bucket_list_id);
+      }
+
+      return result;
+    }),
+
+    // Check or uncheck auto-completing parents to match their sub-items
+    // (for individual parents, separately for every member). Fixing one
+    // parent can change its own parent, so each fix starts over from fresh
+    // item states until everything agrees. Returns the ids of the changed parents.
+    syncAutoComplete: db.transaction((bucketListId, userId) => {
+      const listId = parseInt(bucketListId);
+      const members = dbHelpers.getMembers(listId);
+      const changedIds = new Set();
+
+      const fixNextParent = () => {
+        const items = dbHelpers.getItems(listId);
+        return items.filter(item => item.auto_complete && item.type === 'check').some(parent => {
+          const children = items.filter(item => item.parent_item_id === parent.id);
+          if (children.length === 0) return false;
+
+          let fixed = false;
+          if (parent.individual) {
+            members.forEach(member => {
+              const done = children.every(child => isStateComplete(
+                child,
+                child.individual ? dbHelpers.getMemberProgress(child, member.id) : child
+              ));
+              if (!!dbHelpers.getMemberProgress(parent, member.id).is_checked !== done) {
+                dbHelpers.toggleItem(parent.id, member.id, done);
+                fixed = true;
+              }
+            });
+          } else {
+            const done = children.every(child => isItemComplete(child, members.length));
+            if (!!parent.is_checked !== done) {
+              dbHelpers.toggleItem(parent.id, userId, done);
+              fixed = true;
+            }
+          }
+
+          if (fixed) changedIds.add(parent.id);
+          return fixed;
+        });
+      };
+
+      while (fixNextParent());
+      return [...changedIds];
+    }),
+
+    // Put an item under `parentItemId` (null for the top level) at `position`
+    // among its new siblings, renumbering both the old and the new siblings
+    moveItem: db.transaction((itemId, parentItemId, position) => {
+      const item = dbHelpers.getItem(itemId);
+      if (!item) {
+        throw new Error('Item not found');
+      }
+      const newParentId = parentItemId ? parseInt(parentItemId) : null;
+
+      const siblingIds = (parentId) => db.prepare(`
+        SELECT id FROM items
+        WHERE bucket_list_id = ? AND parent_item_id IS ? AND id != ?
+        ORDER BY position ASC, id ASC
+      `).all(item.bucket_list_id, parentId, item.id).map(row => row.id);
+      const setPosition = db.prepare('UPDATE items SET parent_item_id = ?, position = ? WHERE id = ?');
+
+      if (newParentId !== item.parent_item_id) {
+        siblingIds(item.parent_item_id).forEach((id, index) => setPosition.run(item.parent_item_id, index, id));
+      }
+
+      const siblings = siblingIds(newParentId);
+      const index = Math.min(Math.max(parseInt(position) || 0, 0), siblings.length);
+      siblings.splice(index, 0, item.id);
+      siblings.forEach((id, i) => setPosition.run(newParentId, i, id));
+
+      // Moving an item in or out of the top level changes the bingo card
+      if (newParentId !== item.parent_item_id) {
+        dbHelpers.layoutGrid(item.bucket_list_id);
+      }
+    }),
+
+    // Ids of all sub-items below an item, at any depth
+    getDescendantIds: (itemId) => {
+      const stmt = db.prepare(`
+        WITH RECURSIVE descendants(id) AS (
+          SELECT id FROM items WHERE parent_item_id = ?
+          UNION ALL
+          SELECT i.id FROM items i INNER JOIN descendants d ON i.parent_item_id = d.id
+        )
+        SELECT id FROM descendants
+      `);
+      return stmt.all(parseInt(itemId)).map(row => row.id);
+    },
+
+    // Deletes an item together with all of its sub-items, returns the deleted ids
+    deleteItem: db.transaction((itemId) => {
+      const item = dbHelpers.getItem(itemId);
+      if (!item) return [];
+
+      const ids = [item.id, ...dbHelpers.getDescendantIds(item.id)];
+      const deleteProgress = db.prepare('DELETE FROM item_progress WHERE item_id = ?');
+      const deleteAttachments = db.prepare('DELETE FROM attachments WHERE item_id = ?');
+      const deleteComments = db.prepare('DELETE FROM item_comments WHERE item_id = ?');
+      const deleteVotes = db.prepare('DELETE FROM item_votes WHERE item_id = ?');
+      const deleteRatings = db.prepare('DELETE FROM item_ratings WHERE item_id = ?');
+      const deleteOptions = db.prepare('DELETE FROM item_options WHERE item_id = ?');
+      const deleteCounterChanges = db.prepare('DELETE FROM counter_changes WHERE item_id = ?');
+      const stmt = db.prepare('DELETE FROM items WHERE id = ?');
+      ids.forEach(id => {
+        deleteProgress.run(id);
+        deleteAttachments.run(id);
+        deleteComments.run(id);
+        deleteVotes.run(id);
+        deleteRatings.run(id);
+        deleteOptions.run(id);
+        deleteCounterChanges.run(id);
+        stmt.run(id);
+      });
+
+      dbHelpers.layoutGrid(item.bucket_list_id);
+      return ids;
+    }),
+
+    // Attachment operations
+    addAttachment: (itemId, userId, { storedName, originalName, mimeType, size }) => {
+      const stmt = db.prepare(`
+        INSERT INTO attachments (item_id, user_id, stored_name, original_name, mime_type, size)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      return stmt.run(parseInt(itemId), parseInt(userId), storedName, originalName, mimeType, size);
+    },
+
+    // Includes the stored name and the item's list
+    getAttachment: (attachmentId) => {
+      const stmt = db.prepare(`
+        SELECT a.*, i.bucket_list_id FROM attachments a
+        INNER JOIN items i ON i.id = a.item_id
+        WHERE a.id = ?
+      `);
+      return stmt.get(parseInt(attachmentId));
+    },
+
+    deleteAttachment: (attachmentId) => {
+      const stmt = db.prepare('DELETE FROM attachments WHERE id = ?');
+      return stmt.run(parseInt(attachmentId));
+    },
+
+    // Stored names of the files attached to the given items, or to a whole list
+    getAttachmentFiles: (itemIds) => {
+      if (itemIds.length === 0) return [];
+      const stmt = db.prepare(`SELECT stored_name FROM attachments WHERE item_id IN (${itemIds.map(() => '?').join(', ')})`);
+      return stmt.all(...itemIds.map(id => parseInt(id))).map(row => row.stored_name);
+    },
+
+    getListAttachmentFiles: (bucketListId) => {
+      const stmt = db.prepare(`
+        SELECT a.stored_name FROM attachments a
+        INNER JOIN items i ON i.id = a.item_id
+        WHERE i.bucket_list_id = ?
+      `);
+      return stmt.all(parseInt(bucketListId)).map(row => row.stored_name);
+    },
+
+    // Proof for a shared item can come from anyone; individual items need the member's own
+    hasProof: (item, userId) => item.attachments.some(attachment => (
+      !item.individual || attachment.user_id === parseInt(userId)
+    )),
+
+    // Comment operations
+    createComment: (itemId, userId, body) => {
+      const stmt = db.prepare('INSERT INTO item_comments (item_id, user_id, body) VALUES (?, ?, ?)');
+      return stmt.run(parseInt(itemId), parseInt(userId), body);
+    },
+
+    // Oldest first, like a chat
+    getComments: (itemId) => {
+      const stmt = db.prepare(`
+        SELECT c.*, u.username FROM item_comments c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.item_id = ?
+        ORDER BY c.created_at ASC, c.id ASC
+      `);
+      return stmt.all(parseInt(itemId));
+    },
+
+    // Includes the author's name and the item's list
+    getComment: (commentId) => {
+      const stmt = db.prepare(`
+        SELECT c.*, u.username, i.bucket_list_id FROM item_comments c
+        INNER JOIN items i ON i.id = c.item_id
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.id = ?
+      `);
+      return stmt.get(parseInt(commentId));
+    },
+
+    updateComment: (commentId, body) => {
+      const stmt = db.prepare('UPDATE item_comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+      return stmt.run(body, parseInt(commentId));
+    },
+
+    deleteComment: (commentId) => {
+      const stmt = db.prepare('DELETE FROM item_comments WHERE id = ?');
+      return stmt.run(parseInt(commentId));
+    },
+
+    // Individual counters change only `userId`'s own value. `delta` must
+    // already be a whole number; it is applied and recorded as given. The
+    // change is returned, flagged `clamped` when zero or the target stopped
+    // part of the delta.
+    updateCounter: db.transaction((itemId, delta, userId, undoOf = null) => {
+      const item = dbHelpers.getItem(itemId);
+      if (!item || item.type !== 'counter') {
+        throw new Error('Item not found or not a counter type');
+      }
+
+      const current = parseInt(item.individual
+        ? dbHelpers.getMemberProgress(item, userId).counter_value
+        : item.counter_value) || 0;
+      const newValue = Math.max(0, current + delta);
+      const target = item.counter_target ? parseInt(item.counter_target) : null;
+      const clampedValue = target ? Math.min(newValue, target) : newValue;
+
+      if (item.individual) {
+        db.prepare(`
+          INSERT INTO item_progress (item_id, user_id, counter_value) VALUES (?, ?, ?)
+          ON CONFLICT (item_id, user_id) DO UPDATE SET
+            counter_value = excluded.counter_value, updated_at = CURRENT_TIMESTAMP
+        `).run(parseInt(itemId), parseInt(userId), clampedValue);
+      } else {
+        db.prepare('UPDATE items SET counter_value = ? WHERE id = ?').run(clampedValue, parseInt(itemId));
+      }
+
+      const changeId = dbHelpers.recordCounterChange(itemId, userId, clampedValue - current, delta, clampedValue, undoOf);
+      return dbHelpers.getCounterChange(changeId);
+    }),
+
+    // Adds a row to a counter's history and returns its id
+    recordCounterChange: (itemId, userId, delta, requestedDelta, value, undoOf = null) => {
+      const stmt = db.prepare(`
+        INSERT INTO counter_changes (item_id, user_id, delta, requested_delta, value, undo_of)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      return stmt.run(parseInt(itemId), userId ? parseInt(userId) : null, delta, requestedDelta, value, undoOf).lastInsertRowid;
+    },
+
+    getCounterChange: (changeId) => {
+      const stmt = db.prepare(`
+        SELECT c.*, u.username FROM counter_changes c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.id = ?
+      `);
+      return withClamped(stmt.get(parseInt(changeId)));
+    },
+
+    // Newest first
+    getCounterChanges: (itemId) => {
+      const stmt = db.prepare(`
+        SELECT c.*, u.username FROM counter_changes c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.item_id = ?
+        ORDER BY c.id DESC
+      `);
+      return stmt.all(parseInt(itemId)).map(withClamped);
+    },
+
+    // The member's latest change that did something and hasn't been undone
+    // (undos themselves and cuts from a lowered target can't be undone)
+    getUndoableCounterChange: (itemId, userId) => {
+      const stmt = db.prepare(`
+        SELECT * FROM counter_changes
+        WHERE item_id = ? AND user_id = ? AND delta != 0 AND requested_delta != 0
+          AND undo_of IS NULL AND undone_at IS NULL
+        ORDER BY id DESC LIMIT 1
+      `);
+      return stmt.get(parseInt(itemId), parseInt(userId));
+    },
+
+    // Applies the reverse of the member's last change; null when there is nothing to undo
+    undoCounterChange: db.transaction((itemId, userId) => {
+      const change = dbHelpers.getUndoableCounterChange(itemId, userId);
+      if (!change) return null;
+
+      db.prepare('UPDATE counter_changes SET undone_at = CURRENT_TIMESTAMP WHERE id = ?').run(change.id);
+      return dbHelpers.updateCounter(itemId, -change.delta, userId, change.id);
+    }),
+
+    // Like updateCounter, for decimal amounts
+    updateNumeric: db.transaction((itemId, delta, userId) => {
+      const item = dbHelpers.getItem(itemId);
+      if (!item || item.type !== 'numeric') {
+        throw new Error('Item not found or not a numeric type');
+      }
+
+      const current = item.individual
+        ? dbHelpers.getMemberProgress(item, userId).numeric_value
+        : item.numeric_value;
+      const newValue = Math.max(0, roundAmount((parseFloat(current) || 0) + parseFloat(delta)));
+      const target = item.numeric_target ? parseFloat(item.numeric_target) : null;
+      const clampedValue = target ? Math.min(newValue, target) : newValue;
+
+      if (item.individual) {
+        const stmt = db.prepare(`
+          INSERT INTO item_progress (item_id, user_id, numeric_value) VALUES (?, ?, ?)
+          ON CONFLICT (item_id, user_id) DO UPDATE SET
+            numeric_value = excluded.numeric_value, updated_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(parseInt(itemId), parseInt(userId), clampedValue);
+      }
+
+      const stmt = db.prepare('UPDATE items SET numeric_value = ? WHERE id = ?');
+      return stmt.run(clampedValue, parseInt(itemId));
+    }),
+
+    // A member's vote on a choice item; a null option withdraws it
+    setVote: (itemId, userId, optionId) => {
+      if (optionId === null) {
+        const stmt = db.prepare('DELETE FROM item_votes WHERE item_id = ? AND user_id = ?');
+        return stmt.run(parseInt(itemId), parseInt(userId));
+      }
+      const stmt = db.prepare(`
+        INSERT INTO item_votes (item_id, user_id, option_id) VALUES (?, ?, ?)
+        ON CONFLICT (item_id, user_id) DO UPDATE SET option_id = excluded.option_id, created_at = CURRENT_TIMESTAMP
+      `);
+      return stmt.run(parseInt(itemId), parseInt(userId), parseInt(optionId));
+    },
+
+    // Settle a choice item on one option (null reopens it)
+    chooseOption: (itemId, optionId) => {
+      const stmt = db.prepare('UPDATE items SET chosen_option_id = ? WHERE id = ?');
+      return stmt.run(optionId === null ? null : parseInt(optionId), parseInt(itemId));
+    },
+
+    // A member's 1-5 star rating of a rating item; null removes it
+    setRating: (itemId, userId, stars) => {
+      if (stars === null) {
+        const stmt = db.prepare('DELETE FROM item_ratings WHERE item_id = ? AND user_id = ?');
+        return stmt.run(parseInt(itemId), parseInt(userId));
+      }
+      const stmt = db.prepare(`
+        INSERT INTO item_ratings (item_id, user_id, stars) VALUES (?, ?, ?)
+        ON CONFLICT (item_id, user_id) DO UPDATE SET stars = excluded.stars, updated_at = CURRENT_TIMESTAMP
+      `);
+      return stmt.run(parseInt(itemId), parseInt(userId), parseInt(stars));
+    },
+
+    // Template operations
+    // Items of a list as createItemTree nodes, with checks and counters reset
+    getItemTemplate: (bucketListId) => {
+      const items = dbHelpers.getItems(bucketListId);
+      const nodes = new Map();
+      const roots = [];
+      items.forEach(item => {
+        nodes.set(item.id, {
+          text: item.text,
+          type: item.type,
+          description: item.description,
+          isChecked: false,
+          counterValue: 0,
+          counterTarget: item.counter_target,
+          progressMode: item.progress_mode,
+          autoComplete: !!item.auto_complete,
+          proofRequired: !!item.proof_required,
+          numericValue: 0,
+          numericTarget: item.numeric_target,
+          unit: item.unit,
+          options: (item.options || []).map(option => option.label),
+          items: []
+        });
+      });
+      items.forEach(item => {
+        const parent = item.parent_item_id ? nodes.get(item.parent_item_id) : null;
+        (parent ? parent.items : roots).push(nodes.get(item.id));
+      });
+      return roots;
+    },
+
+    // Snapshot a list as a template anyone can start a new list from
+    createTemplate: (bucketListId, name, description, createdBy) => {
+      const bucketList = dbHelpers.getBucketListById(bucketListId);
+      const items = dbHelpers.getItemTemplate(bucketListId);
+      const itemCount = db.prepare('SELECT COUNT(*) as count FROM items WHERE bucket_list_id = ?').get(parseInt(bucketListId)).count;
+
+      const stmt = db.prepare(`
+        INSERT INTO templates (
+          name, description, items, item_count, grid_size, grid_free_center,
+          progress_mode, source_bucket_list_id, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      return stmt.run(
+        name,
+        description || null,
+        JSON.stringify(items),
+        itemCount,
+        bucketList.grid_size || null,
+        bucketList.grid_free_center ? 1 : 0,
+        bucketList.progress_mode,
+        parseInt(bucketListId),
+        createdBy
+      );
+    },
+
+    getTemplates: () => {
+      const stmt = db.prepare(`
+        SELECT t.id, t.name, t.description, t.item_count, t.grid_size, t.grid_free_center,
+          t.progress_mode, t.created_by, t.created_at, u.username as created_by_username
+        FROM templates t
+        LEFT JOIN users u ON t.created_by = u.id
+        ORDER BY t.created_at DESC, t.id DESC
+      `);
+      return stmt.all();
+    },
+
+    getTemplateById: (templateId) => {
+      const stmt = db.prepare('SELECT * FROM templates WHERE id = ?');
+      return stmt.get(parseInt(templateId));
+    },
+
+    deleteTemplate: (templateId) => {
+      const stmt = db.prepare('DELETE FROM templates WHERE id = ?');
+      return stmt.run(parseInt(templateId));
+    },
+
+    // Start a new list from a template's snapshot
+    createBucketListFromTemplate: (templateId, name, shareCode, createdBy) => {
+      const template = dbHelpers.getTemplateById(templateId);
+      return dbHelpers.importBucketList(name, shareCode, createdBy, JSON.parse(template.items), {
+        gridSize: template.grid_size,
+        freeCenter: !!template.grid_free_center,
+        progressMode: template.progress_mode
+      });
+    },
+
+    // Bingo card operations
+    setGrid: (bucketListId, gridSize, freeCenter, layout = null) => {
+      const stmt = db.prepare(`
+        UPDATE bucket_lists SET grid_size = ?, grid_free_center = ?, grid_layout = ? WHERE id = ?
+      `);
+      stmt.run(
+        gridSize ? parseInt(gridSize) : null,
+        gridSize && freeCenter ? 1 : 0,
+        gridSize && layout ? JSON.stringify(layout) : null,
+        parseInt(bucketListId)
+      );
+      const cells = dbHelpers.layoutGrid(bucketListId);
+
+      // Lines only mean something for the layout they were won on, so start over
+      // and quietly record any lines that are already complete on the new card
+      db.prepare('DELETE FROM bingos WHERE bucket_list_id = ?').run(parseInt(bucketListId));
+      dbHelpers.syncBingos(bucketListId, null);
+
+      return cells;
+    },
+
+    // Normalize the stored layout against the current top-level items:
+    // drop squares whose item is gone, then fill empty squares in list order
+    layoutGrid: (bucketListId) => {
+      const bucketList = dbHelpers.getBucketListById(parseInt(bucketListId));
+      if (!bucketList || !bucketList.grid_size) return null;
+
+      const size = parseInt(bucketList.grid_size);
+      const cellCount = size * size;
+      const freeIndex = getFreeCellIndex(size, bucketList.grid_free_center);
+
+      const topLevelIds = db.prepare(`
+        SELECT id FROM items
+        WHERE bucket_list_id = ? AND parent_item_id IS NULL
+        ORDER BY position ASC, id ASC
+      `).all(parseInt(bucketListId)).map(row => row.id);
+      const available = new Set(topLevelIds);
+
+      let stored = [];
+      try {
+        stored = JSON.parse(bucketList.grid_layout || '[]');
+      } catch (error) {
+        stored = [];
+      }
+
+      const cells = [];
+      for (let i = 0; i < cellCount; i++) {
+        const itemId = Array.isArray(stored) ? parseInt(stored[i]) : NaN;
+        if (i !== freeIndex && available.has(itemId)) {
+          cells.push(itemId);
+          available.delete(itemId);
+        } else {
+          cells.push(null);
+        }
+      }
+
+      const unplaced = topLevelIds.filter(id => available.has(id));
+      for (let i = 0; i < cellCount && unplaced.length > 0; i++) {
+        if (i !== freeIndex && cells[i] === null) {
+          cells[i] = unplaced.shift();
+        }
+      }
+
+      const stmt = db.prepare('UPDATE bucket_lists SET grid_layout = ? WHERE id = ?');
+      stmt.run(JSON.stringify(cells), parseInt(bucketListId));
+      return cells;
+    },
+
+    getGrid: (bucketListId) => {
+      const bucketList = dbHelpers.getBucketListById(parseInt(bucketListId));
+      if (!bucketList || !bucketList.grid_size) return null;
+
+      const size = parseInt(bucketList.grid_size);
+      let cells;
+      try {
+        cells = JSON.parse(bucketList.grid_layout || '[]');
+      } catch (error) {
+        cells = [];
+      }
+
+      return {
+        size,
+        free_center: !!bucketList.grid_free_center,
+        free_index: getFreeCellIndex(size, bucketList.grid_free_center),
+        cells: Array.from({ length: size * size }, (_, i) => cells[i] || null)
+      };
+    },
+
+    // Activity operations
+    // item_id is kept without a foreign key so entries outlive deleted items;
+    // details (JSON) holds whatever is needed to describe the entry later
+    logActivity: (bucketListId, userId, action, itemId = null, details = null) => {
+      const stmt = db.prepare(`
+        INSERT INTO activity (bucket_list_id, item_id, user_id, action, details) VALUES (?, ?, ?, ?, ?)
+      `);
+      const result = stmt.run(
+        parseInt(bucketListId),
+        itemId ? parseInt(itemId) : null,
+        userId ? parseInt(userId) : null,
+        action,
+        details ? JSON.stringify(details) : null
+      );
+      return dbHelpers.getActivityEntry(result.lastInsertRowid);
+    },
+
+    getActivityEntry: (id) => {
+      const stmt = db.prepare(`
+        SELECT a.*, u.username
+        FROM activity a
+        LEFT JOIN users u ON a.user_id = u.id
+        WHERE a.id = ?
+      `);
+      const entry = stmt.get(parseInt(id));
+      return entry ? { ...entry, details: entry.details ? JSON.parse(entry.details) : null } : entry;
+    },
+
+    // Newest first; pass the id of the last entry seen as `before` for the next page
+    getActivity: (bucketListId, { limit = 20, before = null } = {}) => {
+      const stmt = db.prepare(`
+        SELECT a.*, u.username
+        FROM activity a
+        LEFT JOIN users u ON a.user_id = u.id
+        WHERE a.bucket_list_id = ? AND (? IS NULL OR a.id < ?)
+        ORDER BY a.id DESC
+        LIMIT ?
+      `);
+      const beforeId = before ? parseInt(before) : null;
+      return stmt.all(parseInt(bucketListId), beforeId, beforeId, parseInt(limit)).map(entry => ({
+        ...entry,
+        details: entry.details ? JSON.parse(entry.details) : null
+      }));
+    },
+
+    // Unfinished items due on or before `untilDate` across all of a user's
+    // lists, soonest first. Individual items count as finished once the user
+    // has done their own part.
+    getDueItems: (userId, untilDate) => {
+      const dueItems = [];
+      dbHelpers.getUserBucketLists(userId).forEach(bucketList => {
+        dbHelpers.getItems(bucketList.id).forEach(item => {
+          if (!item.due_date || item.due_date > untilDate) return;
+          const state = item.individual ? dbHelpers.getMemberProgress(item, userId) : item;
+          if (isStateComplete(item, state)) return;
+          dueItems.push({ ...item, bucket_list_name: bucketList.name });
+        });
+      });
+      return dueItems.sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id);
+    },
+
+    // Search items in every list the user belongs to. Each word of `query`
+    // matches as a prefix, in the item's text or description; best matches first.
+    searchItems: (userId, query, limit = 50) => {
+      const terms = String(query).match(/[\p{L}\p{N}]+/gu) || [];
+      if (terms.length === 0) return [];
+
+      // Quoting every word keeps FTS operators in the input from being interpreted
+      const match = terms.map(term => `"${term}"*`).join(' ');
+      const stmt = db.prepare(`
+        SELECT i.id, i.bucket_list_id, i.parent_item_id, i.text, i.description, i.type,
+          i.is_checked, i.counter_value, i.counter_target, i.due_date, bl.name as bucket_list_name
+        FROM items_fts
+        INNER JOIN items i ON i.id = items_fts.rowid
+        INNER JOIN bucket_lists bl ON bl.id = i.bucket_list_id
+        INNER JOIN bucket_list_members blm ON blm.bucket_list_id = i.bucket_list_id AND blm.user_id = ?
+        WHERE items_fts MATCH ?
+        ORDER BY items_fts.rank, i.id
+        LIMIT ?
+      `);
+      return stmt.all(parseInt(userId), match, parseInt(limit));
+    },
+
+    // Statistics
+    // Overall completion: `percent` weighs counters by how close they are to
+    // their target; `completed` counts items that are fully done
+    getCompletion: (bucketListId, items = dbHelpers.getItems(bucketListId)) => {
+      const memberCount = dbHelpers.getMembers(bucketListId).length;
+      const progress = items.map(item => getItemProgress(item, memberCount)).filter(value => value !== null);
+      const total = progress.reduce((sum, value) => sum + value, 0);
+      return {
+        percent: progress.length === 0 ? 0 : Math.round((total / progress.length) * 100),
+        completed: items.filter(item => isItemComplete(item, memberCount)).length,
+        total: items.length
+      };
+    },
+
+    // Completion, per-member contributions (checks made and counter steps
+    // added) and completions per day for the stats panel
+    getStats: (bucketListId) => {
+      const listId = parseInt(bucketListId);
+      const items = dbHelpers.getItems(listId);
+      const members = dbHelpers.getMembers(listId);
+
+      // Checks: shared items credit checked_by, individual items each member's own
+      const checkRows = db.prepare(`
+        SELECT i.id as item_id, i.checked_by as user_id, i.checked_at
+        FROM items i
+        WHERE i.bucket_list_id = ? AND i.type IN ('check', 'rating') AND i.is_checked = 1
+      `).all(listId).filter(row => !items.find(item => item.id === row.item_id).individual);
+      items.filter(item => item.individual && CHECKABLE_TYPES.includes(item.type)).forEach(item => {
+        item.progress.filter(state => state.is_checked).forEach(state => {
+          checkRows.push({ item_id: item.id, user_id: state.user_id, checked_at: state.checked_at });
+        });
+      });
+
+      // Counter steps come from the activity log, which records what each
+      // change actually applied; net steps below zero count as none. Numeric
+      // amounts are in all sorts of units, so they only date completions.
+      const counterRows = db.prepare(`
+        SELECT a.item_id, a.user_id, a.action, a.created_at, a.details
+        FROM activity a
+        WHERE a.bucket_list_id = ? AND a.action IN ('counter_changed', 'numeric_changed')
+        ORDER BY a.id ASC
+      `).all(listId).map(row => ({ ...row, details: JSON.parse(row.details) }));
+
+      const leaderboard = members.map(member => {
+        const checks = checkRows.filter(row => row.user_id === member.id).length;
+        const counterSteps = Math.max(0, counterRows
+          .filter(row => row.user_id === member.id && row.action === 'counter_changed')
+          .reduce((sum, row) => sum + (parseInt(row.details.delta) || 0), 0));
+        return {
+          user_id: member.id,
+          username: member.username,
+          checks,
+          counter_steps: counterSteps,
+          score: checks + counterSteps
+        };
+      }).sort((a, b) => b.score - a.score || a.username.localeCompare(b.username));
+
+      // A counter or numeric item is dated by the last change that took it to its target
+      // (per member for individual counters), as long as it is still there
+      const counterCompletions = new Map();
+      counterRows.forEach(row => {
+        const { value, delta, target } = row.details;
+        if (target && value >= target && value - delta < target) {
+          const item = items.find(candidate => candidate.id === row.item_id);
+          if (!item) return;
+          const key = item.individual ? `${item.id}:${row.user_id}` : `${item.id}`;
+          counterCompletions.set(key, { item, user_id: row.user_id, date: row.created_at });
+        }
+      });
+      const completionDates = [...counterCompletions.values()]
+        .filter(({ item, user_id }) => isStateComplete(item, item.individual ? dbHelpers.getMemberProgress(item, user_id) : item))
+        .map(({ date }) => date);
+      checkRows.forEach(row => {
+        if (row.checked_at) completionDates.push(row.checked_at);
+      });
+
+      const perDay = new Map();
+      completionDates.map(date => String(date).substring(0, 10)).sort().forEach(day => {
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+      });
+      let runningTotal = 0;
+      const timeline = [...perDay.entries()].map(([date, completions]) => {
+        runningTotal += completions;
+        return { date, completions, total: runningTotal };
+      });
+
+      return {
+        completion: dbHelpers.getCompletion(listId, items),
+        leaderboard,
+        timeline
+      };
+    },
+
+    // Bingo operations
+    getBingos: (bucketListId) => {
+      const stmt = db.prepare(`
+        SELECT b.*, u.username as completed_by_username
+        FROM bingos b
+        LEFT JOIN users u ON b.completed_by = u.id
+        WHERE b.bucket_list_id = ?
+        ORDER BY b.completed_at ASC, b.id ASC
+      `);
+      return stmt.all(parseInt(bucketListId));
+    },
+
+    // Compare the card against recorded bingos: record newly completed lines
+    // (credited to userId) and drop lines that are no longer complete.
+    // Returns only the newly completed lines.
+    syncBingos: db.transaction((bucketListId, userId) => {
+      const grid = dbHelpers.getGrid(bucketListId);
+      const listId = parseInt(bucketListId);
+
+      if (!grid) {
+        db.prepare('DELETE FROM bingos WHERE bucket_list_id = ?').run(listId);
+        return [];
+      }
+
+      const items = new Map(dbHelpers.getItems(listId).map(item => [item.id, item]));
+      const memberCount = dbHelpers.getMembers(listId).length;
+      const isCellComplete = (index) => {
+        if (index === grid.free_index) return true;
+        const item = items.get(grid.cells[index]);
+        return !!item && isItemComplete(item, memberCount);
+      };
+
+      const recorded = new Set(
+        dbHelpers.getBingos(listId).map(bingo => `${bingo.line_type}:${bingo.line_index}`)
+      );
+      const insert = db.prepare(`
+        INSERT INTO bingos (bucket_list_id, line_type, line_index, completed_by) VALUES (?, ?, ?, ?)
+      `);
+      const remove = db.prepare(`
+        DELETE FROM bingos WHERE bucket_list_id = ? AND line_type = ? AND line_index = ?
+      `);
+
+      const newBingoIds = [];
+      getGridLines(grid.size).forEach(line => {
+        const key = `${line.line_type}:${line.line_index}`;
+        const complete = line.cells.every(isCellComplete);
+
+        if (complete && !recorded.has(key)) {
+          const result = insert.run(listId, line.line_type, line.line_index, userId ? parseInt(userId) : null);
+          newBingoIds.push(result.lastInsertRowid);
+        } else if (!complete && recorded.has(key)) {
+          remove.run(listId, line.line_type, line.line_index);
+        }
+      });
+
+      return dbHelpers.getBingos(listId).filter(bingo => newBingoIds.includes(bingo.id));
+    })
+  };
+
+  return { db, ...dbHelpers };
+}
 
+module.exports = { createDatabase, GRID_SIZES, ROLES, PROGRESS_MODES, ITEM_TYPES, CHECKABLE_TYPES, isStateComplete };
@@ -0,0 +1,26 @@
+// Calendar dates (due dates) are plain "YYYY-MM-DD" strings in local time
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whether a value is a real "YYYY-MM-DD" date (rejects e.g. 2024-02-30)
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// "YYYY-MM-DD" for a Date in local time
+const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// The date `days` after a "YYYY-MM-DD" date
+const addDays = (value, days) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return toDateString(new Date(year, month - 1, day + days));
+};
+
+module.exports = { isValidDate, toDateString, addDays };
@@ -0,0 +1,75 @@
+// Server-Sent Events hub: keeps the open event streams of each bucket list
+// so routes can push changes to every member watching that list.
+// Each app gets its own hub.
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+function createEventHub() {
+  // bucketListId -> Map of open response -> { userId, heartbeat }
+  const streams = new Map();
+
+  function removeStream(listId, res) {
+    const listStreams = streams.get(listId);
+    if (!listStreams || !listStreams.has(res)) return;
+
+    clearInterval(listStreams.get(res).heartbeat);
+    listStreams.delete(res);
+    if (listStreams.size === 0) {
+      streams.delete(listId);
+    }
+  }
+
+  // Start an event stream on `res` for a bucket list. The stream is removed
+  // again when the client disconnects.
+  function subscribe(bucketListId, req, res) {
+    const listId = parseInt(bucketListId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Tell the browser how long to wait before reconnecting
+    res.write('retry: 3000\n\n');
+
+    if (!streams.has(listId)) {
+      streams.set(listId, new Map());
+    }
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    streams.get(listId).set(res, { userId: parseInt(req.session.userId), heartbeat });
+
+    req.on('close', () => removeStream(listId, res));
+  }
+
+  // Send an event to everyone watching a bucket list
+  function publish(bucketListId, type, data) {
+    const listStreams = streams.get(parseInt(bucketListId));
+    if (!listStreams) return;
+
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    listStreams.forEach((stream, res) => res.write(message));
+  }
+
+  // Close a user's streams for a list once they are no longer a member,
+  // or every stream of the list when no user is given
+  function disconnect(bucketListId, userId) {
+    const listId = parseInt(bucketListId);
+    const listStreams = streams.get(listId);
+    if (!listStreams) return;
+
+    Array.from(listStreams.entries()).forEach(([res, stream]) => {
+      if (userId === undefined || stream.userId === parseInt(userId)) {
+        removeStream(listId, res);
+        res.end();
+      }
+    });
+  }
+
+  return { subscribe, publish, disconnect };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,35 @@
+// Checks for the settings of numeric and choice items, shared by the item
+// routes and list imports
+
+const MAX_UNIT_LENGTH = 20;
+const MAX_CHOICE_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 100;
+
+// Numeric targets and amounts may be decimals, given as numbers or strings
+const isPositiveAmount = (value) => value !== '' && Number.isFinite(Number(value)) && Number(value) > 0;
+
+// Error message for a numeric item's unit, or null
+const validateUnit = (unit) => {
+  if (unit === null || unit === undefined) return null;
+  if (typeof unit !== 'string' || unit.trim().length > MAX_UNIT_LENGTH) {
+    return `Units can be at most ${MAX_UNIT_LENGTH} characters`;
+  }
+  return null;
+};
+
+// { labels } for a choice item's options, or { error }
+const parseChoiceOptions = (options) => {
+  if (!Array.isArray(options) || options.length < 2 || options.length > MAX_CHOICE_OPTIONS) {
+    return { error: `Choice items need between 2 and ${MAX_CHOICE_OPTIONS} options` };
+  }
+  const labels = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+  if (labels.some(label => !label || label.length > MAX_OPTION_LENGTH)) {
+    return { error: `Options must be between 1 and ${MAX_OPTION_LENGTH} characters` };
+  }
+  if (new Set(labels.map(label => label.toLowerCase())).size !== labels.length) {
+    return { error: 'Options must all be different' };
+  }
+  return { labels };
+};
+
+module.exports = { isPositiveAmount, validateUnit, parseChoiceOptions };
@@ -0,0 +1,312 @@
+const { toCsv, parseCsv } = require('./csv');
+const { isValidDate } = require('./dates');
+const { isPositiveAmount, validateUnit, parseChoiceOptions } = require('./itemValues');
+const { ITEM_TYPES, CHECKABLE_TYPES } = require('./database');
+
+// Export and import of bucket lists as JSON (nested items) or CSV
+// (one row per item, nested through the id/parent_id columns).
+
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_ITEMS = 2000;
+const CSV_COLUMNS = [
+  'id', 'parent_id', 'text', 'type', 'description', 'checked', 'counter_value', 'counter_target', 'auto_complete',
+  'proof_required', 'due_date', 'numeric_value', 'numeric_target', 'unit', 'options', 'chosen_option'
+];
+// Choice options share one CSV cell
+const CSV_OPTION_SEPARATOR = ' | ';
+
+// The label of a choice item's chosen option, or null
+const chosenLabel = (item) => {
+  const option = (item.options || []).find(candidate => candidate.id === item.chosen_option_id);
+  return option ? option.label : null;
+};
+
+// Raised for files that can't be imported; the message is shown to the user
+class ImportError extends Error {}
+
+// Nest a flat item list through parent_item_id, keeping the list order
+const buildItemTree = (items) => {
+  const nodes = new Map(items.map(item => [item.id, { item, children: [] }]));
+  const roots = [];
+  items.forEach(item => {
+    const parent = item.parent_item_id ? nodes.get(item.parent_item_id) : null;
+    (parent ? parent.children : roots).push(nodes.get(item.id));
+  });
+  return roots;
+};
+
+const exportItem = ({ item, children }) => ({
+  text: item.text,
+  type: item.type,
+  description: item.description,
+  is_checked: !!item.is_checked,
+  counter_value: item.type === 'counter' ? item.counter_value : null,
+  counter_target: item.counter_target,
+  auto_complete: !!item.auto_complete,
+  proof_required: !!item.proof_required,
+  due_date: item.due_date,
+  numeric_value: item.type === 'numeric' ? item.numeric_value : null,
+  numeric_target: item.numeric_target,
+  unit: item.unit,
+  options: item.type === 'choice' ? item.options.map(option => option.label) : null,
+  chosen_option: chosenLabel(item),
+  items: children.map(exportItem)
+});
+
+const exportJson = (bucketList, items) => JSON.stringify({
+  format: 'bucket-list',
+  version: EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  name: bucketList.name,
+  items: buildItemTree(items).map(exportItem)
+}, null, 2);
+
+// Rows are written parents first so the file reads like the list
+const exportCsv = (items) => {
+  const rows = [];
+  const addRows = ({ item, children }) => {
+    rows.push({
+      id: item.id,
+      parent_id: item.parent_item_id,
+      text: item.text,
+      type: item.type,
+      description: item.description,
+      checked: item.is_checked ? 1 : 0,
+      counter_value: item.type === 'counter' ? item.counter_value : null,
+      counter_target: item.counter_target,
+      auto_complete: item.auto_complete ? 1 : 0,
+      proof_required: item.proof_required ? 1 : 0,
+      due_date: item.due_date,
+      numeric_value: item.type === 'numeric' ? item.numeric_value : null,
+      numeric_target: item.numeric_target,
+      unit: item.unit,
+      options: item.type === 'choice' ? item.options.map(option => option.label).join(CSV_OPTION_SEPARATOR) : null,
+      chosen_option: chosenLabel(item)
+    });
+    children.forEach(addRows);
+  };
+  buildItemTree(items).forEach(addRows);
+  return toCsv(rows, CSV_COLUMNS);
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['1', 'true', 'yes', 'x'].includes(String(value).trim().toLowerCase());
+};
+
+const parseCount = (value, label, where) => {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ImportError(`${where}: ${label} must be a whole number`);
+  }
+  return number;
+};
+
+// Validate one imported item; `where` names it in error messages
+const normalizeItem = (raw, where) => {
+  if (!raw || typeof raw !== 'object') {
+    throw new ImportError(`${where}: invalid item`);
+  }
+
+  const text = typeof raw.text === 'string' ? raw.text.trim() : '';
+  if (!text) {
+    throw new ImportError(`${where}: item text is required`);
+  }
+
+  const type = isBlank(raw.type) ? 'check' : String(raw.type).trim().toLowerCase();
+  if (!ITEM_TYPES.includes(type)) {
+    throw new ImportError(`${where}: item type must be one of ${ITEM_TYPES.join(', ')}`);
+  }
+
+  const description = typeof raw.description === 'string' && raw.description.trim() ? raw.description.trim() : null;
+
+  const dueDate = isBlank(raw.due_date) ? null : String(raw.due_date).trim();
+  if (dueDate !== null && !isValidDate(dueDate)) {
+    throw new ImportError(`${where}: due_date must be a date like 2025-06-30`);
+  }
+
+  let counterTarget = null;
+  let counterValue = 0;
+
+  if (type === 'counter') {
+    counterTarget = parseCount(raw.counter_target, 'counter_target', where) || null;
+    counterValue = parseCount(raw.counter_value, 'counter_value', where) || 0;
+    if (counterTarget) {
+      counterValue = Math.min(counterValue, counterTarget);
+    }
+  }
+
+  let numericTarget = null;
+  let numericValue = 0;
+  let unit = null;
+
+  if (type === 'numeric') {
+    if (!isBlank(raw.numeric_target)) {
+      if (!isPositiveAmount(raw.numeric_target)) {
+        throw new ImportError(`${where}: numeric_target must be a positive number`);
+      }
+      numericTarget = Number(raw.numeric_target);
+    }
+    if (!isBlank(raw.numeric_value)) {
+      if (!Number.isFinite(Number(raw.numeric_value)) || Number(raw.numeric_value) < 0) {
+        throw new ImportError(`${where}: numeric_value must be a number of at least 0`);
+      }
+      numericValue = numericTarget ? Math.min(Number(raw.numeric_value), numericTarget) : Number(raw.numeric_value);
+    }
+    const unitError = validateUnit(isBlank(raw.unit) ? null : String(raw.unit));
+    if (unitError) {
+      throw new ImportError(`${where}: ${unitError}`);
+    }
+    unit = isBlank(raw.unit) ? null : String(raw.unit).trim();
+  }
+
+  let options = [];
+  let chosenOption = null;
+
+  if (type === 'choice') {
+    const labels = Array.isArray(raw.options)
+      ? raw.options
+      : String(raw.options ?? '').split(CSV_OPTION_SEPARATOR.trim()).filter(label => label.trim());
+    const parsed = parseChoiceOptions(labels);
+    if (parsed.error) {
+      throw new ImportError(`${where}: ${parsed.error}`);
+    }
+    options = parsed.labels;
+    if (!isBlank(raw.chosen_option)) {
+      chosenOption = options.find(label => label === String(raw.chosen_option).trim()) || null;
+      if (!chosenOption) {
+        throw new ImportError(`${where}: chosen_option must be one of the options`);
+      }
+    }
+  }
+
+  return {
+    text,
+    type,
+    description,
+    isChecked: CHECKABLE_TYPES.includes(type) && parseBoolean(raw.is_checked ?? raw.checked ?? false),
+    counterValue,
+    counterTarget,
+    autoComplete: type === 'check' && parseBoolean(raw.auto_complete ?? false),
+    proofRequired: CHECKABLE_TYPES.includes(type) && parseBoolean(raw.proof_required ?? false),
+    dueDate,
+    numericValue,
+    numericTarget,
+    unit,
+    options,
+    chosenOption,
+    items: []
+  };
+};
+
+const countItems = (items) => items.reduce((total, item) => total + 1 + countItems(item.items), 0);
+
+const parseJsonImport = (data) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (error) {
+    throw new ImportError('File is not valid JSON');
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.items)) {
+    throw new ImportError('File does not contain a bucket list export');
+  }
+
+  const normalizeTree = (rawItems, path) => rawItems.map((raw, index) => {
+    const where = `Item ${[...path, index + 1].join('.')}`;
+    const item = normalizeItem(raw, where);
+    if (raw.items !== undefined && !Array.isArray(raw.items)) {
+      throw new ImportError(`${where}: sub-items must be an array`);
+    }
+    item.items = normalizeTree(raw.items || [], [...path, index + 1]);
+    return item;
+  });
+
+  return {
+    name: typeof parsed.name === 'string' ? parsed.name.trim() : '',
+    items: normalizeTree(parsed.items, [])
+  };
+};
+
+const parseCsvImport = (data) => {
+  let records;
+  try {
+    records = parseCsv(data);
+  } catch (error) {
+    throw new ImportError(`File is not valid CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new ImportError('File is empty');
+  }
+
+  const header = records[0].map(column => column.trim().toLowerCase());
+  if (!header.includes('text')) {
+    throw new ImportError('CSV needs a "text" column');
+  }
+
+  // Rows are keyed by their id column (or row number) so parent_id can refer to them
+  const rows = records.slice(1).map((record, index) => {
+    const raw = {};
+    header.forEach((column, i) => { raw[column] = record[i]; });
+    const line = index + 2;
+    return {
+      key: isBlank(raw.id) ? `#${line}` : raw.id.trim(),
+      parentKey: isBlank(raw.parent_id) ? null : raw.parent_id.trim(),
+      item: normalizeItem(raw, `Row ${line}`),
+      line
+    };
+  });
+
+  const byKey = new Map();
+  rows.forEach(row => {
+    if (byKey.has(row.key)) {
+      throw new ImportError(`Row ${row.line}: duplicate id "${row.key}"`);
+    }
+    byKey.set(row.key, row);
+  });
+
+  const roots = [];
+  rows.forEach(row => {
+    if (row.parentKey === null) {
+      roots.push(row.item);
+      return;
+    }
+    const parent = byKey.get(row.parentKey);
+    if (!parent) {
+      throw new ImportError(`Row ${row.line}: unknown parent_id "${row.parentKey}"`);
+    }
+    parent.item.items.push(row.item);
+  });
+
+  // Rows that point at each other in a loop never hang off a root
+  if (countItems(roots) !== rows.length) {
+    throw new ImportError('Some rows have parent_id values that form a loop');
+  }
+
+  return { name: '', items: roots };
+};
+
+// Parse an uploaded export into { name, items } where items is a tree of
+// { text, type, description, isChecked, counterValue, counterTarget, autoComplete, proofRequired, dueDate,
+//   numericValue, numericTarget, unit, options, chosenOption, items }
+const parseImport = (format, data) => {
+  if (typeof data !== 'string' || !data.trim()) {
+    throw new ImportError('File is empty');
+  }
+
+  const result = format === 'csv' ? parseCsvImport(data) : parseJsonImport(data);
+
+  const total = countItems(result.items);
+  if (total > MAX_IMPORT_ITEMS) {
+    throw new ImportError(`A list can import at most ${MAX_IMPORT_ITEMS} items`);
+  }
+
+  return { ...result, itemCount: total };
+};
+
+module.exports = { ImportError, exportJson, exportCsv, parseImport };
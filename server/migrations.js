@@ -0,0 +1,446 @@
+const Database = require('better-sqlite3');
+const config = require('./config');
+
+// Numbered schema migrations. Each one runs once, in order, inside a
+// transaction; applied versions are recorded in the schema_version table
+// and mirrored in SQLite's user_version.
+//
+// Append new migrations to the end of the list and never edit one that has
+// shipped. Migrations 1-7 describe the schema as it existed before versioning
+// and use addColumn/CREATE ... IF NOT EXISTS so they also upgrade databases
+// created by older versions of the app.
+
+// Add a column unless the table already has it. Returns true when added.
+const addColumn = (db, tableName, columnName, columnDef) => {
+  const columns = db.prepare(`PRAGMA table_info(${tableName})`).all();
+  if (columns.some(column => column.name === columnName)) {
+    return false;
+  }
+  db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnDef}`);
+  return true;
+};
+
+const migrations = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS bucket_lists (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          share_code TEXT UNIQUE NOT NULL,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS bucket_list_members (
+          user_id INTEGER,
+          bucket_list_id INTEGER,
+          joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, bucket_list_id),
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (bucket_list_id) REFERENCES bucket_lists(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          bucket_list_id INTEGER,
+          text TEXT NOT NULL,
+          is_checked BOOLEAN DEFAULT 0,
+          checked_by INTEGER,
+          checked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (bucket_list_id) REFERENCES bucket_lists(id),
+          FOREIGN KEY (checked_by) REFERENCES users(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'item_types_and_sub_items',
+    up: (db) => {
+      addColumn(db, 'items', 'type', "TEXT DEFAULT 'check'");
+      addColumn(db, 'items', 'description', 'TEXT');
+      addColumn(db, 'items', 'parent_item_id', 'INTEGER');
+      addColumn(db, 'items', 'counter_value', 'INTEGER DEFAULT 0');
+      addColumn(db, 'items', 'counter_target', 'INTEGER');
+    }
+  },
+  {
+    version: 3,
+    name: 'bingo_cards',
+    up: (db) => {
+      // grid_layout is a JSON array of item ids (row-major)
+      addColumn(db, 'bucket_lists', 'grid_size', 'INTEGER');
+      addColumn(db, 'bucket_lists', 'grid_free_center', 'BOOLEAN DEFAULT 0');
+      addColumn(db, 'bucket_lists', 'grid_layout', 'TEXT');
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS bingos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          bucket_list_id INTEGER NOT NULL,
+          line_type TEXT NOT NULL,
+          line_index INTEGER NOT NULL,
+          completed_by INTEGER,
+          completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (bucket_list_id, line_type, line_index),
+          FOREIGN KEY (bucket_list_id) REFERENCES bucket_lists(id),
+          FOREIGN KEY (completed_by) REFERENCES users(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'activity_log',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS activity (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          bucket_list_id INTEGER NOT NULL,
+          item_id INTEGER,
+          user_id INTEGER,
+          action TEXT NOT NULL,
+          details TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (bucket_list_id) REFERENCES bucket_lists(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_activity_list ON activity (bucket_list_id, id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'member_roles',
+    up: (db) => {
+      // Existing lists get their creator as owner
+      if (addColumn(db, 'bucket_list_members', 'role', "TEXT NOT NULL DEFAULT 'editor'")) {
+        db.exec(`
+          UPDATE bucket_list_members SET role = 'owner'
+          WHERE user_id = (SELECT created_by FROM bucket_lists WHERE id = bucket_list_members.bucket_list_id)
+        `);
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'share_code_settings',
+    up: (db) => {
+      addColumn(db, 'bucket_lists', 'join_enabled', 'BOOLEAN DEFAULT 1');
+      addColumn(db, 'bucket_lists', 'share_code_expires_at', 'DATETIME');
+    }
+  },
+  {
+    version: 7,
+    name: 'sessions',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          sid TEXT PRIMARY KEY,
+          sess TEXT NOT NULL,
+          expires INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'templates',
+    up: (db) => {
+      // `items` is a JSON snapshot of the item tree (see getItemTemplate)
+      db.exec(`
+        CREATE TABLE templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          items TEXT NOT NULL,
+          item_count INTEGER NOT NULL DEFAULT 0,
+          grid_size INTEGER,
+          grid_free_center BOOLEAN DEFAULT 0,
+          source_bucket_list_id INTEGER,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'individual_progress',
+    up: (db) => {
+      // Lists default to one shared state per item; items may override
+      // the list's mode (NULL follows the list)
+      addColumn(db, 'bucket_lists', 'progress_mode', "TEXT NOT NULL DEFAULT 'shared'");
+      addColumn(db, 'items', 'progress_mode', 'TEXT');
+      addColumn(db, 'templates', 'progress_mode', "TEXT NOT NULL DEFAULT 'shared'");
+
+      db.exec(`
+        CREATE TABLE item_progress (
+          item_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          is_checked BOOLEAN DEFAULT 0,
+          checked_at DATETIME,
+          counter_value INTEGER DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (item_id, user_id),
+          FOREIGN KEY (item_id) REFERENCES items(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'item_positions',
+    up: (db) => {
+      // Order among siblings; existing items keep their creation order
+      addColumn(db, 'items', 'position', 'INTEGER NOT NULL DEFAULT 0');
+      db.exec(`
+        UPDATE items SET position = (
+          SELECT COUNT(*) FROM items s
+          WHERE s.bucket_list_id = items.bucket_list_id
+            AND s.parent_item_id IS items.parent_item_id
+            AND (s.created_at < items.created_at OR (s.created_at = items.created_at AND s.id < items.id))
+        );
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'parent_auto_complete',
+    up: (db) => {
+      // Checkbox parents that check themselves once all sub-items are done
+      addColumn(db, 'items', 'auto_complete', 'BOOLEAN DEFAULT 0');
+    }
+  },
+  {
+    version: 12,
+    name: 'due_dates',
+    up: (db) => {
+      // due_date is a local "YYYY-MM-DD" date; calendar_token is the secret
+      // in a member's calendar feed URL (calendar apps can't log in)
+      addColumn(db, 'items', 'due_date', 'TEXT');
+      addColumn(db, 'bucket_list_members', 'calendar_token', 'TEXT');
+      db.exec(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_members_calendar_token ON bucket_list_members (calendar_token);
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'item_search',
+    up: (db) => {
+      // Full-text index over item text and descriptions, kept in step with
+      // the items table by triggers
+      db.exec(`
+        CREATE VIRTUAL TABLE items_fts USING fts5(
+          text, description, content='items', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER items_fts_insert AFTER INSERT ON items BEGIN
+          INSERT INTO items_fts (rowid, text, description) VALUES (new.id, new.text, new.description);
+        END;
+
+        CREATE TRIGGER items_fts_delete AFTER DELETE ON items BEGIN
+          INSERT INTO items_fts (items_fts, rowid, text, description) VALUES ('delete', old.id, old.text, old.description);
+        END;
+
+        CREATE TRIGGER items_fts_update AFTER UPDATE OF text, description ON items BEGIN
+          INSERT INTO items_fts (items_fts, rowid, text, description) VALUES ('delete', old.id, old.text, old.description);
+          INSERT INTO items_fts (rowid, text, description) VALUES (new.id, new.text, new.description);
+        END;
+
+        INSERT INTO items_fts (items_fts) VALUES ('rebuild');
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'attachments',
+    up: (db) => {
+      // Files live in the uploads directory under stored_name; proof_required
+      // items can't be checked until they have an attachment
+      addColumn(db, 'items', 'proof_required', 'BOOLEAN DEFAULT 0');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_id INTEGER NOT NULL,
+          user_id INTEGER,
+          stored_name TEXT UNIQUE NOT NULL,
+          original_name TEXT NOT NULL,
+          mime_type TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (item_id) REFERENCES items(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_attachments_item ON attachments (item_id);
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'item_comments',
+    up: (db) => {
+      // updated_at stays NULL until a comment is edited
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS item_comments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_id INTEGER NOT NULL,
+          user_id INTEGER,
+          body TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME,
+          FOREIGN KEY (item_id) REFERENCES items(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_item_comments_item ON item_comments (item_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'rich_item_types',
+    up: (db) => {
+      // 'numeric' items track a decimal amount in a unit, 'choice' items let
+      // members vote on options until one is chosen, 'rating' items are
+      // checked off and then rated 1-5 by each member
+      addColumn(db, 'items', 'numeric_value', 'REAL DEFAULT 0');
+      addColumn(db, 'items', 'numeric_target', 'REAL');
+      addColumn(db, 'items', 'unit', 'TEXT');
+      addColumn(db, 'items', 'chosen_option_id', 'INTEGER');
+      addColumn(db, 'item_progress', 'numeric_value', 'REAL DEFAULT 0');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS item_options (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_id INTEGER NOT NULL,
+          label TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (item_id) REFERENCES items(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS item_votes (
+          item_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          option_id INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (item_id, user_id),
+          FOREIGN KEY (item_id) REFERENCES items(id),
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (option_id) REFERENCES item_options(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS item_ratings (
+          item_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          stars INTEGER NOT NULL CHECK (stars BETWEEN 1 AND 5),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (item_id, user_id),
+          FOREIGN KEY (item_id) REFERENCES items(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_item_options_item ON item_options (item_id, position);
+      `);
+    }
+  },
+  {
+    version: 17,
+    name: 'counter_changes',
+    up: (db) => {
+      // Every counter change, with the delta that was asked for and the one
+      // that was applied after clamping. Undoing a change marks it undone and
+      // adds the reverse change, which points back at it through undo_of.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS counter_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_id INTEGER NOT NULL,
+          user_id INTEGER,
+          delta INTEGER NOT NULL,
+          requested_delta INTEGER NOT NULL,
+          value INTEGER NOT NULL,
+          undo_of INTEGER,
+          undone_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (item_id) REFERENCES items(id),
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (undo_of) REFERENCES counter_changes(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_counter_changes_item ON counter_changes (item_id, id);
+      `);
+    }
+  }
+];
+
+const ensureVersionTable = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+// Versions already applied to this database, oldest first
+const getAppliedMigrations = (db) => {
+  ensureVersionTable(db);
+  return db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+};
+
+// Apply every pending migration, each in its own transaction.
+// Returns the migrations that were applied.
+const runMigrations = (db, list = migrations) => {
+  const applied = new Set(getAppliedMigrations(db).map(migration => migration.version));
+  const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+  const pending = list.filter(migration => !applied.has(migration.version));
+  pending.forEach(migration => {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+  });
+
+  return pending;
+};
+
+// Every known migration with when it was applied (null when pending)
+const listMigrations = (db, list = migrations) => {
+  const applied = new Map(getAppliedMigrations(db).map(migration => [migration.version, migration]));
+  return list.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+};
+
+// `npm run migrations` prints the migration status of the configured database
+if (require.main === module) {
+  const db = new Database(config.dbPath);
+  listMigrations(db).forEach(migration => {
+    const status = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${String(migration.version).padStart(3)}  ${migration.name.padEnd(30)} ${status}`);
+  });
+  db.close();
+}
+
+module.exports = { migrations, runMigrations, getAppliedMigrations, listMigrations };
@@ -0,0 +1,75 @@
+// Parse pasted outline text into an item tree for bulk entry:
+//   - one item per line; blank lines are skipped
+//   - indenting a line (spaces or tabs) makes it a sub-item of the line above
+//   - a leading "-", "*", "+" or "1." bullet is ignored
+//   - a trailing "[3/10]" makes a counter at 3 with a target of 10
+// Nodes have the same shape as listTransfer.parseImport's.
+
+const TAB_WIDTH = 4;
+const MAX_OUTLINE_ITEMS = 500;
+const BULLET = /^(?:[-*+]|\d+[.)])\s+/;
+const COUNTER = /\s*\[\s*(\d+)\s*\/\s*(\d+)\s*\]$/;
+
+// Raised for outlines that can't be added; the message is shown to the user
+class OutlineError extends Error {}
+
+const parseOutline = (text) => {
+  const roots = [];
+  // Open ancestors of the next line: { indent, node }
+  const stack = [];
+  let itemCount = 0;
+
+  String(text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    if (!rawLine.trim()) return;
+
+    const indent = rawLine.match(/^[ \t]*/)[0].replace(/\t/g, ' '.repeat(TAB_WIDTH)).length;
+    let line = rawLine.trim().replace(BULLET, '');
+
+    const node = {
+      text: null,
+      type: 'check',
+      description: null,
+      isChecked: false,
+      counterValue: 0,
+      counterTarget: null,
+      items: []
+    };
+
+    const counter = line.match(COUNTER);
+    if (counter) {
+      const target = parseInt(counter[2]);
+      if (target < 1) {
+        throw new OutlineError(`Line ${index + 1}: counter target must be at least 1`);
+      }
+      node.type = 'counter';
+      node.counterTarget = target;
+      node.counterValue = Math.min(parseInt(counter[1]), target);
+      line = line.slice(0, counter.index).trim();
+    }
+
+    if (!line) {
+      throw new OutlineError(`Line ${index + 1}: item text is missing`);
+    }
+    node.text = line;
+
+    itemCount++;
+    if (itemCount > MAX_OUTLINE_ITEMS) {
+      throw new OutlineError(`At most ${MAX_OUTLINE_ITEMS} items can be added at once`);
+    }
+
+    // The parent is the closest line above with less indentation
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].node.items : roots).push(node);
+    stack.push({ indent, node });
+  });
+
+  if (itemCount === 0) {
+    throw new OutlineError('Enter at least one item');
+  }
+
+  return { items: roots, itemCount };
+};
+
+module.exports = { OutlineError, parseOutline };
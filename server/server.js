@@ -2,54 +2,19 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const session = require('express-session');
 const path = require('path');
+const crypto = require('crypto');
 const {
-  db,
-  createUser,
-  getUserByUsername,
-  getUserById,
-  createBucketList,
-  getBucketListByCode,
-  getBucketListById,
-  getUserBucketLists,
-  addMember,
-  isMember,
-  getMembers,
-  createItem,
-  getItems,
-  toggleItem,
-  getItem,
-  updateCounter
+  createDatabase, GRID_SIZES, ROLES, PROGRESS_MODES, ITEM_TYPES, CHECKABLE_TYPES, isStateComplete
 } = require('./database');
-
-const app = express();
-const PORT = 3000;
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Session configuration
-app.use(session({
-  secret: 'bucket-list-secret-key-change-in-production',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
-  }
-}));
-
-// Serve static files
-app.use(express.static(path.join(__dirname, '..', 'public')));
-
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-  if (req.session.userId) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Authentication required' });
-  }
-};
+const { createEventHub } = require('./events');
+const config = require('./config');
+const SqliteSessionStore = require('./sessionStore');
+const { ImportError, exportJson, exportCsv, parseImport } = require('./listTransfer');
+const { OutlineError, parseOutline } = require('./outline');
+const { isValidDate, toDateString, addDays } = require('./dates');
+const { isPositiveAmount, validateUnit, parseChoiceOptions } = require('./itemValues');
+const { toICalendar } = require('./calendar');
+const { ATTACHMENT_TYPES, isImageType, formatSize, createAttachmentStore } = require('./attachments');
 
 // Helper function to generate share code
 function generateShareCode() {
@@ -61,373 +26,2447 @@ function generateShareCode() {
   return code;
 }
 
-// API Routes
+const MAX_COMMENT_LENGTH = 2000;
+
+// Error message for a comment body that can't be saved, or null
+function validateCommentBody(body) {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return 'Comment text is required';
+  }
+  if (body.trim().length > MAX_COMMENT_LENGTH) {
+    return `Comments can be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+}
+
+const MAX_COUNTER_DELTA = 1000000;
+
+// A counter delta as a whole number (a JSON number or an integer string),
+// or null when it isn't one or is too large to be a real step
+function parseCounterDelta(delta) {
+  let value = null;
+  if (typeof delta === 'number') {
+    value = delta;
+  } else if (typeof delta === 'string' && /^-?\d+$/.test(delta)) {
+    value = Number(delta);
+  }
+  if (!Number.isSafeInteger(value) || Math.abs(value) > MAX_COUNTER_DELTA) {
+    return null;
+  }
+  return value;
+}
 
-// Registration
-app.post('/api/register', async (req, res) => {
-  try {
-    const { username, password } = req.body;
+// Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC)
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
 
-    // Validation
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+// Build the app around its own database and event hub. Options default to
+// the values from config.js; tests pass { dbPath: ':memory:' }.
+function createApp(options = {}) {
+  const {
+    dbPath = config.dbPath,
+    sessionSecret = config.sessionSecret,
+    sessionMaxAge = config.sessionMaxAge,
+    uploadsDir = config.uploadsDir,
+    maxUploadSize = config.maxUploadSize
+  } = options;
+
+  const database = createDatabase(dbPath);
+  const {
+    db,
+    createUser,
+    getUserByUsername,
+    getUserById,
+    getPasswordHash,
+    updateUsername,
+    updatePasswordHash,
+    deleteUser,
+    createBucketList,
+    importBucketList,
+    cloneBucketList,
+    getBucketListByCode,
+    getBucketListById,
+    renameBucketList,
+    updateShareCode,
+    updateJoinSettings,
+    setProgressMode,
+    deleteBucketList,
+    getUserBucketLists,
+    getCompletion,
+    getStats,
+    addMember,
+    removeMember,
+    isMember,
+    getMemberRole,
+    hasRole,
+    setMemberRole,
+    countOwners,
+    getMembers,
+    setCalendarToken,
+    getCalendarToken,
+    getMemberByCalendarToken,
+    getDueItems,
+    searchItems,
+    createItem,
+    createItemTree,
+    getItems,
+    toggleItem,
+    getItem,
+    getMemberProgress,
+    updateItem,
+    moveItem,
+    syncAutoComplete,
+    getDescendantIds,
+    deleteItem,
+    updateCounter,
+    getCounterChanges,
+    getUndoableCounterChange,
+    undoCounterChange,
+    updateNumeric,
+    setVote,
+    chooseOption,
+    setRating,
+    addAttachment,
+    getAttachment,
+    deleteAttachment,
+    getAttachmentFiles,
+    getListAttachmentFiles,
+    hasProof,
+    createComment,
+    getComments,
+    getComment,
+    updateComment,
+    deleteComment,
+    setGrid,
+    getGrid,
+    getBingos,
+    createTemplate,
+    getTemplates,
+    getTemplateById,
+    deleteTemplate,
+    createBucketListFromTemplate,
+    syncBingos,
+    logActivity,
+    getActivity
+  } = database;
+  const { subscribe, publish, disconnect } = createEventHub();
+  const attachmentStore = createAttachmentStore(uploadsDir);
+  const sessionStore = new SqliteSessionStore(db);
+
+  const app = express();
+
+  // Keep a handle on the database, e.g. for closing it in tests
+  app.locals.db = db;
+
+  // Middleware
+  // Imported list files arrive as JSON strings, so allow more than the default 100kb
+  app.use(express.json({ limit: '2mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Session configuration
+  app.use(session({
+    store: sessionStore,
+    secret: sessionSecret,
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      maxAge: sessionMaxAge
     }
+  }));
 
-    if (username.length < 3) {
-      return res.status(400).json({ error: 'Username must be at least 3 characters' });
-    }
+  // Serve static files
+  app.use(express.static(path.join(__dirname, '..', 'public')));
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  // Authentication middleware
+  const requireAuth = (req, res, next) => {
+    if (req.session.userId) {
+      next();
+    } else {
+      res.status(401).json({ error: 'Authentication required' });
     }
+  };
+
+  // Uploads are the raw request body, up to maxUploadSize bytes
+  const parseUpload = express.raw({ type: () => true, limit: maxUploadSize });
+  const readUpload = (req, res, next) => {
+    parseUpload(req, res, (error) => {
+      if (error && error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Files can be at most ${formatSize(maxUploadSize)}` });
+      }
+      next(error);
+    });
+  };
+
+  // Share code that no other list uses yet, or null if none was found
+  function generateUniqueShareCode() {
+    for (let attempts = 0; attempts < 10; attempts++) {
+      const shareCode = generateShareCode();
+      if (!getBucketListByCode(shareCode)) {
+        return shareCode;
+      }
+    }
+    return null;
+  }
+
+  // Push a change to everyone watching a list, along with the current
+  // bingo card so clients can redraw it without refetching
+  function publishListEvent(bucketListId, type, actorId, data = {}) {
+    publish(bucketListId, type, {
+      ...data,
+      actorId: parseInt(actorId),
+      grid: getGrid(bucketListId),
+      allBingos: getBingos(bucketListId)
+    });
+  }
 
-    // Check if user exists
-    const existingUser = getUserByUsername(username);
-    if (existingUser) {
-      return res.status(400).json({ error: 'Username already exists' });
+  // Re-check auto-completing parents after their sub-items changed; returns
+  // the parents that changed so they can be sent along with the change
+  function syncParents(bucketListId, userId) {
+    return syncAutoComplete(bucketListId, userId).map(id => getItem(id));
+  }
+
+  // Share a counter change (and the parents and bingo lines it completed),
+  // log what was applied after clamping, and return the response body.
+  // `clamped` tells the member part of the delta didn't fit.
+  function publishCounterChange(item, change, userId) {
+    const updatedItem = getItem(item.id);
+    const parents = syncParents(item.bucket_list_id, userId);
+    const bingos = syncBingos(item.bucket_list_id, userId);
+    publishListEvent(item.bucket_list_id, 'counter-changed', userId, { item: updatedItem, parents, bingos, change });
+
+    if (change.delta !== 0) {
+      recordActivity(item.bucket_list_id, userId, 'counter_changed', item.id, {
+        text: item.text,
+        delta: change.delta,
+        requested_delta: change.requested_delta,
+        value: change.value,
+        target: updatedItem.counter_target,
+        individual: !!item.individual,
+        ...(change.undo_of ? { undo: true } : {})
+      });
     }
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+    return { item: updatedItem, parents, bingos, change, clamped: change.clamped };
+  }
 
-    // Create user
-    const result = createUser(username, passwordHash);
-    
-    // Set session
-    req.session.userId = result.lastInsertRowid;
-    req.session.username = username;
-
-    res.json({ 
-      success: true, 
-      user: { 
-        id: result.lastInsertRowid, 
-        username 
-      } 
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+  function generateCalendarToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  function calendarUrl(req, bucketListId, token) {
+    return `${req.protocol}://${req.get('host')}/api/bucket-lists/${bucketListId}/calendar.ics?token=${token}`;
+  }
+
+  // Record a change in the list's activity log and show it to live viewers
+  function recordActivity(bucketListId, userId, action, itemId = null, details = null) {
+    const entry = logActivity(bucketListId, userId, action, itemId, details);
+    publish(bucketListId, 'activity-added', { entry });
+    return entry;
   }
-});
 
-// Login
-app.post('/api/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
+  // API Routes
+
+  // Registration
+  app.post('/api/register', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      // Validation
+      if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      if (username.length < 3) {
+        return res.status(400).json({ error: 'Username must be at least 3 characters' });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      }
+
+      // Check if user exists
+      const existingUser = getUserByUsername(username);
+      if (existingUser) {
+        return res.status(400).json({ error: 'Username already exists' });
+      }
+
+      // Hash password
+      const passwordHash = await bcrypt.hash(password, 10);
+
+      // Create user
+      const result = createUser(username, passwordHash);
+    
+      // Set session
+      req.session.userId = result.lastInsertRowid;
+      req.session.username = username;
+
+      res.json({ 
+        success: true, 
+        user: { 
+          id: result.lastInsertRowid, 
+          username 
+        } 
+      });
+    } catch (error) {
+      console.error('Registration error:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  // Login
+  app.post('/api/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
 
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+      if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      // Get user
+      const user = getUserByUsername(username);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      // Verify password
+      const isValid = await bcrypt.compare(password, user.password_hash);
+      if (!isValid) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      // Set session
+      req.session.userId = user.id;
+      req.session.username = user.username;
+
+      res.json({ 
+        success: true, 
+        user: { 
+          id: user.id, 
+          username: user.username 
+        } 
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Login failed' });
     }
+  });
+
+  // Logout
+  app.post('/api/logout', (req, res) => {
+    req.session.destroy((err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Logout failed' });
+      }
+      res.json({ success: true });
+    });
+  });
 
-    // Get user
-    const user = getUserByUsername(username);
+  // Check authentication status
+  app.get('/api/me', requireAuth, (req, res) => {
+    const user = getUserById(req.session.userId);
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return res.status(404).json({ error: 'User not found' });
     }
+    res.json({ user });
+  });
+
+  // Change username (same rules as registering)
+  app.patch('/api/account/username', requireAuth, (req, res) => {
+    try {
+      const { username } = req.body;
+
+      if (!username || typeof username !== 'string') {
+        return res.status(400).json({ error: 'Username is required' });
+      }
+
+      if (username.length < 3) {
+        return res.status(400).json({ error: 'Username must be at least 3 characters' });
+      }
+
+      const existingUser = getUserByUsername(username);
+      if (existingUser && existingUser.id !== parseInt(req.session.userId)) {
+        return res.status(400).json({ error: 'Username already exists' });
+      }
+
+      updateUsername(req.session.userId, username);
+      req.session.username = username;
 
-    // Verify password
-    const isValid = await bcrypt.compare(password, user.password_hash);
-    if (!isValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      // Fellow members see the new name straight away
+      getUserBucketLists(req.session.userId).forEach(bucketList => {
+        const member = getMembers(bucketList.id).find(candidate => candidate.id === parseInt(req.session.userId));
+        publishListEvent(bucketList.id, 'member-updated', req.session.userId, { member });
+      });
+
+      res.json({ success: true, user: getUserById(req.session.userId) });
+    } catch (error) {
+      console.error('Change username error:', error);
+      res.status(500).json({ error: 'Failed to change username' });
     }
+  });
 
-    // Set session
-    req.session.userId = user.id;
-    req.session.username = user.username;
+  // Change password; other sessions are signed out
+  app.patch('/api/account/password', requireAuth, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
 
-    res.json({ 
-      success: true, 
-      user: { 
-        id: user.id, 
-        username: user.username 
-      } 
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
-  }
-});
+      if (!currentPassword || !newPassword || typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ error: 'Current and new password are required' });
+      }
+
+      if (newPassword.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      }
+
+      const isValid = await bcrypt.compare(currentPassword, getPasswordHash(req.session.userId) || '');
+      if (!isValid) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+
+      updatePasswordHash(req.session.userId, await bcrypt.hash(newPassword, 10));
+      sessionStore.destroyUserSessions(req.session.userId, req.sessionID);
 
-// Logout
-app.post('/api/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      return res.status(500).json({ error: 'Logout failed' });
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ error: 'Failed to change password' });
     }
-    res.json({ success: true });
   });
-});
 
-// Check authentication status
-app.get('/api/me', requireAuth, (req, res) => {
-  const user = getUserById(req.session.userId);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
-  res.json({ user });
-});
+  // Delete the account after checking the password (see deleteUser for
+  // what happens to the user's lists)
+  app.delete('/api/account', requireAuth, async (req, res) => {
+    try {
+      const { password } = req.body;
+
+      if (!password || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Password is required' });
+      }
 
-// Create bucket list
-app.post('/api/bucket-lists', requireAuth, (req, res) => {
-  try {
-    const { name } = req.body;
+      const isValid = await bcrypt.compare(password, getPasswordHash(req.session.userId) || '');
+      if (!isValid) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
 
-    if (!name || name.trim().length === 0) {
-      return res.status(400).json({ error: 'Bucket list name is required' });
+      const userId = parseInt(req.session.userId);
+      const { deletedListIds, leftListIds, newOwners, files } = deleteUser(userId);
+      attachmentStore.remove(files);
+
+      deletedListIds.forEach(bucketListId => {
+        publish(bucketListId, 'list-deleted', { actorId: userId });
+        disconnect(bucketListId);
+      });
+
+      // The account is gone, so these are logged without a member
+      leftListIds.forEach(bucketListId => {
+        const parents = syncParents(bucketListId, null);
+        syncBingos(bucketListId, null);
+        disconnect(bucketListId, userId);
+        publishListEvent(bucketListId, 'member-left', userId, { userId, parents });
+        recordActivity(bucketListId, null, 'account_deleted');
+      });
+      newOwners.forEach(({ bucketListId, userId: ownerId, username, from }) => {
+        const member = getMembers(bucketListId).find(candidate => candidate.id === ownerId);
+        publishListEvent(bucketListId, 'member-updated', userId, { member });
+        recordActivity(bucketListId, null, 'member_role_changed', null, { username, from, to: 'owner' });
+      });
+
+      sessionStore.destroyUserSessions(userId);
+      req.session.destroy(() => {
+        res.json({ success: true, deletedListIds, transferredListIds: newOwners.map(owner => owner.bucketListId) });
+      });
+    } catch (error) {
+      console.error('Delete account error:', error);
+      res.status(500).json({ error: 'Failed to delete account' });
     }
+  });
+
+  // Create bucket list
+  app.post('/api/bucket-lists', requireAuth, (req, res) => {
+    try {
+      const { name } = req.body;
+
+      if (!name || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Bucket list name is required' });
+      }
+
+      // Generate unique share code
+      const shareCode = generateUniqueShareCode();
+      if (!shareCode) {
+        return res.status(500).json({ error: 'Failed to generate unique share code' });
+      }
 
-    // Generate unique share code
-    let shareCode = generateShareCode();
-    let attempts = 0;
-    while (getBucketListByCode(shareCode) && attempts < 10) {
-      shareCode = generateShareCode();
-      attempts++;
+      // Create bucket list
+      const result = createBucketList(name.trim(), shareCode, req.session.userId);
+      const bucketList = getBucketListById(result.lastInsertRowid);
+
+      res.json({ success: true, bucketList });
+    } catch (error) {
+      console.error('Create bucket list error:', error);
+      res.status(500).json({ error: 'Failed to create bucket list' });
     }
+  });
+
+  // Join bucket list
+  app.post('/api/bucket-lists/join', requireAuth, (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code || code.trim().length === 0) {
+        return res.status(400).json({ error: 'Share code is required' });
+      }
+
+      const bucketList = getBucketListByCode(code.trim().toUpperCase());
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Owners can close the list to new members or let the code expire
+      if (!bucketList.join_enabled) {
+        return res.status(403).json({ error: 'This bucket list is not accepting new members' });
+      }
+
+      if (bucketList.share_code_expires_at && bucketList.share_code_expires_at <= toSqliteTimestamp(new Date())) {
+        return res.status(403).json({ error: 'This share code has expired' });
+      }
+
+      // Ensure userId is valid
+      const userId = parseInt(req.session.userId);
+      const bucketListId = parseInt(bucketList.id);
+
+      if (isNaN(userId) || isNaN(bucketListId)) {
+        return res.status(500).json({ error: 'Invalid user or bucket list ID' });
+      }
+
+      // Check if already a member
+      if (isMember(bucketListId, userId)) {
+        return res.status(400).json({ error: 'Already a member of this bucket list' });
+      }
 
-    if (attempts >= 10) {
-      return res.status(500).json({ error: 'Failed to generate unique share code' });
+      // Add member; individual items (and parents that follow them) are no longer done by everyone
+      addMember(bucketListId, userId);
+      const parents = syncParents(bucketListId, null);
+      syncBingos(bucketListId, null);
+
+      const member = getMembers(bucketListId).find(m => m.id === userId);
+      publishListEvent(bucketListId, 'member-joined', userId, { member, parents });
+      recordActivity(bucketListId, userId, 'member_joined');
+
+      res.json({ success: true, bucketList });
+    } catch (error) {
+      console.error('Join bucket list error:', error);
+      res.status(500).json({ error: 'Failed to join bucket list' });
     }
+  });
 
-    // Create bucket list
-    const result = createBucketList(name.trim(), shareCode, req.session.userId);
-    const bucketList = getBucketListById(result.lastInsertRowid);
+  // Create a new list from an exported JSON or CSV file
+  app.post('/api/bucket-lists/import', requireAuth, (req, res) => {
+    try {
+      const { format, data, name } = req.body;
 
-    res.json({ success: true, bucketList });
-  } catch (error) {
-    console.error('Create bucket list error:', error);
-    res.status(500).json({ error: 'Failed to create bucket list' });
-  }
-});
+      if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'Format must be "json" or "csv"' });
+      }
+
+      const parsed = parseImport(format, data);
+      const listName = (typeof name === 'string' && name.trim()) || parsed.name;
+      if (!listName) {
+        return res.status(400).json({ error: 'Bucket list name is required' });
+      }
+
+      const shareCode = generateUniqueShareCode();
+      if (!shareCode) {
+        return res.status(500).json({ error: 'Failed to generate unique share code' });
+      }
 
-// Join bucket list
-app.post('/api/bucket-lists/join', requireAuth, (req, res) => {
-  try {
-    const { code } = req.body;
+      const bucketListId = importBucketList(listName, shareCode, req.session.userId, parsed.items);
+      // Files may disagree with their own auto-complete rules
+      syncAutoComplete(bucketListId, req.session.userId);
+      recordActivity(bucketListId, req.session.userId, 'list_imported', null, { item_count: parsed.itemCount });
 
-    if (!code || code.trim().length === 0) {
-      return res.status(400).json({ error: 'Share code is required' });
+      res.json({ success: true, bucketList: getBucketListById(bucketListId) });
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Import bucket list error:', error);
+      res.status(500).json({ error: 'Failed to import bucket list' });
     }
+  });
 
-    const bucketList = getBucketListByCode(code.trim().toUpperCase());
-    if (!bucketList) {
-      return res.status(404).json({ error: 'Bucket list not found' });
+  // Get user's bucket lists
+  app.get('/api/bucket-lists', requireAuth, (req, res) => {
+    try {
+      // Each card shows how far along its list is
+      const bucketLists = getUserBucketLists(req.session.userId).map(bucketList => ({
+        ...bucketList,
+        completion: getCompletion(bucketList.id)
+      }));
+      res.json({ bucketLists });
+    } catch (error) {
+      console.error('Get bucket lists error:', error);
+      res.status(500).json({ error: 'Failed to get bucket lists' });
     }
+  });
 
-    // Ensure userId is valid
-    const userId = parseInt(req.session.userId);
-    const bucketListId = parseInt(bucketList.id);
+  // Unfinished items that are overdue or due within `days` (default 14),
+  // across all of the user's lists
+  app.get('/api/due-items', requireAuth, (req, res) => {
+    try {
+      const days = req.query.days === undefined ? 14 : parseInt(req.query.days);
+      if (isNaN(days) || days < 0 || days > 365) {
+        return res.status(400).json({ error: 'Days must be between 0 and 365' });
+      }
+
+      const today = toDateString(new Date());
+      const items = getDueItems(req.session.userId, addDays(today, days)).map(item => ({
+        ...item,
+        overdue: item.due_date < today
+      }));
 
-    if (isNaN(userId) || isNaN(bucketListId)) {
-      return res.status(500).json({ error: 'Invalid user or bucket list ID' });
+      res.json({ today, items });
+    } catch (error) {
+      console.error('Get due items error:', error);
+      res.status(500).json({ error: 'Failed to get due items' });
     }
+  });
+
+  // Search item text and descriptions across the user's lists
+  app.get('/api/search', requireAuth, (req, res) => {
+    try {
+      const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      if (!query) {
+        return res.status(400).json({ error: 'Search text is required' });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-    // Check if already a member
-    if (isMember(bucketListId, userId)) {
-      return res.status(400).json({ error: 'Already a member of this bucket list' });
+      res.json({ results: searchItems(req.session.userId, query, limit) });
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ error: 'Failed to search' });
     }
+  });
 
-    // Add member
-    addMember(bucketListId, userId);
+  // Get specific bucket list with items
+  app.get('/api/bucket-lists/:id', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
 
-    res.json({ success: true, bucketList });
-  } catch (error) {
-    console.error('Join bucket list error:', error);
-    res.status(500).json({ error: 'Failed to join bucket list' });
-  }
-});
-
-// Get user's bucket lists
-app.get('/api/bucket-lists', requireAuth, (req, res) => {
-  try {
-    const bucketLists = getUserBucketLists(req.session.userId);
-    res.json({ bucketLists });
-  } catch (error) {
-    console.error('Get bucket lists error:', error);
-    res.status(500).json({ error: 'Failed to get bucket lists' });
-  }
-});
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      // Get items, members and the bingo card layout
+      const items = getItems(bucketListId);
+      const members = getMembers(bucketListId);
+      const grid = getGrid(bucketListId);
+      const bingos = getBingos(bucketListId);
+      const role = getMemberRole(bucketListId, req.session.userId);
+
+      res.json({ 
+        bucketList, 
+        items, 
+        members,
+        grid,
+        bingos,
+        role
+      });
+    } catch (error) {
+      console.error('Get bucket list error:', error);
+      res.status(500).json({ error: 'Failed to get bucket list' });
+    }
+  });
+
+  // Completion, member leaderboard and completions over time
+  app.get('/api/bucket-lists/:id/stats', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
 
-// Get specific bucket list with items
-app.get('/api/bucket-lists/:id', requireAuth, (req, res) => {
-  try {
-    const bucketListId = parseInt(req.params.id);
-    const bucketList = getBucketListById(bucketListId);
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
 
-    if (!bucketList) {
-      return res.status(404).json({ error: 'Bucket list not found' });
+      res.json({ stats: getStats(bucketListId) });
+    } catch (error) {
+      console.error('Get stats error:', error);
+      res.status(500).json({ error: 'Failed to get stats' });
     }
+  });
+
+  // Get a page of the list's activity log, newest first
+  app.get('/api/bucket-lists/:id/activity', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const before = req.query.before ? parseInt(req.query.before) : null;
+
+      if (req.query.before !== undefined && (isNaN(before) || before < 1)) {
+        return res.status(400).json({ error: 'Invalid "before" cursor' });
+      }
+
+      // Fetch one extra entry to know whether there is another page
+      const entries = getActivity(bucketListId, { limit: limit + 1, before });
+      const activity = entries.slice(0, limit);
 
-    // Check if user is a member
-    if (!isMember(bucketListId, req.session.userId)) {
-      return res.status(403).json({ error: 'Access denied' });
+      res.json({ activity, hasMore: entries.length > limit });
+    } catch (error) {
+      console.error('Get activity error:', error);
+      res.status(500).json({ error: 'Failed to get activity' });
     }
+  });
 
-    // Get items and members
-    const items = getItems(bucketListId);
-    const members = getMembers(bucketListId);
+  // Download the list and its items as JSON or CSV
+  app.get('/api/bucket-lists/:id/export', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const format = req.query.format || 'json';
 
-    res.json({ 
-      bucketList, 
-      items, 
-      members 
-    });
-  } catch (error) {
-    console.error('Get bucket list error:', error);
-    res.status(500).json({ error: 'Failed to get bucket list' });
-  }
-});
+      if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'Format must be "json" or "csv"' });
+      }
+
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
 
-// Add item to bucket list
-app.post('/api/items', requireAuth, (req, res) => {
-  try {
-    const { 
-      bucket_list_id, 
-      text, 
-      type = 'check',
-      description = null,
-      parent_item_id = null,
-      counter_target = null
-    } = req.body;
+      const items = getItems(bucketListId);
+      const fileName = bucketList.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'bucket-list';
 
-    if (!bucket_list_id || !text || text.trim().length === 0) {
-      return res.status(400).json({ error: 'Bucket list ID and item text are required' });
+      res.attachment(`${fileName}.${format}`);
+      if (format === 'csv') {
+        res.type('text/csv').send(exportCsv(items));
+      } else {
+        res.type('application/json').send(exportJson(bucketList, items));
+      }
+    } catch (error) {
+      console.error('Export bucket list error:', error);
+      res.status(500).json({ error: 'Failed to export bucket list' });
     }
+  });
+
+  // The member's calendar feed URL, created on first use
+  app.get('/api/bucket-lists/:id/calendar-link', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      let token = getCalendarToken(bucketListId, req.session.userId);
+      if (!token) {
+        token = generateCalendarToken();
+        setCalendarToken(bucketListId, req.session.userId, token);
+      }
 
-    // Validate type
-    if (type !== 'check' && type !== 'counter') {
-      return res.status(400).json({ error: 'Item type must be "check" or "counter"' });
+      res.json({ url: calendarUrl(req, bucketListId, token) });
+    } catch (error) {
+      console.error('Get calendar link error:', error);
+      res.status(500).json({ error: 'Failed to get calendar link' });
     }
+  });
+
+  // Replace the member's calendar feed URL, e.g. after sharing it by mistake
+  app.post('/api/bucket-lists/:id/calendar-link', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const token = generateCalendarToken();
+      setCalendarToken(bucketListId, req.session.userId, token);
 
-    // Verify bucket list exists
-    const bucketList = getBucketListById(parseInt(bucket_list_id));
-    if (!bucketList) {
-      return res.status(404).json({ error: 'Bucket list not found' });
+      res.json({ url: calendarUrl(req, bucketListId, token) });
+    } catch (error) {
+      console.error('Reset calendar link error:', error);
+      res.status(500).json({ error: 'Failed to reset calendar link' });
     }
+  });
+
+  // iCalendar feed of the list's due dates. Calendar apps fetch it without
+  // a session, so the member's calendar token in the URL works as well.
+  app.get('/api/bucket-lists/:id/calendar.ics', (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      let userId = req.session.userId;
+      if (req.query.token) {
+        const member = getMemberByCalendarToken(req.query.token);
+        userId = member && member.bucket_list_id === bucketListId ? member.user_id : null;
+      }
+
+      if (!userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+      }
 
-    // Check if user is a member
-    if (!isMember(parseInt(bucket_list_id), req.session.userId)) {
-      return res.status(403).json({ error: 'Access denied' });
+      // Check if user is a member
+      if (!isMember(bucketListId, userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      // Individual items show the member's own progress
+      const isDone = (item) => isStateComplete(item, item.individual ? getMemberProgress(item, userId) : item);
+
+      res.type('text/calendar').send(toICalendar(bucketList, getItems(bucketListId), isDone));
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      res.status(500).json({ error: 'Failed to get calendar' });
     }
+  });
 
-    // Validate parent_item_id if provided
-    if (parent_item_id !== null && parent_item_id !== undefined) {
-      const parentItem = getItem(parseInt(parent_item_id));
-      if (!parentItem) {
-        return res.status(404).json({ error: 'Parent item not found' });
+  // Live updates for a bucket list (Server-Sent Events)
+  app.get('/api/bucket-lists/:id/events', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
       }
-      if (parentItem.bucket_list_id !== parseInt(bucket_list_id)) {
-        return res.status(400).json({ error: 'Parent item must belong to the same bucket list' });
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
       }
+
+      subscribe(bucketListId, req, res);
+    } catch (error) {
+      console.error('Bucket list events error:', error);
+      res.status(500).json({ error: 'Failed to open event stream' });
     }
+  });
 
-    // Create item with new fields
-    const options = {
-      type,
-      description: description && description.trim() ? description.trim() : null,
-      parentItemId: parent_item_id ? parseInt(parent_item_id) : null,
-      counterValue: 0,
-      counterTarget: counter_target ? parseInt(counter_target) : null
-    };
+  // Rename bucket list
+  app.patch('/api/bucket-lists/:id', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const { name } = req.body;
 
-    const result = createItem(parseInt(bucket_list_id), text.trim(), options);
-    const item = getItem(result.lastInsertRowid);
+      if (!name || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Bucket list name is required' });
+      }
 
-    res.json({ success: true, item });
-  } catch (error) {
-    console.error('Create item error:', error);
-    res.status(500).json({ error: 'Failed to create item' });
-  }
-});
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can rename this bucket list' });
+      }
 
-// Toggle item checkbox
-app.patch('/api/items/:id/toggle', requireAuth, (req, res) => {
-  try {
-    const itemId = parseInt(req.params.id);
-    const item = getItem(itemId);
+      renameBucketList(bucketListId, name.trim());
 
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
+      const updatedList = getBucketListById(bucketListId);
+      publishListEvent(bucketListId, 'list-updated', req.session.userId, { bucketList: updatedList });
+      recordActivity(bucketListId, req.session.userId, 'list_renamed', null, { from: bucketList.name, to: updatedList.name });
 
-    // Only allow toggling for 'check' type items
-    if (item.type !== 'check') {
-      return res.status(400).json({ error: 'Only checkbox items can be toggled' });
+      res.json({ success: true, bucketList: updatedList });
+    } catch (error) {
+      console.error('Rename bucket list error:', error);
+      res.status(500).json({ error: 'Failed to rename bucket list' });
     }
+  });
+
+  // Delete bucket list (owners only)
+  app.delete('/api/bucket-lists/:id', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can delete this bucket list' });
+      }
 
-    // Check if user is a member of the bucket list
-    if (!isMember(item.bucket_list_id, req.session.userId)) {
-      return res.status(403).json({ error: 'Access denied' });
+      const files = getListAttachmentFiles(bucketListId);
+      deleteBucketList(bucketListId);
+      attachmentStore.remove(files);
+      publish(bucketListId, 'list-deleted', { actorId: parseInt(req.session.userId) });
+      disconnect(bucketListId);
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete bucket list error:', error);
+      res.status(500).json({ error: 'Failed to delete bucket list' });
     }
+  });
 
-    // Toggle item
-    const newCheckedState = !item.is_checked;
-    toggleItem(itemId, req.session.userId, newCheckedState);
+  // Leave bucket list
+  app.post('/api/bucket-lists/:id/leave', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
 
-    // Get updated item
-    const updatedItem = getItem(itemId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
 
-    res.json({ success: true, item: updatedItem });
-  } catch (error) {
-    console.error('Toggle item error:', error);
-    res.status(500).json({ error: 'Failed to toggle item' });
-  }
-});
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(400).json({ error: 'Not a member of this bucket list' });
+      }
 
-// Update counter item
-app.post('/api/items/:id/counter', requireAuth, (req, res) => {
-  try {
-    const itemId = parseInt(req.params.id);
-    const { delta } = req.body;
+      // Someone has to stay in charge of the list
+      if (getMemberRole(bucketListId, req.session.userId) === 'owner' && countOwners(bucketListId) === 1) {
+        return res.status(400).json({ error: 'The only owner cannot leave; make another member an owner or delete the list' });
+      }
 
-    if (delta === undefined || delta === null) {
-      return res.status(400).json({ error: 'Delta value is required' });
+      removeMember(bucketListId, req.session.userId);
+      const parents = syncParents(bucketListId, null);
+      syncBingos(bucketListId, null);
+      disconnect(bucketListId, req.session.userId);
+      publishListEvent(bucketListId, 'member-left', req.session.userId, { userId: parseInt(req.session.userId), parents });
+      recordActivity(bucketListId, req.session.userId, 'member_left');
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Leave bucket list error:', error);
+      res.status(500).json({ error: 'Failed to leave bucket list' });
     }
+  });
+
+  // Change a member's role (owners only)
+  app.patch('/api/bucket-lists/:id/members/:userId', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const memberId = parseInt(req.params.userId);
+      const { role } = req.body;
 
-    const item = getItem(itemId);
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+      }
+
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can manage members' });
+      }
+
+      const currentRole = getMemberRole(bucketListId, memberId);
+      if (!currentRole) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      if (currentRole === 'owner' && role !== 'owner' && countOwners(bucketListId) === 1) {
+        return res.status(400).json({ error: 'A bucket list needs at least one owner' });
+      }
+
+      setMemberRole(bucketListId, memberId, role);
+
+      const member = getMembers(bucketListId).find(m => m.id === memberId);
+      publishListEvent(bucketListId, 'member-updated', req.session.userId, { member });
+      if (currentRole !== role) {
+        recordActivity(bucketListId, req.session.userId, 'member_role_changed', null, {
+          username: member.username,
+          from: currentRole,
+          to: role
+        });
+      }
+
+      res.json({ success: true, member });
+    } catch (error) {
+      console.error('Update member role error:', error);
+      res.status(500).json({ error: 'Failed to update member role' });
     }
+  });
 
-    // Only allow updating counters
-    if (item.type !== 'counter') {
-      return res.status(400).json({ error: 'Only counter items can be updated' });
+  // Remove a member (owners only)
+  app.delete('/api/bucket-lists/:id/members/:userId', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const memberId = parseInt(req.params.userId);
+
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can manage members' });
+      }
+
+      if (memberId === parseInt(req.session.userId)) {
+        return res.status(400).json({ error: 'Use leave to remove yourself from a bucket list' });
+      }
+
+      const member = getMembers(bucketListId).find(m => m.id === memberId);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      removeMember(bucketListId, memberId);
+      const parents = syncParents(bucketListId, null);
+      syncBingos(bucketListId, null);
+
+      // Let everyone know, including the removed member, then stop their updates
+      publishListEvent(bucketListId, 'member-left', req.session.userId, { userId: memberId, parents });
+      disconnect(bucketListId, memberId);
+      recordActivity(bucketListId, req.session.userId, 'member_removed', null, { username: member.username });
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Remove member error:', error);
+      res.status(500).json({ error: 'Failed to remove member' });
     }
+  });
+
+  // Replace the share code (owners only); the old code stops working
+  app.post('/api/bucket-lists/:id/share-code', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can change the share code' });
+      }
+
+      const shareCode = generateUniqueShareCode();
+      if (!shareCode) {
+        return res.status(500).json({ error: 'Failed to generate unique share code' });
+      }
+
+      updateShareCode(bucketListId, shareCode);
 
-    // Check if user is a member of the bucket list
-    if (!isMember(item.bucket_list_id, req.session.userId)) {
-      return res.status(403).json({ error: 'Access denied' });
+      const updatedList = getBucketListById(bucketListId);
+      publishListEvent(bucketListId, 'list-updated', req.session.userId, { bucketList: updatedList });
+      recordActivity(bucketListId, req.session.userId, 'share_code_rotated');
+
+      res.json({ success: true, bucketList: updatedList });
+    } catch (error) {
+      console.error('Rotate share code error:', error);
+      res.status(500).json({ error: 'Failed to change share code' });
     }
+  });
 
-    // Update counter
-    updateCounter(itemId, parseInt(delta));
+  // Update joining rules (owners only)
+  app.patch('/api/bucket-lists/:id/sharing', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const { join_enabled, share_code_expires_at } = req.body;
 
-    // Get updated item
-    const updatedItem = getItem(itemId);
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
 
-    res.json({ success: true, item: updatedItem });
-  } catch (error) {
-    console.error('Update counter error:', error);
-    res.status(500).json({ error: error.message || 'Failed to update counter' });
-  }
-});
-
-// Start server
-const server = app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
-
-// Handle server errors gracefully
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`\n❌ Error: Port ${PORT} is already in use.\n`);
-    console.log('Please either:');
-    console.log(`  1. Stop the process using port ${PORT}:`);
-    console.log(`     lsof -ti:${PORT} | xargs kill -9`);
-    console.log(`  2. Or change the PORT in server.js to use a different port\n`);
-    process.exit(1);
-  } else {
-    console.error('Server error:', error);
-    process.exit(1);
-  }
-});
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can change sharing settings' });
+      }
+
+      // Missing fields keep their current value
+      const joinEnabled = join_enabled !== undefined ? !!join_enabled : !!bucketList.join_enabled;
+      let expiresAt = bucketList.share_code_expires_at;
+
+      if (share_code_expires_at !== undefined) {
+        if (share_code_expires_at === null || share_code_expires_at === '') {
+          expiresAt = null;
+        } else {
+          const expiryDate = new Date(share_code_expires_at);
+          if (isNaN(expiryDate.getTime())) {
+            return res.status(400).json({ error: 'Invalid expiry date' });
+          }
+          if (expiryDate <= new Date()) {
+            return res.status(400).json({ error: 'Expiry date must be in the future' });
+          }
+          expiresAt = toSqliteTimestamp(expiryDate);
+        }
+      }
+
+      updateJoinSettings(bucketListId, joinEnabled, expiresAt);
+
+      const updatedList = getBucketListById(bucketListId);
+      publishListEvent(bucketListId, 'list-updated', req.session.userId, { bucketList: updatedList });
+      recordActivity(bucketListId, req.session.userId, 'sharing_updated', null, {
+        join_enabled: joinEnabled,
+        expires_at: expiresAt
+      });
+
+      res.json({ success: true, bucketList: updatedList });
+    } catch (error) {
+      console.error('Update sharing settings error:', error);
+      res.status(500).json({ error: 'Failed to update sharing settings' });
+    }
+  });
+
+  // Switch between shared and individual progress for the whole list
+  // (owners only); items with their own mode keep it
+  app.patch('/api/bucket-lists/:id/progress-mode', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const { mode } = req.body;
+
+      if (!PROGRESS_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Progress mode must be one of ${PROGRESS_MODES.join(', ')}` });
+      }
+
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can change the progress mode' });
+      }
+
+      setProgressMode(bucketListId, mode);
+
+      // Which items count as done depends on the mode
+      syncParents(bucketListId, req.session.userId);
+      const bingos = syncBingos(bucketListId, req.session.userId);
+      const updatedList = getBucketListById(bucketListId);
+      const items = getItems(bucketListId);
+      publishListEvent(bucketListId, 'list-updated', req.session.userId, { bucketList: updatedList, items, bingos });
+      recordActivity(bucketListId, req.session.userId, 'progress_mode_changed', null, { mode });
+
+      res.json({ success: true, bucketList: updatedList, items, bingos });
+    } catch (error) {
+      console.error('Update progress mode error:', error);
+      res.status(500).json({ error: 'Failed to update progress mode' });
+    }
+  });
+
+  // Configure bingo card grid (size null/0 turns the card off)
+  app.put('/api/bucket-lists/:id/grid', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const { size = null, free_center = false, layout = null } = req.body;
+      const bucketList = getBucketListById(bucketListId);
+
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can change the bingo card' });
+      }
+
+      const gridSize = size ? parseInt(size) : null;
+      if (gridSize !== null && !GRID_SIZES.includes(gridSize)) {
+        return res.status(400).json({ error: `Grid size must be one of ${GRID_SIZES.join(', ')}` });
+      }
+
+      if (gridSize && free_center && gridSize % 2 === 0) {
+        return res.status(400).json({ error: 'A free center square requires an odd grid size' });
+      }
+
+      // Validate custom layout: top-level items of this list, each used once
+      if (layout !== null && layout !== undefined) {
+        if (!gridSize || !Array.isArray(layout) || layout.length > gridSize * gridSize) {
+          return res.status(400).json({ error: 'Layout must be an array with at most one entry per square' });
+        }
+
+        const seen = new Set();
+        for (const cell of layout) {
+          if (cell === null) continue;
+          const cellItem = getItem(parseInt(cell));
+          if (!cellItem || cellItem.bucket_list_id !== bucketListId || cellItem.parent_item_id) {
+            return res.status(400).json({ error: 'Layout may only contain top-level items of this bucket list' });
+          }
+          if (seen.has(cellItem.id)) {
+            return res.status(400).json({ error: 'Each item can only appear once on the card' });
+          }
+          seen.add(cellItem.id);
+        }
+      }
+
+      setGrid(bucketListId, gridSize, !!free_center, layout);
+      publishListEvent(bucketListId, 'grid-updated', req.session.userId);
+      recordActivity(bucketListId, req.session.userId, 'grid_updated', null, { size: gridSize });
+
+      res.json({ success: true, grid: getGrid(bucketListId), bingos: getBingos(bucketListId) });
+    } catch (error) {
+      console.error('Update grid error:', error);
+      res.status(500).json({ error: 'Failed to update grid' });
+    }
+  });
+
+  // Copy a list's items into a new list of your own, with progress reset
+  app.post('/api/bucket-lists/:id/clone', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const { name } = req.body;
+
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const listName = name && name.trim() ? name.trim() : `${bucketList.name} (copy)`;
+      const shareCode = generateUniqueShareCode();
+      if (!shareCode) {
+        return res.status(500).json({ error: 'Failed to generate unique share code' });
+      }
+
+      const newListId = cloneBucketList(bucketListId, listName, shareCode, req.session.userId);
+      recordActivity(newListId, req.session.userId, 'list_cloned', null, { from: bucketList.name });
+
+      res.json({ success: true, bucketList: getBucketListById(newListId) });
+    } catch (error) {
+      console.error('Clone bucket list error:', error);
+      res.status(500).json({ error: 'Failed to copy bucket list' });
+    }
+  });
+
+  // Publish a snapshot of the list as a template (owners only)
+  app.post('/api/bucket-lists/:id/template', requireAuth, (req, res) => {
+    try {
+      const bucketListId = parseInt(req.params.id);
+      const { name, description } = req.body;
+
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only owners can publish this bucket list as a template' });
+      }
+
+      const templateName = name && name.trim() ? name.trim() : bucketList.name;
+      const result = createTemplate(
+        bucketListId,
+        templateName,
+        description && description.trim() ? description.trim() : null,
+        req.session.userId
+      );
+      recordActivity(bucketListId, req.session.userId, 'template_published', null, { name: templateName });
+
+      const template = getTemplates().find(t => t.id === result.lastInsertRowid);
+      res.json({ success: true, template });
+    } catch (error) {
+      console.error('Publish template error:', error);
+      res.status(500).json({ error: 'Failed to publish template' });
+    }
+  });
+
+  // Templates anyone can start a list from
+  app.get('/api/templates', requireAuth, (req, res) => {
+    try {
+      res.json({ templates: getTemplates() });
+    } catch (error) {
+      console.error('Get templates error:', error);
+      res.status(500).json({ error: 'Failed to get templates' });
+    }
+  });
+
+  // Create a new list from a template
+  app.post('/api/templates/:id/use', requireAuth, (req, res) => {
+    try {
+      const { name } = req.body;
+
+      const template = getTemplateById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      const listName = name && name.trim() ? name.trim() : template.name;
+      const shareCode = generateUniqueShareCode();
+      if (!shareCode) {
+        return res.status(500).json({ error: 'Failed to generate unique share code' });
+      }
+
+      const bucketListId = createBucketListFromTemplate(template.id, listName, shareCode, req.session.userId);
+      recordActivity(bucketListId, req.session.userId, 'list_from_template', null, { template: template.name });
+
+      res.json({ success: true, bucketList: getBucketListById(bucketListId) });
+    } catch (error) {
+      console.error('Use template error:', error);
+      res.status(500).json({ error: 'Failed to create bucket list from template' });
+    }
+  });
+
+  // Delete a template (its creator only); lists made from it are kept
+  app.delete('/api/templates/:id', requireAuth, (req, res) => {
+    try {
+      const template = getTemplateById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+
+      if (template.created_by !== parseInt(req.session.userId)) {
+        return res.status(403).json({ error: 'Only the creator can delete this template' });
+      }
+
+      deleteTemplate(template.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete template error:', error);
+      res.status(500).json({ error: 'Failed to delete template' });
+    }
+  });
+
+  // Add item to bucket list
+  app.post('/api/items', requireAuth, (req, res) => {
+    try {
+      const { 
+        bucket_list_id, 
+        text, 
+        type = 'check',
+        description = null,
+        parent_item_id = null,
+        counter_target = null,
+        auto_complete = false,
+        proof_required = false,
+        due_date = null,
+        numeric_target = null,
+        unit = null,
+        options: choiceOptions = null
+      } = req.body;
+
+      if (!bucket_list_id || !text || text.trim().length === 0) {
+        return res.status(400).json({ error: 'Bucket list ID and item text are required' });
+      }
+
+      // Validate type
+      if (!ITEM_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Item type must be one of ${ITEM_TYPES.join(', ')}` });
+      }
+
+      // Same rules as when editing the target
+      if (counter_target !== null) {
+        if (type !== 'counter') {
+          return res.status(400).json({ error: 'Only counter items have a target' });
+        }
+        if (isNaN(parseInt(counter_target)) || parseInt(counter_target) < 1) {
+          return res.status(400).json({ error: 'Counter target must be a positive number' });
+        }
+      }
+
+      if (type === 'numeric') {
+        if (numeric_target !== null && !isPositiveAmount(numeric_target)) {
+          return res.status(400).json({ error: 'Numeric target must be a positive number' });
+        }
+        const unitError = validateUnit(unit);
+        if (unitError) {
+          return res.status(400).json({ error: unitError });
+        }
+      }
+
+      let optionLabels = [];
+      if (type === 'choice') {
+        const parsed = parseChoiceOptions(choiceOptions);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        optionLabels = parsed.labels;
+      }
+
+      if (auto_complete && type !== 'check') {
+        return res.status(400).json({ error: 'Only checkbox items can complete automatically' });
+      }
+
+      if (proof_required && !CHECKABLE_TYPES.includes(type)) {
+        return res.status(400).json({ error: 'Only checkbox and rating items can require proof' });
+      }
+
+      if (due_date && !isValidDate(due_date)) {
+        return res.status(400).json({ error: 'Due date must be a date like 2025-06-30' });
+      }
+
+      // Verify bucket list exists
+      const bucketList = getBucketListById(parseInt(bucket_list_id));
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(parseInt(bucket_list_id), req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(parseInt(bucket_list_id), req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot add items' });
+      }
+
+      // Validate parent_item_id if provided
+      if (parent_item_id !== null && parent_item_id !== undefined) {
+        const parentItem = getItem(parseInt(parent_item_id));
+        if (!parentItem) {
+          return res.status(404).json({ error: 'Parent item not found' });
+        }
+        if (parentItem.bucket_list_id !== parseInt(bucket_list_id)) {
+          return res.status(400).json({ error: 'Parent item must belong to the same bucket list' });
+        }
+      }
+
+      // Create item with new fields
+      const options = {
+        type,
+        description: description && description.trim() ? description.trim() : null,
+        parentItemId: parent_item_id ? parseInt(parent_item_id) : null,
+        counterValue: 0,
+        counterTarget: counter_target !== null ? parseInt(counter_target) : null,
+        autoComplete: !!auto_complete,
+        proofRequired: !!proof_required,
+        dueDate: due_date || null,
+        numericTarget: type === 'numeric' && numeric_target !== null ? Number(numeric_target) : null,
+        unit: type === 'numeric' && unit ? unit.trim() : null,
+        choiceOptions: optionLabels
+      };
+
+      const result = createItem(parseInt(bucket_list_id), text.trim(), options);
+      const item = getItem(result.lastInsertRowid);
+
+      // A new, unfinished sub-item reopens an auto-completed parent
+      const parents = syncParents(item.bucket_list_id, req.session.userId);
+      syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'item-created', req.session.userId, { item, parents });
+      recordActivity(item.bucket_list_id, req.session.userId, 'item_created', item.id, { text: item.text, type: item.type });
+
+      res.json({ success: true, item, parents });
+    } catch (error) {
+      console.error('Create item error:', error);
+      res.status(500).json({ error: 'Failed to create item' });
+    }
+  });
+
+  // Add many items at once from pasted outline text (see outline.js)
+  app.post('/api/items/bulk', requireAuth, (req, res) => {
+    try {
+      const { bucket_list_id, text, parent_item_id = null } = req.body;
+
+      if (!bucket_list_id || !text || text.trim().length === 0) {
+        return res.status(400).json({ error: 'Bucket list ID and item text are required' });
+      }
+
+      const bucketListId = parseInt(bucket_list_id);
+      const bucketList = getBucketListById(bucketListId);
+      if (!bucketList) {
+        return res.status(404).json({ error: 'Bucket list not found' });
+      }
+
+      // Check if user is a member
+      if (!isMember(bucketListId, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(bucketListId, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot add items' });
+      }
+
+      if (parent_item_id !== null && parent_item_id !== undefined) {
+        const parentItem = getItem(parseInt(parent_item_id));
+        if (!parentItem) {
+          return res.status(404).json({ error: 'Parent item not found' });
+        }
+        if (parentItem.bucket_list_id !== bucketListId) {
+          return res.status(400).json({ error: 'Parent item must belong to the same bucket list' });
+        }
+      }
+
+      const outline = parseOutline(text);
+      const ids = createItemTree(bucketListId, req.session.userId, outline.items, parent_item_id ? parseInt(parent_item_id) : null);
+      const items = ids.map(id => getItem(id));
+      const parents = syncParents(bucketListId, req.session.userId);
+      syncBingos(bucketListId, req.session.userId);
+
+      publishListEvent(bucketListId, 'items-created', req.session.userId, { items, parents });
+      recordActivity(bucketListId, req.session.userId, 'items_bulk_created', null, { count: items.length });
+
+      res.json({ success: true, items, parents });
+    } catch (error) {
+      if (error instanceof OutlineError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Bulk create items error:', error);
+      res.status(500).json({ error: 'Failed to create items' });
+    }
+  });
+
+  // Edit item
+  app.patch('/api/items/:id', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const {
+        text, description, counter_target, parent_item_id, progress_mode, auto_complete, proof_required, due_date,
+        numeric_target, unit
+      } = req.body;
+
+      const item = getItem(itemId);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Check if user is a member of the bucket list
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      const fields = {};
+
+      if (text !== undefined) {
+        if (typeof text !== 'string' || text.trim().length === 0) {
+          return res.status(400).json({ error: 'Item text cannot be empty' });
+        }
+        fields.text = text.trim();
+      }
+
+      if (description !== undefined) {
+        if (description !== null && typeof description !== 'string') {
+          return res.status(400).json({ error: 'Description must be text' });
+        }
+        fields.description = description && description.trim() ? description.trim() : null;
+      }
+
+      if (counter_target !== undefined) {
+        if (item.type !== 'counter') {
+          return res.status(400).json({ error: 'Only counter items have a target' });
+        }
+        if (counter_target !== null && (isNaN(parseInt(counter_target)) || parseInt(counter_target) < 1)) {
+          return res.status(400).json({ error: 'Counter target must be a positive number' });
+        }
+        fields.counterTarget = counter_target !== null ? parseInt(counter_target) : null;
+      }
+
+      if (numeric_target !== undefined) {
+        if (item.type !== 'numeric') {
+          return res.status(400).json({ error: 'Only numeric items have a numeric target' });
+        }
+        if (numeric_target !== null && !isPositiveAmount(numeric_target)) {
+          return res.status(400).json({ error: 'Numeric target must be a positive number' });
+        }
+        fields.numericTarget = numeric_target !== null ? Number(numeric_target) : null;
+      }
+
+      if (unit !== undefined) {
+        if (item.type !== 'numeric') {
+          return res.status(400).json({ error: 'Only numeric items have a unit' });
+        }
+        const unitError = validateUnit(unit);
+        if (unitError) {
+          return res.status(400).json({ error: unitError });
+        }
+        fields.unit = unit ? unit.trim() : null;
+      }
+
+      // null (or '') clears the due date
+      if (due_date !== undefined) {
+        if (due_date && !isValidDate(due_date)) {
+          return res.status(400).json({ error: 'Due date must be a date like 2025-06-30' });
+        }
+        fields.dueDate = due_date || null;
+      }
+
+      if (auto_complete !== undefined) {
+        if (auto_complete && item.type !== 'check') {
+          return res.status(400).json({ error: 'Only checkbox items can complete automatically' });
+        }
+        fields.autoComplete = !!auto_complete;
+      }
+
+      if (proof_required !== undefined) {
+        if (proof_required && !CHECKABLE_TYPES.includes(item.type)) {
+          return res.status(400).json({ error: 'Only checkbox and rating items can require proof' });
+        }
+        fields.proofRequired = !!proof_required;
+      }
+
+      // null follows the list's progress mode
+      if (progress_mode !== undefined) {
+        if (progress_mode !== null && !PROGRESS_MODES.includes(progress_mode)) {
+          return res.status(400).json({ error: `Progress mode must be one of ${PROGRESS_MODES.join(', ')}` });
+        }
+        fields.progressMode = progress_mode;
+      }
+
+      // Validate the new parent: same list, and not the item itself or one of its sub-items
+      if (parent_item_id !== undefined) {
+        if (parent_item_id !== null) {
+          const parentId = parseInt(parent_item_id);
+          const parentItem = getItem(parentId);
+          if (!parentItem) {
+            return res.status(404).json({ error: 'Parent item not found' });
+          }
+          if (parentItem.bucket_list_id !== item.bucket_list_id) {
+            return res.status(400).json({ error: 'Parent item must belong to the same bucket list' });
+          }
+          if (parentId === itemId || getDescendantIds(itemId).includes(parentId)) {
+            return res.status(400).json({ error: 'An item cannot be moved under itself or its sub-items' });
+          }
+          fields.parentItemId = parentId;
+        } else {
+          fields.parentItemId = null;
+        }
+      }
+
+      updateItem(itemId, fields, req.session.userId);
+
+      // A new target, parent or rule can change parents and the bingo card
+      const parents = syncParents(item.bucket_list_id, req.session.userId);
+      const updatedItem = getItem(itemId);
+      const bingos = syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'item-updated', req.session.userId, { item: updatedItem, parents, bingos });
+
+      // Log what actually changed, old and new values
+      const changes = {};
+      const loggedColumns = [
+        'text', 'description', 'counter_target', 'numeric_target', 'unit', 'parent_item_id',
+        'progress_mode', 'auto_complete', 'proof_required', 'due_date'
+      ];
+      loggedColumns.forEach(column => {
+        if (item[column] !== updatedItem[column]) {
+          changes[column] = { from: item[column], to: updatedItem[column] };
+        }
+      });
+      if (Object.keys(changes).length > 0) {
+        recordActivity(item.bucket_list_id, req.session.userId, 'item_updated', itemId, { text: updatedItem.text, changes });
+      }
+
+      res.json({ success: true, item: updatedItem, parents, bingos });
+    } catch (error) {
+      console.error('Update item error:', error);
+      res.status(500).json({ error: 'Failed to update item' });
+    }
+  });
+
+  // Move an item to `position` among the sub-items of `parent_item_id`
+  // (null for the top level); positions count from 0
+  app.post('/api/items/:id/move', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { parent_item_id = null, position } = req.body;
+
+      const item = getItem(itemId);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Check if user is a member of the bucket list
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      if (!Number.isInteger(position) || position < 0) {
+        return res.status(400).json({ error: 'Position must be a whole number of at least 0' });
+      }
+
+      // Validate the new parent: same list, and not the item itself or one of its sub-items
+      let parentItem = null;
+      if (parent_item_id !== null) {
+        const parentId = parseInt(parent_item_id);
+        parentItem = getItem(parentId);
+        if (!parentItem) {
+          return res.status(404).json({ error: 'Parent item not found' });
+        }
+        if (parentItem.bucket_list_id !== item.bucket_list_id) {
+          return res.status(400).json({ error: 'Parent item must belong to the same bucket list' });
+        }
+        if (parentId === itemId || getDescendantIds(itemId).includes(parentId)) {
+          return res.status(400).json({ error: 'An item cannot be moved under itself or its sub-items' });
+        }
+      }
+
+      moveItem(itemId, parentItem ? parentItem.id : null, position);
+      syncParents(item.bucket_list_id, req.session.userId);
+
+      // Sibling positions shift too, so send the whole list
+      const items = getItems(item.bucket_list_id);
+      const bingos = syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'items-reordered', req.session.userId, { items, bingos });
+      recordActivity(item.bucket_list_id, req.session.userId, 'item_moved', itemId, {
+        text: item.text,
+        parent_text: parentItem ? parentItem.text : null,
+        parent_changed: (parentItem ? parentItem.id : null) !== item.parent_item_id
+      });
+
+      res.json({ success: true, item: getItem(itemId), items, bingos });
+    } catch (error) {
+      console.error('Move item error:', error);
+      res.status(500).json({ error: 'Failed to move item' });
+    }
+  });
+
+  // Delete item and its sub-items
+  app.delete('/api/items/:id', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Check if user is a member of the bucket list
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      const files = getAttachmentFiles([itemId, ...getDescendantIds(itemId)]);
+      const deletedIds = deleteItem(itemId);
+      attachmentStore.remove(files);
+      const parents = syncParents(item.bucket_list_id, req.session.userId);
+      syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'item-deleted', req.session.userId, { deletedIds, parents });
+      recordActivity(item.bucket_list_id, req.session.userId, 'item_deleted', itemId, {
+        text: item.text,
+        deleted_count: deletedIds.length
+      });
+
+      res.json({ success: true, deletedIds, parents });
+    } catch (error) {
+      console.error('Delete item error:', error);
+      res.status(500).json({ error: 'Failed to delete item' });
+    }
+  });
+
+  // Toggle item checkbox
+  app.patch('/api/items/:id/toggle', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Only checkbox and rating items have a checkbox
+      if (!CHECKABLE_TYPES.includes(item.type)) {
+        return res.status(400).json({ error: 'Only checkbox and rating items can be toggled' });
+      }
+
+      // Check if user is a member of the bucket list
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      // Auto-completing parents follow their sub-items
+      if (item.auto_complete && getDescendantIds(itemId).length > 0) {
+        return res.status(400).json({ error: 'This item is checked automatically when its sub-items are done' });
+      }
+
+      // Individual items toggle the member's own check
+      const wasChecked = item.individual ? getMemberProgress(item, req.session.userId).is_checked : item.is_checked;
+      const newCheckedState = !wasChecked;
+
+      if (newCheckedState && item.proof_required && !hasProof(item, req.session.userId)) {
+        return res.status(400).json({ error: 'Attach a photo or file as proof before checking this item' });
+      }
+      toggleItem(itemId, req.session.userId, newCheckedState);
+
+      // Get updated item, parents it completed and any lines it completed on the bingo card
+      const updatedItem = getItem(itemId);
+      const parents = syncParents(item.bucket_list_id, req.session.userId);
+      const bingos = syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'item-toggled', req.session.userId, { item: updatedItem, parents, bingos });
+      recordActivity(
+        item.bucket_list_id,
+        req.session.userId,
+        newCheckedState ? 'item_checked' : 'item_unchecked',
+        itemId,
+        { text: item.text, individual: !!item.individual }
+      );
+
+      res.json({ success: true, item: updatedItem, parents, bingos });
+    } catch (error) {
+      console.error('Toggle item error:', error);
+      res.status(500).json({ error: 'Failed to toggle item' });
+    }
+  });
+
+  // Update counter item
+  app.post('/api/items/:id/counter', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { delta } = req.body;
+
+      if (delta === undefined || delta === null) {
+        return res.status(400).json({ error: 'Delta value is required' });
+      }
+
+      const steps = parseCounterDelta(delta);
+      if (steps === null) {
+        return res.status(400).json({ error: `Delta must be a whole number up to ${MAX_COUNTER_DELTA}` });
+      }
+
+      const item = getItem(itemId);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      // Only allow updating counters
+      if (item.type !== 'counter') {
+        return res.status(400).json({ error: 'Only counter items can be updated' });
+      }
+
+      // Check if user is a member of the bucket list
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      // Update counter (the member's own value for individual items)
+      const change = updateCounter(itemId, steps, req.session.userId);
+      res.json({ success: true, ...publishCounterChange(item, change, req.session.userId) });
+    } catch (error) {
+      console.error('Update counter error:', error);
+      res.status(500).json({ error: 'Failed to update counter' });
+    }
+  });
+
+  // A counter's changes, newest first, and which one (if any) the member can undo
+  app.get('/api/items/:id/counter-history', requireAuth, (req, res) => {
+    try {
+      const item = getItem(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (item.type !== 'counter') {
+        return res.status(400).json({ error: 'Only counter items have a history' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const undoable = getUndoableCounterChange(item.id, req.session.userId);
+      res.json({ changes: getCounterChanges(item.id), undoableChangeId: undoable ? undoable.id : null });
+    } catch (error) {
+      console.error('Get counter history error:', error);
+      res.status(500).json({ error: 'Failed to get counter history' });
+    }
+  });
+
+  // Take back the member's own last counter change
+  app.post('/api/items/:id/counter/undo', requireAuth, (req, res) => {
+    try {
+      const item = getItem(req.params.id);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (item.type !== 'counter') {
+        return res.status(400).json({ error: 'Only counter items can be updated' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      const change = undoCounterChange(item.id, req.session.userId);
+      if (!change) {
+        return res.status(400).json({ error: 'You have no change to undo on this counter' });
+      }
+
+      res.json({ success: true, ...publishCounterChange(item, change, req.session.userId) });
+    } catch (error) {
+      console.error('Undo counter change error:', error);
+      res.status(500).json({ error: 'Failed to undo counter change' });
+    }
+  });
+
+  // Add to (or, with a negative delta, take from) a numeric item's amount
+  app.post('/api/items/:id/numeric', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { delta } = req.body;
+
+      if (delta === undefined || delta === null || delta === '' || !Number.isFinite(Number(delta))) {
+        return res.status(400).json({ error: 'Delta must be a number' });
+      }
+
+      const item = getItem(itemId);
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (item.type !== 'numeric') {
+        return res.status(400).json({ error: 'Only numeric items can be updated this way' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      // The member's own amount for individual items
+      updateNumeric(itemId, Number(delta), req.session.userId);
+
+      const updatedItem = getItem(itemId);
+      const parents = syncParents(item.bucket_list_id, req.session.userId);
+      const bingos = syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'numeric-changed', req.session.userId, { item: updatedItem, parents, bingos });
+
+      // As with counters, log what was applied after clamping
+      const valueOf = (numeric) => (item.individual
+        ? getMemberProgress(numeric, req.session.userId).numeric_value
+        : numeric.numeric_value) || 0;
+      const appliedDelta = Math.round((valueOf(updatedItem) - valueOf(item)) * 100) / 100;
+      if (appliedDelta !== 0) {
+        recordActivity(item.bucket_list_id, req.session.userId, 'numeric_changed', itemId, {
+          text: item.text,
+          delta: appliedDelta,
+          requested_delta: Number(delta),
+          value: valueOf(updatedItem),
+          target: updatedItem.numeric_target,
+          unit: updatedItem.unit,
+          individual: !!item.individual
+        });
+      }
+
+      res.json({ success: true, item: updatedItem, parents, bingos });
+    } catch (error) {
+      console.error('Update numeric item error:', error);
+      res.status(500).json({ error: 'Failed to update item' });
+    }
+  });
+
+  // Vote for one of a choice item's options (null withdraws the vote)
+  app.post('/api/items/:id/vote', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { option_id = null } = req.body;
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (item.type !== 'choice') {
+        return res.status(400).json({ error: 'Only choice items can be voted on' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot vote' });
+      }
+
+      if (item.chosen_option_id) {
+        return res.status(400).json({ error: 'This choice has already been made' });
+      }
+
+      const option = option_id === null ? null : item.options.find(candidate => candidate.id === parseInt(option_id));
+      if (option_id !== null && !option) {
+        return res.status(400).json({ error: 'Option not found' });
+      }
+
+      const result = setVote(itemId, req.session.userId, option ? option.id : null);
+      const updatedItem = getItem(itemId);
+      publishListEvent(item.bucket_list_id, 'vote-cast', req.session.userId, { item: updatedItem });
+      if (option) {
+        recordActivity(item.bucket_list_id, req.session.userId, 'vote_cast', itemId, { text: item.text, option: option.label });
+      } else if (result.changes > 0) {
+        recordActivity(item.bucket_list_id, req.session.userId, 'vote_withdrawn', itemId, { text: item.text });
+      }
+
+      res.json({ success: true, item: updatedItem });
+    } catch (error) {
+      console.error('Vote error:', error);
+      res.status(500).json({ error: 'Failed to vote' });
+    }
+  });
+
+  // Settle a choice item on one option, which completes it (null reopens the vote)
+  app.post('/api/items/:id/choose', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { option_id = null } = req.body;
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (item.type !== 'choice') {
+        return res.status(400).json({ error: 'Only choice items have options to choose' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      const option = option_id === null ? null : item.options.find(candidate => candidate.id === parseInt(option_id));
+      if (option_id !== null && !option) {
+        return res.status(400).json({ error: 'Option not found' });
+      }
+
+      chooseOption(itemId, option ? option.id : null);
+
+      // Making (or undoing) the choice completes the item, which can finish parents and lines
+      const updatedItem = getItem(itemId);
+      const parents = syncParents(item.bucket_list_id, req.session.userId);
+      const bingos = syncBingos(item.bucket_list_id, req.session.userId);
+      publishListEvent(item.bucket_list_id, 'choice-made', req.session.userId, { item: updatedItem, parents, bingos });
+      recordActivity(
+        item.bucket_list_id,
+        req.session.userId,
+        option ? 'choice_made' : 'choice_reopened',
+        itemId,
+        option ? { text: item.text, option: option.label } : { text: item.text }
+      );
+
+      res.json({ success: true, item: updatedItem, parents, bingos });
+    } catch (error) {
+      console.error('Choose option error:', error);
+      res.status(500).json({ error: 'Failed to choose option' });
+    }
+  });
+
+  // Rate a rating item 1-5 stars once it is done (null removes the rating)
+  app.post('/api/items/:id/rating', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { stars = null } = req.body;
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (item.type !== 'rating') {
+        return res.status(400).json({ error: 'Only rating items can be rated' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot rate items' });
+      }
+
+      if (stars !== null && (!Number.isInteger(stars) || stars < 1 || stars > 5)) {
+        return res.status(400).json({ error: 'Ratings are whole stars from 1 to 5' });
+      }
+
+      // Individual items are rated by members who have done them themselves
+      const state = item.individual ? getMemberProgress(item, req.session.userId) : item;
+      if (stars !== null && !isStateComplete(item, state)) {
+        return res.status(400).json({ error: 'Items can be rated once they are done' });
+      }
+
+      const result = setRating(itemId, req.session.userId, stars);
+      const updatedItem = getItem(itemId);
+      publishListEvent(item.bucket_list_id, 'item-rated', req.session.userId, { item: updatedItem });
+      if (stars !== null) {
+        recordActivity(item.bucket_list_id, req.session.userId, 'item_rated', itemId, { text: item.text, stars });
+      } else if (result.changes > 0) {
+        recordActivity(item.bucket_list_id, req.session.userId, 'rating_removed', itemId, { text: item.text });
+      }
+
+      res.json({ success: true, item: updatedItem });
+    } catch (error) {
+      console.error('Rate item error:', error);
+      res.status(500).json({ error: 'Failed to rate item' });
+    }
+  });
+
+  // Comments on an item, oldest first
+  app.get('/api/items/:id/comments', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      res.json({ comments: getComments(itemId) });
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({ error: 'Failed to get comments' });
+    }
+  });
+
+  // Any member can comment, viewers included
+  app.post('/api/items/:id/comments', requireAuth, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { body } = req.body;
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const bodyError = validateCommentBody(body);
+      if (bodyError) {
+        return res.status(400).json({ error: bodyError });
+      }
+
+      const result = createComment(itemId, req.session.userId, body.trim());
+      const comment = getComment(result.lastInsertRowid);
+      const commentCount = getComments(itemId).length;
+
+      publishListEvent(item.bucket_list_id, 'comment-added', req.session.userId, { comment, commentCount });
+      recordActivity(item.bucket_list_id, req.session.userId, 'comment_added', itemId, { text: item.text });
+
+      res.json({ success: true, comment, commentCount });
+    } catch (error) {
+      console.error('Add comment error:', error);
+      res.status(500).json({ error: 'Failed to add comment' });
+    }
+  });
+
+  // Members edit and delete only their own comments
+  app.patch('/api/comments/:id', requireAuth, (req, res) => {
+    try {
+      const { body } = req.body;
+      const comment = getComment(req.params.id);
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (!isMember(comment.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (comment.user_id !== parseInt(req.session.userId)) {
+        return res.status(403).json({ error: 'You can only edit your own comments' });
+      }
+
+      const bodyError = validateCommentBody(body);
+      if (bodyError) {
+        return res.status(400).json({ error: bodyError });
+      }
+
+      updateComment(comment.id, body.trim());
+      const updatedComment = getComment(comment.id);
+      publishListEvent(comment.bucket_list_id, 'comment-updated', req.session.userId, { comment: updatedComment });
+      recordActivity(comment.bucket_list_id, req.session.userId, 'comment_edited', comment.item_id, {
+        text: getItem(comment.item_id).text
+      });
+
+      res.json({ success: true, comment: updatedComment });
+    } catch (error) {
+      console.error('Update comment error:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  });
+
+  app.delete('/api/comments/:id', requireAuth, (req, res) => {
+    try {
+      const comment = getComment(req.params.id);
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (!isMember(comment.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (comment.user_id !== parseInt(req.session.userId)) {
+        return res.status(403).json({ error: 'You can only delete your own comments' });
+      }
+
+      deleteComment(comment.id);
+      const commentCount = getComments(comment.item_id).length;
+      publishListEvent(comment.bucket_list_id, 'comment-deleted', req.session.userId, {
+        commentId: comment.id,
+        itemId: comment.item_id,
+        commentCount
+      });
+      recordActivity(comment.bucket_list_id, req.session.userId, 'comment_deleted', comment.item_id, {
+        text: getItem(comment.item_id).text
+      });
+
+      res.json({ success: true, commentCount });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  });
+
+  // Attach a file to an item. The body is the file itself, its type is the
+  // Content-Type header and its name comes in ?name=
+  app.post('/api/items/:id/attachments', requireAuth, readUpload, (req, res) => {
+    try {
+      const itemId = parseInt(req.params.id);
+      const item = getItem(itemId);
+
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
+      }
+
+      if (!isMember(item.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (!hasRole(item.bucket_list_id, req.session.userId, 'editor')) {
+        return res.status(403).json({ error: 'Viewers cannot change items' });
+      }
+
+      const mimeType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+      if (!ATTACHMENT_TYPES[mimeType]) {
+        return res.status(400).json({ error: 'Only images (JPEG, PNG, GIF, WebP), PDFs and text files can be attached' });
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'The file is empty' });
+      }
+
+      // Keep just the file name, without any folders or control characters
+      const originalName = String(req.query.name || '')
+        .split(/[\\/]/).pop()
+        .replace(/[\x00-\x1f\x7f]/g, '')
+        .trim()
+        .substring(0, 200) || `attachment${ATTACHMENT_TYPES[mimeType]}`;
+
+      const storedName = attachmentStore.save(req.body, mimeType);
+      const result = addAttachment(itemId, req.session.userId, {
+        storedName,
+        originalName,
+        mimeType,
+        size: req.body.length
+      });
+      const updatedItem = getItem(itemId);
+      const attachment = updatedItem.attachments.find(file => file.id === result.lastInsertRowid);
+
+      publishListEvent(item.bucket_list_id, 'item-updated', req.session.userId, { item: updatedItem });
+      recordActivity(item.bucket_list_id, req.session.userId, 'attachment_added', itemId, {
+        text: item.text,
+        name: originalName
+      });
+
+      res.json({ success: true, attachment, item: updatedItem });
+    } catch (error) {
+      console.error('Add attachment error:', error);
+      res.status(500).json({ error: 'Failed to add attachment' });
+    }
+  });
+
+  // Download an attachment; images are shown in the page, other files are downloaded
+  app.get('/api/attachments/:id', requireAuth, (req, res) => {
+    try {
+      const attachment = getAttachment(req.params.id);
+
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      if (!isMember(attachment.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      res.set('X-Content-Type-Options', 'nosniff');
+      if (!isImageType(attachment.mime_type)) {
+        res.attachment(attachment.original_name);
+      }
+      res.type(attachment.mime_type);
+      res.sendFile(attachmentStore.pathOf(attachment.stored_name), (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ error: 'Attachment file is missing' });
+        }
+      });
+    } catch (error) {
+      console.error('Get attachment error:', error);
+      res.status(500).json({ error: 'Failed to get attachment' });
+    }
+  });
+
+  // Remove an attachment (whoever added it, or an owner)
+  app.delete('/api/attachments/:id', requireAuth, (req, res) => {
+    try {
+      const attachment = getAttachment(req.params.id);
+
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      if (!isMember(attachment.bucket_list_id, req.session.userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      if (attachment.user_id !== parseInt(req.session.userId) && !hasRole(attachment.bucket_list_id, req.session.userId, 'owner')) {
+        return res.status(403).json({ error: 'Only the member who added it or an owner can remove this attachment' });
+      }
+
+      deleteAttachment(attachment.id);
+      attachmentStore.remove([attachment.stored_name]);
+
+      const item = getItem(attachment.item_id);
+      publishListEvent(item.bucket_list_id, 'item-updated', req.session.userId, { item });
+      recordActivity(item.bucket_list_id, req.session.userId, 'attachment_removed', item.id, {
+        text: item.text,
+        name: attachment.original_name
+      });
+
+      res.json({ success: true, item });
+    } catch (error) {
+      console.error('Delete attachment error:', error);
+      res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+  });
+
+  return app;
+}
+
+// Start the server when run directly (npm start)
+if (require.main === module) {
+  const PORT = config.port;
+  const app = createApp();
+
+  // Start server
+  const server = app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+
+  // Handle server errors gracefully
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`\n❌ Error: Port ${PORT} is already in use.\n`);
+      console.log('Please either:');
+      console.log(`  1. Stop the process using port ${PORT}:`);
+      console.log(`     lsof -ti:${PORT} | xargs kill -9`);
+      console.log(`  2. Or set a different port with the PORT environment variable or "port" in config.json\n`);
+      process.exit(1);
+    } else {
+      console.error('Server error:', error);
+      process.exit(1);
+    }
+  });
+}
 
+module.exports = { createApp };
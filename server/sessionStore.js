@@ -0,0 +1,107 @@
+const session = require('express-session');
+
+const PRUNE_INTERVAL = 15 * 60 * 1000;
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// express-session store backed by the `sessions` table, so logins survive
+// server restarts. Expired sessions are ignored on read and pruned periodically.
+class SqliteSessionStore extends session.Store {
+  constructor(db) {
+    super();
+    this.getStmt = db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires > ?');
+    this.setStmt = db.prepare(`
+      INSERT INTO sessions (sid, sess, expires) VALUES (?, ?, ?)
+      ON CONFLICT (sid) DO UPDATE SET sess = excluded.sess, expires = excluded.expires
+    `);
+    this.touchStmt = db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?');
+    this.destroyStmt = db.prepare('DELETE FROM sessions WHERE sid = ?');
+    this.pruneStmt = db.prepare('DELETE FROM sessions WHERE expires <= ?');
+    this.clearStmt = db.prepare('DELETE FROM sessions');
+    this.lengthStmt = db.prepare('SELECT COUNT(*) as count FROM sessions WHERE expires > ?');
+    this.destroyUserStmt = db.prepare(`
+      DELETE FROM sessions WHERE json_extract(sess, '$.userId') = ? AND sid IS NOT ?
+    `);
+
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    // Don't keep the process alive just for cleanup
+    this.pruneTimer.unref();
+  }
+
+  // Expiry time in ms, taken from the session cookie when it has one
+  getExpires(sess) {
+    if (sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires).getTime();
+    }
+    const maxAge = sess.cookie && sess.cookie.maxAge ? sess.cookie.maxAge : DEFAULT_MAX_AGE;
+    return Date.now() + maxAge;
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.getStmt.get(sid, Date.now());
+      callback(null, row ? JSON.parse(row.sess) : null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid, sess, callback = () => {}) {
+    try {
+      this.setStmt.run(sid, JSON.stringify(sess), this.getExpires(sess));
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    try {
+      this.touchStmt.run(this.getExpires(sess), sid);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  destroy(sid, callback = () => {}) {
+    try {
+      this.destroyStmt.run(sid);
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  // Sign a user out everywhere, except (optionally) the session `keepSid`
+  destroyUserSessions(userId, keepSid = null) {
+    this.destroyUserStmt.run(parseInt(userId), keepSid);
+  }
+
+  clear(callback = () => {}) {
+    try {
+      this.clearStmt.run();
+      callback(null);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  length(callback) {
+    try {
+      callback(null, this.lengthStmt.get(Date.now()).count);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  prune() {
+    try {
+      this.pruneStmt.run(Date.now());
+    } catch (error) {
+      console.error('Session cleanup error:', error.message);
+    }
+  }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,141 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { PASSWORD, createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('account management', () => {
+  let app;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+  });
+
+  const login = async (username, password) => {
+    const agent = request.agent(app);
+    await agent.post('/api/login').send({ username, password }).expect(200);
+    return agent;
+  };
+
+  test('members change their password with the current one', async () => {
+    const otherSession = await login('alice', PASSWORD);
+
+    await alice.patch('/api/account/password').send({ newPassword: 'new-password' }).expect(400);
+    await alice.patch('/api/account/password').send({ currentPassword: PASSWORD, newPassword: '123' }).expect(400);
+    await alice.patch('/api/account/password').send({ currentPassword: PASSWORD, newPassword: 12345678 }).expect(400);
+    await alice.patch('/api/account/password').send({ currentPassword: ['x'], newPassword: 'new-password' }).expect(400);
+    const wrong = await alice.patch('/api/account/password').send({ currentPassword: 'nope', newPassword: 'new-password' }).expect(400);
+    assert.strictEqual(wrong.body.error, 'Current password is incorrect');
+
+    await alice.patch('/api/account/password').send({ currentPassword: PASSWORD, newPassword: 'new-password' }).expect(200);
+    await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(401);
+    await login('alice', 'new-password');
+
+    // Other sessions are signed out, this one stays
+    await otherSession.get('/api/me').expect(401);
+    await alice.get('/api/me').expect(200);
+  });
+
+  test('usernames can change but stay unique', async () => {
+    await alice.patch('/api/account/username').send({}).expect(400);
+    await alice.patch('/api/account/username').send({ username: 'al' }).expect(400);
+    await alice.patch('/api/account/username').send({ username: 12345 }).expect(400);
+    await alice.patch('/api/account/username').send({ username: ['alicia'] }).expect(400);
+    const taken = await alice.patch('/api/account/username').send({ username: 'bob' }).expect(400);
+    assert.strictEqual(taken.body.error, 'Username already exists');
+
+    const res = await alice.patch('/api/account/username').send({ username: 'alicia' }).expect(200);
+    assert.strictEqual(res.body.user.username, 'alicia');
+    assert.strictEqual((await alice.get('/api/me').expect(200)).body.user.username, 'alicia');
+    await login('alicia', PASSWORD);
+
+    // Keeping the same name is fine
+    await alice.patch('/api/account/username').send({ username: 'alicia' }).expect(200);
+  });
+
+  test('deleting an account needs the password and signs it out everywhere', async () => {
+    const otherSession = await login('alice', PASSWORD);
+
+    await alice.delete('/api/account').send({}).expect(400);
+    await alice.delete('/api/account').send({ password: 'nope' }).expect(400);
+    await alice.delete('/api/account').send({ password: { toString: 'x' } }).expect(400);
+
+    await alice.delete('/api/account').send({ password: PASSWORD }).expect(200);
+    await alice.get('/api/me').expect(401);
+    await otherSession.get('/api/me').expect(401);
+    await request(app).post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(401);
+
+    // The name is free again
+    await registerUser(app, 'alice');
+  });
+
+  test('lists pass to another member or are deleted with the account', async () => {
+    const carol = await registerUser(app, 'carol');
+    const shared = await createList(alice, 'Shared');
+    const solo = await createList(alice, 'Solo');
+    await joinList(carol, shared);
+    await joinList(bob, shared);
+    await alice.patch(`/api/bucket-lists/${shared.id}/members/${carol.user.id}`).send({ role: 'viewer' }).expect(200);
+
+    const res = await alice.delete('/api/account').send({ password: PASSWORD }).expect(200);
+    assert.deepStrictEqual(res.body.deletedListIds, [solo.id]);
+    assert.deepStrictEqual(res.body.transferredListIds, [shared.id]);
+
+    // Editors are preferred over viewers who joined earlier
+    const members = (await bob.get(`/api/bucket-lists/${shared.id}`).expect(200)).body.members;
+    assert.deepStrictEqual(members.map(({ username, role }) => ({ username, role })), [
+      { username: 'carol', role: 'viewer' },
+      { username: 'bob', role: 'owner' }
+    ]);
+    await bob.get(`/api/bucket-lists/${solo.id}`).expect(404);
+  });
+
+  test('the account\'s contributions stay without a name, its templates go', async () => {
+    const list = await createList(bob, 'Trips');
+    await joinList(alice, list);
+    const item = await addItem(alice, list.id, { text: 'Visit Rome' });
+    await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+    await alice.post(`/api/items/${item.id}/comments`).send({ body: 'Booked!' }).expect(200);
+    const counter = await addItem(alice, list.id, { text: 'Museums', type: 'counter' });
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 2 }).expect(200);
+    const choice = await addItem(alice, list.id, { text: 'Hotel', type: 'choice', options: ['Central', 'Beach'] });
+    await alice.post(`/api/items/${choice.id}/vote`).send({ option_id: choice.options[0].id }).expect(200);
+    const own = await createList(alice, 'Mine');
+    await addItem(alice, own.id, { text: 'See the sea' });
+    await alice.post(`/api/bucket-lists/${own.id}/template`).send({ name: 'Alice trips' }).expect(200);
+
+    await alice.delete('/api/account').send({ password: PASSWORD }).expect(200);
+
+    const res = await bob.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.deepStrictEqual(res.body.members.map(member => member.username), ['bob']);
+    const items = Object.fromEntries(res.body.items.map(entry => [entry.text, entry]));
+    assert.strictEqual(items['Visit Rome'].is_checked, 1);
+    assert.strictEqual(items['Visit Rome'].checked_by, null);
+    assert.strictEqual(items.Museums.counter_value, 2);
+    assert.deepStrictEqual(items.Hotel.votes, []);
+
+    const comments = (await bob.get(`/api/items/${item.id}/comments`).expect(200)).body.comments;
+    assert.strictEqual(comments[0].user_id, null);
+    const history = (await bob.get(`/api/items/${counter.id}/counter-history`).expect(200)).body.changes;
+    assert.strictEqual(history[0].user_id, null);
+
+    const activity = (await bob.get(`/api/bucket-lists/${list.id}/activity`).expect(200)).body.activity;
+    assert.strictEqual(activity[0].action, 'account_deleted');
+    assert.ok(activity.every(entry => entry.user_id !== alice.user.id));
+
+    // Templates can't be removed without their creator, so they go too
+    assert.deepStrictEqual((await bob.get('/api/templates').expect(200)).body.templates, []);
+
+    // Bob can still delete the list, with everything in it
+    await bob.delete(`/api/bucket-lists/${list.id}`).expect(200);
+  });
+
+  test('account routes require a session', async () => {
+    await request(app).patch('/api/account/username').send({ username: 'someone' }).expect(401);
+    await request(app).patch('/api/account/password').send({ currentPassword: PASSWORD, newPassword: 'new-password' }).expect(401);
+    await request(app).delete('/api/account').send({ password: PASSWORD }).expect(401);
+  });
+});
@@ -0,0 +1,156 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+// The start of a PNG file is enough for the server, which only checks the declared type
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+describe('attachments', () => {
+  let app;
+  let uploadsDir;
+  let alice;
+  let bob;
+  let list;
+  let item;
+
+  beforeEach(async () => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bucket-list-uploads-'));
+    app = createTestApp({ uploadsDir, maxUploadSize: 1024 });
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Adventures');
+    await joinList(bob, list);
+    item = await addItem(alice, list.id, { text: 'Skydive' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  });
+
+  const upload = (agent, itemId, body = PNG, type = 'image/png', name = 'jump.png') => agent
+    .post(`/api/items/${itemId}/attachments?name=${encodeURIComponent(name)}`)
+    .set('Content-Type', type)
+    .send(body);
+  const storedFiles = () => fs.readdirSync(uploadsDir);
+
+  test('members attach files that come back with the item', async () => {
+    const res = await upload(bob, item.id).expect(200);
+    assert.strictEqual(res.body.attachment.original_name, 'jump.png');
+    assert.strictEqual(res.body.attachment.mime_type, 'image/png');
+    assert.strictEqual(res.body.attachment.size, PNG.length);
+    assert.strictEqual(res.body.attachment.username, 'bob');
+    assert.strictEqual(res.body.attachment.stored_name, undefined);
+    assert.strictEqual(storedFiles().length, 1);
+
+    const listRes = await alice.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.strictEqual(listRes.body.items[0].attachments.length, 1);
+
+    const file = await alice.get(`/api/attachments/${res.body.attachment.id}`).expect(200);
+    assert.match(file.headers['content-type'], /image\/png/);
+    assert.strictEqual(file.headers['x-content-type-options'], 'nosniff');
+    assert.ok(Buffer.from(file.body).equals(PNG));
+  });
+
+  test('non-image files are downloaded under their own name', async () => {
+    const res = await upload(alice, item.id, 'Booking ref 123', 'text/plain', '../../etc/booking.txt').expect(200);
+    assert.strictEqual(res.body.attachment.original_name, 'booking.txt');
+
+    const file = await alice.get(`/api/attachments/${res.body.attachment.id}`).expect(200);
+    assert.match(file.headers['content-disposition'], /attachment; filename="booking.txt"/);
+  });
+
+  test('uploads are limited by type and size', async () => {
+    await upload(alice, item.id, '<svg></svg>', 'image/svg+xml', 'x.svg').expect(400);
+    await upload(alice, item.id, '<html></html>', 'text/html', 'x.html').expect(400);
+    await upload(alice, item.id, Buffer.alloc(0)).expect(400);
+
+    const tooBig = await upload(alice, item.id, Buffer.alloc(2048)).expect(413);
+    assert.strictEqual(tooBig.body.error, 'Files can be at most 1 KB');
+    assert.deepStrictEqual(storedFiles(), []);
+  });
+
+  test('only members see attachments and only editors add them', async () => {
+    const carol = await registerUser(app, 'carol');
+    const { attachment } = (await upload(alice, item.id).expect(200)).body;
+
+    await upload(carol, item.id).expect(403);
+    await carol.get(`/api/attachments/${attachment.id}`).expect(403);
+    await alice.get('/api/attachments/9999').expect(404);
+    await upload(alice, 9999).expect(404);
+
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    await upload(bob, item.id).expect(403);
+    await bob.get(`/api/attachments/${attachment.id}`).expect(200);
+  });
+
+  test('the uploader or an owner removes an attachment', async () => {
+    const { attachment } = (await upload(alice, item.id).expect(200)).body;
+    await bob.delete(`/api/attachments/${attachment.id}`).expect(403);
+
+    const mine = (await upload(bob, item.id).expect(200)).body.attachment;
+    await bob.delete(`/api/attachments/${mine.id}`).expect(200);
+    const res = await alice.delete(`/api/attachments/${attachment.id}`).expect(200);
+    assert.deepStrictEqual(res.body.item.attachments, []);
+    assert.deepStrictEqual(storedFiles(), []);
+
+    const latest = (await alice.get(`/api/bucket-lists/${list.id}/activity`).expect(200)).body.activity[0];
+    assert.strictEqual(latest.action, 'attachment_removed');
+    assert.strictEqual(latest.username, 'alice');
+    assert.strictEqual(latest.details.name, attachment.original_name);
+  });
+
+  test('deleting items and lists removes their files', async () => {
+    const child = await addItem(alice, list.id, { text: 'Tandem first', parent_item_id: item.id });
+    await upload(alice, child.id).expect(200);
+    await alice.delete(`/api/items/${item.id}`).expect(200);
+    assert.deepStrictEqual(storedFiles(), []);
+
+    const other = await addItem(alice, list.id, { text: 'Bungee' });
+    await upload(alice, other.id).expect(200);
+    await alice.delete(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.deepStrictEqual(storedFiles(), []);
+  });
+
+  test('proof-required items need an attachment before they are checked', async () => {
+    const proof = await addItem(alice, list.id, { text: 'Swim with sharks', proof_required: true });
+    assert.strictEqual(proof.proof_required, 1);
+
+    const refused = await alice.patch(`/api/items/${proof.id}/toggle`).expect(400);
+    assert.match(refused.body.error, /proof/);
+
+    await upload(bob, proof.id).expect(200);
+    const res = await alice.patch(`/api/items/${proof.id}/toggle`).expect(200);
+    assert.strictEqual(res.body.item.is_checked, 1);
+    // Unchecking never needs proof
+    await alice.patch(`/api/items/${proof.id}/toggle`).expect(200);
+
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Dives', type: 'counter', proof_required: true }).expect(400);
+    const updated = await alice.patch(`/api/items/${item.id}`).send({ proof_required: true }).expect(200);
+    assert.strictEqual(updated.body.item.proof_required, 1);
+  });
+
+  test('individual items need every member to bring their own proof', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    const proof = await addItem(alice, list.id, { text: 'Swim with sharks', proof_required: true });
+
+    await upload(alice, proof.id).expect(200);
+    await alice.patch(`/api/items/${proof.id}/toggle`).expect(200);
+    await bob.patch(`/api/items/${proof.id}/toggle`).expect(400);
+  });
+
+  test('templates and exports keep the proof rule but not the files', async () => {
+    await alice.patch(`/api/items/${item.id}`).send({ proof_required: true }).expect(200);
+    await upload(alice, item.id).expect(200);
+
+    const exported = await alice.get(`/api/bucket-lists/${list.id}/export?format=json`).expect(200);
+    assert.strictEqual(JSON.parse(exported.text).items[0].proof_required, true);
+
+    const clone = await alice.post(`/api/bucket-lists/${list.id}/clone`).send({}).expect(200);
+    const res = await alice.get(`/api/bucket-lists/${clone.body.bucketList.id}`).expect(200);
+    assert.strictEqual(res.body.items[0].proof_required, 1);
+    assert.deepStrictEqual(res.body.items[0].attachments, []);
+  });
+});
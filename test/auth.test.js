@@ -0,0 +1,59 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { PASSWORD, createTestApp, registerUser } = require('./helpers');
+
+describe('authentication', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('register signs the user in', async () => {
+    const agent = await registerUser(app, 'alice');
+    assert.strictEqual(agent.user.username, 'alice');
+
+    const res = await agent.get('/api/me').expect(200);
+    assert.strictEqual(res.body.user.username, 'alice');
+  });
+
+  test('register validates input', async () => {
+    await request(app).post('/api/register').send({ username: 'alice' }).expect(400);
+    await request(app).post('/api/register').send({ username: 'al', password: PASSWORD }).expect(400);
+    await request(app).post('/api/register').send({ username: 'alice', password: '123' }).expect(400);
+  });
+
+  test('register rejects a taken username', async () => {
+    await registerUser(app, 'alice');
+    const res = await request(app).post('/api/register').send({ username: 'alice', password: PASSWORD }).expect(400);
+    assert.strictEqual(res.body.error, 'Username already exists');
+  });
+
+  test('login with the right password starts a session', async () => {
+    await registerUser(app, 'alice');
+
+    const agent = request.agent(app);
+    await agent.post('/api/login').send({ username: 'alice', password: PASSWORD }).expect(200);
+    await agent.get('/api/me').expect(200);
+  });
+
+  test('login rejects missing fields and bad credentials', async () => {
+    await registerUser(app, 'alice');
+
+    await request(app).post('/api/login').send({ username: 'alice' }).expect(400);
+    await request(app).post('/api/login').send({ username: 'alice', password: 'wrong-password' }).expect(401);
+    await request(app).post('/api/login').send({ username: 'nobody', password: PASSWORD }).expect(401);
+  });
+
+  test('logout ends the session', async () => {
+    const agent = await registerUser(app, 'alice');
+    await agent.post('/api/logout').expect(200);
+    await agent.get('/api/me').expect(401);
+  });
+
+  test('API routes require a session', async () => {
+    await request(app).get('/api/bucket-lists').expect(401);
+    await request(app).post('/api/items').send({ bucket_list_id: 1, text: 'Hi' }).expect(401);
+  });
+});
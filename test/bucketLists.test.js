@@ -0,0 +1,134 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('bucket lists', () => {
+  let app;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+  });
+
+  test('create returns the list with a share code', async () => {
+    const list = await createList(alice, '  Summer plans  ');
+    assert.strictEqual(list.name, 'Summer plans');
+    assert.match(list.share_code, /^[A-Z0-9]{6}$/);
+
+    const res = await alice.get('/api/bucket-lists').expect(200);
+    assert.strictEqual(res.body.bucketLists.length, 1);
+    assert.strictEqual(res.body.bucketLists[0].role, 'owner');
+  });
+
+  test('create requires a name', async () => {
+    await alice.post('/api/bucket-lists').send({ name: '   ' }).expect(400);
+  });
+
+  test('join adds the user as an editor', async () => {
+    const list = await createList(alice);
+    await bob.post('/api/bucket-lists/join').send({ code: list.share_code.toLowerCase() }).expect(200);
+
+    const res = await bob.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.strictEqual(res.body.role, 'editor');
+    assert.deepStrictEqual(res.body.members.map(m => m.username).sort(), ['alice', 'bob']);
+  });
+
+  test('join error paths', async () => {
+    const list = await createList(alice);
+
+    await bob.post('/api/bucket-lists/join').send({}).expect(400);
+    await bob.post('/api/bucket-lists/join').send({ code: 'NOPE00' }).expect(404);
+    await alice.post('/api/bucket-lists/join').send({ code: list.share_code }).expect(400);
+  });
+
+  test('join respects the sharing settings', async () => {
+    const list = await createList(alice);
+
+    await alice.patch(`/api/bucket-lists/${list.id}/sharing`).send({ join_enabled: false }).expect(200);
+    await bob.post('/api/bucket-lists/join').send({ code: list.share_code }).expect(403);
+
+    await alice.patch(`/api/bucket-lists/${list.id}/sharing`).send({ join_enabled: true }).expect(200);
+    await joinList(bob, list);
+  });
+
+  test('sharing settings reject invalid and past expiry dates', async () => {
+    const list = await createList(alice);
+
+    await alice.patch(`/api/bucket-lists/${list.id}/sharing`).send({ share_code_expires_at: 'soon' }).expect(400);
+    await alice.patch(`/api/bucket-lists/${list.id}/sharing`).send({ share_code_expires_at: '2000-01-01T00:00:00Z' }).expect(400);
+  });
+
+  test('get error paths', async () => {
+    const list = await createList(alice);
+
+    await bob.get('/api/bucket-lists/9999').expect(404);
+    await bob.get(`/api/bucket-lists/${list.id}`).expect(403);
+    await bob.get(`/api/bucket-lists/${list.id}/activity`).expect(403);
+    await alice.get(`/api/bucket-lists/${list.id}/activity?before=abc`).expect(400);
+    await bob.get(`/api/bucket-lists/${list.id}/events`).expect(403);
+  });
+
+  test('only owners can rename, delete or change sharing', async () => {
+    const list = await createList(alice);
+    await joinList(bob, list);
+
+    await bob.patch(`/api/bucket-lists/${list.id}`).send({ name: 'Mine now' }).expect(403);
+    await bob.delete(`/api/bucket-lists/${list.id}`).expect(403);
+    await bob.post(`/api/bucket-lists/${list.id}/share-code`).expect(403);
+    await bob.patch(`/api/bucket-lists/${list.id}/sharing`).send({ join_enabled: false }).expect(403);
+    await bob.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3 }).expect(403);
+  });
+
+  test('rename and share code rotation', async () => {
+    const list = await createList(alice);
+
+    await alice.patch(`/api/bucket-lists/${list.id}`).send({ name: '' }).expect(400);
+    await alice.patch('/api/bucket-lists/9999').send({ name: 'Winter plans' }).expect(404);
+    const renamed = await alice.patch(`/api/bucket-lists/${list.id}`).send({ name: 'Winter plans' }).expect(200);
+    assert.strictEqual(renamed.body.bucketList.name, 'Winter plans');
+
+    const rotated = await alice.post(`/api/bucket-lists/${list.id}/share-code`).expect(200);
+    assert.notStrictEqual(rotated.body.bucketList.share_code, list.share_code);
+    await bob.post('/api/bucket-lists/join').send({ code: list.share_code }).expect(404);
+  });
+
+  test('delete removes the list and its items', async () => {
+    const list = await createList(alice);
+    await addItem(alice, list.id);
+
+    await alice.delete(`/api/bucket-lists/${list.id}`).expect(200);
+    await alice.get(`/api/bucket-lists/${list.id}`).expect(404);
+    await alice.delete(`/api/bucket-lists/${list.id}`).expect(404);
+  });
+
+  test('leave error paths', async () => {
+    const list = await createList(alice);
+
+    await bob.post('/api/bucket-lists/9999/leave').expect(404);
+    await bob.post(`/api/bucket-lists/${list.id}/leave`).expect(400);
+    await alice.post(`/api/bucket-lists/${list.id}/leave`).expect(400);
+
+    await joinList(bob, list);
+    await bob.post(`/api/bucket-lists/${list.id}/leave`).expect(200);
+    await bob.get(`/api/bucket-lists/${list.id}`).expect(403);
+  });
+
+  test('grid validation', async () => {
+    const list = await createList(alice);
+    const other = await createList(bob);
+    const item = await addItem(alice, list.id);
+    const foreign = await addItem(bob, other.id);
+
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 6 }).expect(400);
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 4, free_center: true }).expect(400);
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3, layout: new Array(10).fill(null) }).expect(400);
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3, layout: [foreign.id] }).expect(400);
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3, layout: [item.id, item.id] }).expect(400);
+
+    const res = await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3, layout: [null, item.id] }).expect(200);
+    assert.strictEqual(res.body.grid.cells[1], item.id);
+  });
+});
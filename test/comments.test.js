@@ -0,0 +1,84 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('item comments', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+  let item;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Adventures');
+    await joinList(bob, list);
+    item = await addItem(alice, list.id, { text: 'Skydive' });
+  });
+
+  const comment = (agent, body, itemId = item.id) => agent.post(`/api/items/${itemId}/comments`).send({ body });
+
+  test('members talk about an item in order', async () => {
+    const first = await comment(alice, '  Who knows a good place?  ').expect(200);
+    assert.strictEqual(first.body.comment.body, 'Who knows a good place?');
+    assert.strictEqual(first.body.comment.username, 'alice');
+    assert.strictEqual(first.body.commentCount, 1);
+    await comment(bob, 'The airfield by the lake').expect(200);
+
+    const res = await bob.get(`/api/items/${item.id}/comments`).expect(200);
+    assert.deepStrictEqual(res.body.comments.map(entry => entry.username), ['alice', 'bob']);
+
+    const listRes = await alice.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.strictEqual(listRes.body.items[0].comment_count, 2);
+  });
+
+  test('comments need text and have a length limit', async () => {
+    await comment(alice, '   ').expect(400);
+    await comment(alice, undefined).expect(400);
+    await comment(alice, 'x'.repeat(2001)).expect(400);
+    await comment(alice, 'Hello', 9999).expect(404);
+  });
+
+  test('only members read and write comments, viewers included', async () => {
+    const carol = await registerUser(app, 'carol');
+    await carol.get(`/api/items/${item.id}/comments`).expect(403);
+    await comment(carol, 'Hi').expect(403);
+
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    await comment(bob, 'Looks fun').expect(200);
+  });
+
+  test('members edit and delete only their own comments', async () => {
+    const { comment: mine } = (await comment(alice, 'Tomorrow?').expect(200)).body;
+
+    await bob.patch(`/api/comments/${mine.id}`).send({ body: 'Hijacked' }).expect(403);
+    await bob.delete(`/api/comments/${mine.id}`).expect(403);
+    await alice.patch(`/api/comments/${mine.id}`).send({ body: ' ' }).expect(400);
+    await alice.patch('/api/comments/9999').send({ body: 'Hi' }).expect(404);
+
+    const edited = await alice.patch(`/api/comments/${mine.id}`).send({ body: 'Next week?' }).expect(200);
+    assert.strictEqual(edited.body.comment.body, 'Next week?');
+    assert.ok(edited.body.comment.updated_at);
+
+    const deleted = await alice.delete(`/api/comments/${mine.id}`).expect(200);
+    assert.strictEqual(deleted.body.commentCount, 0);
+    await alice.delete(`/api/comments/${mine.id}`).expect(404);
+
+    const activity = (await bob.get(`/api/bucket-lists/${list.id}/activity`).expect(200)).body.activity;
+    assert.deepStrictEqual(activity.slice(0, 3).map(entry => entry.action), ['comment_deleted', 'comment_edited', 'comment_added']);
+    assert.strictEqual(activity[0].details.text, 'Skydive');
+  });
+
+  test('deleting an item or list removes its comments', async () => {
+    // Comments left behind would make these deletes fail on their foreign keys
+    await comment(alice, 'Soon!').expect(200);
+    await alice.delete(`/api/items/${item.id}`).expect(200);
+
+    const other = await addItem(alice, list.id, { text: 'Bungee' });
+    await comment(bob, 'Not me').expect(404);
+    await comment(bob, 'Count me in', other.id).expect(200);
+    await alice.delete(`/api/bucket-lists/${list.id}`).expect(200);
+  });
+});
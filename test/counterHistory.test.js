@@ -0,0 +1,166 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('counter history and undo', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+  let counter;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Hiking');
+    await joinList(bob, list);
+    counter = await addItem(alice, list.id, { text: 'Peaks', type: 'counter', counter_target: 5 });
+  });
+
+  const change = (agent, delta) => agent.post(`/api/items/${counter.id}/counter`).send({ delta });
+  const undo = (agent) => agent.post(`/api/items/${counter.id}/counter/undo`);
+  const getHistory = async (agent) => (await agent.get(`/api/items/${counter.id}/counter-history`).expect(200)).body;
+
+  test('every change is recorded with its member', async () => {
+    await change(alice, 2).expect(200);
+    await change(bob, 1).expect(200);
+
+    const { changes } = await getHistory(alice);
+    assert.deepStrictEqual(
+      changes.map(({ username, delta, requested_delta, value, clamped }) => ({ username, delta, requested_delta, value, clamped })),
+      [
+        { username: 'bob', delta: 1, requested_delta: 1, value: 3, clamped: false },
+        { username: 'alice', delta: 2, requested_delta: 2, value: 2, clamped: false }
+      ]
+    );
+    assert.ok(changes[0].created_at);
+  });
+
+  test('clamped deltas are flagged', async () => {
+    let res = await change(alice, 3).expect(200);
+    assert.strictEqual(res.body.clamped, false);
+
+    res = await change(alice, 4).expect(200);
+    assert.strictEqual(res.body.clamped, true);
+    assert.strictEqual(res.body.change.delta, 2);
+    assert.strictEqual(res.body.change.requested_delta, 4);
+    assert.strictEqual(res.body.item.counter_value, 5);
+
+    res = await change(alice, -9).expect(200);
+    assert.strictEqual(res.body.clamped, true);
+    assert.strictEqual(res.body.change.delta, -5);
+
+    // Nothing to apply at all is still recorded
+    res = await change(alice, -1).expect(200);
+    assert.strictEqual(res.body.change.delta, 0);
+    assert.strictEqual((await getHistory(alice)).changes.length, 4);
+  });
+
+  test('members undo their own last change', async () => {
+    await change(alice, 2).expect(200);
+    await change(alice, 1).expect(200);
+    await change(bob, 1).expect(200);
+
+    let history = await getHistory(alice);
+    assert.strictEqual(history.undoableChangeId, history.changes[1].id);
+
+    const res = await undo(alice).expect(200);
+    assert.strictEqual(res.body.item.counter_value, 3);
+    assert.strictEqual(res.body.change.delta, -1);
+    assert.strictEqual(res.body.change.undo_of, history.changes[1].id);
+
+    // The one before is next
+    history = await getHistory(alice);
+    assert.ok(history.changes.find(entry => entry.id === res.body.change.undo_of).undone_at);
+    assert.strictEqual(history.undoableChangeId, history.changes.find(entry => entry.delta === 2).id);
+
+    await undo(alice).expect(200);
+    await undo(alice).expect(400);
+    assert.strictEqual((await getHistory(bob)).undoableChangeId, history.changes.find(entry => entry.username === 'bob').id);
+  });
+
+  test('undo only takes back what was applied', async () => {
+    await change(alice, 4).expect(200);
+    await change(alice, 3).expect(200);
+
+    const res = await undo(alice).expect(200);
+    assert.strictEqual(res.body.item.counter_value, 4);
+
+    // Logged as a counter change, so stats follow it
+    const activity = await alice.get(`/api/bucket-lists/${list.id}/activity`).expect(200);
+    const latest = activity.body.activity[0];
+    assert.strictEqual(latest.action, 'counter_changed');
+    assert.strictEqual(latest.details.undo, true);
+    assert.strictEqual(latest.details.delta, -1);
+  });
+
+  test('individual counters undo the member\'s own value', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    await change(alice, 2).expect(200);
+    await change(bob, 3).expect(200);
+
+    const res = await undo(bob).expect(200);
+    const progress = Object.fromEntries(res.body.item.progress.map(state => [state.user_id, state.counter_value]));
+    assert.strictEqual(progress[alice.user.id], 2);
+    assert.strictEqual(progress[bob.user.id], 0);
+  });
+
+  test('a lowered target cuts the value in the history', async () => {
+    await change(alice, 4).expect(200);
+    await bob.patch(`/api/items/${counter.id}`).send({ counter_target: 2 }).expect(200);
+
+    const history = await getHistory(alice);
+    const cut = history.changes[0];
+    assert.deepStrictEqual(
+      { username: cut.username, delta: cut.delta, requested_delta: cut.requested_delta, value: cut.value, clamped: cut.clamped },
+      { username: 'bob', delta: -2, requested_delta: 0, value: 2, clamped: true }
+    );
+
+    // The cut can't be undone, so undo reaches past it
+    assert.strictEqual((await getHistory(bob)).undoableChangeId, null);
+    assert.strictEqual(history.undoableChangeId, history.changes[1].id);
+  });
+
+  test('a lowered target cuts each member\'s value', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    await change(alice, 4).expect(200);
+    await change(bob, 1).expect(200);
+    await alice.patch(`/api/items/${counter.id}`).send({ counter_target: 3 }).expect(200);
+
+    const { changes } = await getHistory(alice);
+    assert.strictEqual(changes.length, 3);
+    assert.strictEqual(changes[0].username, 'alice');
+    assert.strictEqual(changes[0].delta, -1);
+    assert.strictEqual(changes[0].requested_delta, 0);
+  });
+
+  test('history error paths', async () => {
+    const carol = await registerUser(app, 'carol');
+    const check = await addItem(alice, list.id, { text: 'Swim' });
+
+    await carol.get(`/api/items/${counter.id}/counter-history`).expect(403);
+    await undo(carol).expect(403);
+    await alice.get('/api/items/9999/counter-history').expect(404);
+    await alice.post('/api/items/9999/counter/undo').expect(404);
+    await alice.get(`/api/items/${check.id}/counter-history`).expect(400);
+    await alice.post(`/api/items/${check.id}/counter/undo`).expect(400);
+    await change(alice, 'abc').expect(400);
+    await change(alice, 1.5).expect(400);
+    await change(alice, '').expect(400);
+    await change(alice, true).expect(400);
+    await change(alice, 1e21).expect(400);
+    await change(alice, 1e20).expect(400);
+    await change(alice, '1e3').expect(400);
+    assert.strictEqual((await getHistory(alice)).changes.length, 0);
+
+    await change(alice, 1).expect(200);
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    await getHistory(bob);
+    await undo(bob).expect(403);
+
+    // The history goes with the item
+    await undo(alice).expect(200);
+    await alice.delete(`/api/items/${counter.id}`).expect(200);
+  });
+});
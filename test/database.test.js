@@ -0,0 +1,60 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createDatabase } = require('../server/database');
+
+describe('database', () => {
+  let database;
+  let listId;
+
+  beforeEach(() => {
+    database = createDatabase(':memory:');
+    const userId = database.createUser('alice', 'hash').lastInsertRowid;
+    listId = database.createBucketList('Trips', 'ABC123', userId).lastInsertRowid;
+  });
+
+  test('creator becomes the owner of a new list', () => {
+    const [member] = database.getMembers(listId);
+    assert.strictEqual(member.username, 'alice');
+    assert.strictEqual(member.role, 'owner');
+  });
+
+  test('updateCounter clamps to the target', () => {
+    const itemId = database.createItem(listId, 'Read books', { type: 'counter', counterTarget: 5 }).lastInsertRowid;
+
+    database.updateCounter(itemId, 3);
+    assert.strictEqual(database.getItem(itemId).counter_value, 3);
+
+    database.updateCounter(itemId, 10);
+    assert.strictEqual(database.getItem(itemId).counter_value, 5);
+  });
+
+  test('updateCounter never goes below zero', () => {
+    const itemId = database.createItem(listId, 'Read books', { type: 'counter' }).lastInsertRowid;
+
+    database.updateCounter(itemId, 2);
+    database.updateCounter(itemId, -5);
+    assert.strictEqual(database.getItem(itemId).counter_value, 0);
+  });
+
+  test('updateCounter without a target has no upper bound', () => {
+    const itemId = database.createItem(listId, 'Read books', { type: 'counter' }).lastInsertRowid;
+
+    database.updateCounter(itemId, 250);
+    assert.strictEqual(database.getItem(itemId).counter_value, 250);
+  });
+
+  test('updateCounter rejects checkbox items', () => {
+    const itemId = database.createItem(listId, 'See the sea').lastInsertRowid;
+    assert.throws(() => database.updateCounter(itemId, 1), /not a counter/);
+  });
+
+  test('deleteItem removes sub-items too', () => {
+    const parentId = database.createItem(listId, 'Europe').lastInsertRowid;
+    const childId = database.createItem(listId, 'Paris', { parentItemId: parentId }).lastInsertRowid;
+    const grandchildId = database.createItem(listId, 'Louvre', { parentItemId: childId }).lastInsertRowid;
+
+    const deletedIds = database.deleteItem(parentId);
+    assert.deepStrictEqual(deletedIds.sort(), [parentId, childId, grandchildId].sort());
+    assert.strictEqual(database.getItems(listId).length, 0);
+  });
+});
@@ -0,0 +1,155 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+const { toDateString, addDays } = require('../server/dates');
+const { toICalendar } = require('../server/calendar');
+
+describe('due dates', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+  const today = toDateString(new Date());
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Summer');
+  });
+
+  test('items take an optional due date', async () => {
+    const item = await addItem(alice, list.id, { text: 'Swim in the sea', due_date: '2030-06-21' });
+    assert.strictEqual(item.due_date, '2030-06-21');
+
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hike', due_date: '2030-02-30' }).expect(400);
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hike', due_date: 'next week' }).expect(400);
+    await alice.patch(`/api/items/${item.id}`).send({ due_date: '21/06/2030' }).expect(400);
+
+    const moved = await alice.patch(`/api/items/${item.id}`).send({ due_date: '2030-07-01' }).expect(200);
+    assert.strictEqual(moved.body.item.due_date, '2030-07-01');
+
+    const cleared = await alice.patch(`/api/items/${item.id}`).send({ due_date: null }).expect(200);
+    assert.strictEqual(cleared.body.item.due_date, null);
+  });
+
+  test('dashboard lists overdue and upcoming unfinished items', async () => {
+    const other = await createList(bob, 'Bob only');
+    await addItem(bob, other.id, { text: 'Not mine', due_date: today });
+
+    await addItem(alice, list.id, { text: 'Late', due_date: addDays(today, -3) });
+    await addItem(alice, list.id, { text: 'Soon', due_date: addDays(today, 5) });
+    await addItem(alice, list.id, { text: 'Later', due_date: addDays(today, 60) });
+    await addItem(alice, list.id, { text: 'Whenever' });
+    const done = await addItem(alice, list.id, { text: 'Done already', due_date: today });
+    await alice.patch(`/api/items/${done.id}/toggle`).expect(200);
+
+    const res = await alice.get('/api/due-items').expect(200);
+    assert.strictEqual(res.body.today, today);
+    assert.deepStrictEqual(
+      res.body.items.map(({ text, overdue, bucket_list_name }) => ({ text, overdue, bucket_list_name })),
+      [
+        { text: 'Late', overdue: true, bucket_list_name: 'Summer' },
+        { text: 'Soon', overdue: false, bucket_list_name: 'Summer' }
+      ]
+    );
+
+    const wider = await alice.get('/api/due-items?days=90').expect(200);
+    assert.strictEqual(wider.body.items.length, 3);
+
+    await alice.get('/api/due-items?days=-1').expect(400);
+    await alice.get('/api/due-items?days=soon').expect(400);
+  });
+
+  test('individual items stay due until the member has done their part', async () => {
+    await joinList(bob, list);
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    const item = await addItem(alice, list.id, { text: 'Read a book', due_date: today });
+    await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+
+    assert.strictEqual((await alice.get('/api/due-items').expect(200)).body.items.length, 0);
+    assert.strictEqual((await bob.get('/api/due-items').expect(200)).body.items.length, 1);
+  });
+
+  test('members subscribe to a calendar feed with a private link', async () => {
+    await addItem(alice, list.id, { text: 'Swim, finally', due_date: '2030-06-21', description: 'Bring a towel' });
+    await addItem(alice, list.id, { text: 'No date' });
+
+    const { url } = (await alice.get(`/api/bucket-lists/${list.id}/calendar-link`).expect(200)).body;
+    const feedPath = url.substring(url.indexOf('/api/'));
+    const again = (await alice.get(`/api/bucket-lists/${list.id}/calendar-link`).expect(200)).body;
+    assert.ok(again.url.endsWith(feedPath));
+
+    // Calendar apps have no session
+    const feed = await request(app).get(feedPath).expect(200);
+    assert.match(feed.headers['content-type'], /text\/calendar/);
+    assert.match(feed.text, /BEGIN:VCALENDAR/);
+    assert.match(feed.text, /DTSTART;VALUE=DATE:20300621/);
+    assert.match(feed.text, /DTEND;VALUE=DATE:20300622/);
+    assert.match(feed.text, /SUMMARY:Swim\\, finally/);
+    assert.strictEqual(feed.text.match(/BEGIN:VEVENT/g).length, 1);
+
+    // Logged-in members can fetch it directly
+    await alice.get(`/api/bucket-lists/${list.id}/calendar.ics`).expect(200);
+
+    // A new link replaces the old one
+    const reset = (await alice.post(`/api/bucket-lists/${list.id}/calendar-link`).expect(200)).body;
+    assert.ok(!reset.url.endsWith(feedPath));
+    await request(app).get(feedPath).expect(401);
+  });
+
+  test('calendar feed error paths', async () => {
+    const other = await createList(bob, 'Bob only');
+    const { url } = (await bob.get(`/api/bucket-lists/${other.id}/calendar-link`).expect(200)).body;
+    const token = url.substring(url.indexOf('token=') + 6);
+
+    await request(app).get(`/api/bucket-lists/${list.id}/calendar.ics`).expect(401);
+    await request(app).get(`/api/bucket-lists/${list.id}/calendar.ics?token=nope`).expect(401);
+    // Tokens only open the list they were made for
+    await request(app).get(`/api/bucket-lists/${list.id}/calendar.ics?token=${token}`).expect(401);
+    await bob.get(`/api/bucket-lists/${list.id}/calendar.ics`).expect(403);
+    await bob.get(`/api/bucket-lists/${list.id}/calendar-link`).expect(403);
+    await alice.get('/api/bucket-lists/9999/calendar-link').expect(404);
+    await request(app).get('/api/bucket-lists/9999/calendar.ics').expect(404);
+  });
+
+  test('leaving a list stops its calendar link working', async () => {
+    await joinList(bob, list);
+    const { url } = (await bob.get(`/api/bucket-lists/${list.id}/calendar-link`).expect(200)).body;
+    await bob.post(`/api/bucket-lists/${list.id}/leave`).expect(200);
+
+    await request(app).get(url.substring(url.indexOf('/api/'))).expect(401);
+  });
+
+  test('exports carry due dates and imports check them', async () => {
+    await addItem(alice, list.id, { text: 'Swim', due_date: '2030-06-21' });
+
+    const json = await alice.get(`/api/bucket-lists/${list.id}/export?format=json`).expect(200);
+    assert.strictEqual(JSON.parse(json.text).items[0].due_date, '2030-06-21');
+    const csv = await alice.get(`/api/bucket-lists/${list.id}/export?format=csv`).expect(200);
+    assert.match(csv.text, /,due_date,/);
+    assert.match(csv.text, /,2030-06-21,/);
+
+    const imported = await alice.post('/api/bucket-lists/import').send({ format: 'json', data: json.text }).expect(200);
+    const res = await alice.get(`/api/bucket-lists/${imported.body.bucketList.id}`).expect(200);
+    assert.strictEqual(res.body.items[0].due_date, '2030-06-21');
+
+    const bad = JSON.stringify({ items: [{ text: 'Swim', due_date: 'soon' }] });
+    const error = await alice.post('/api/bucket-lists/import').send({ format: 'json', data: bad }).expect(400);
+    assert.match(error.body.error, /Item 1: due_date/);
+  });
+});
+
+describe('toICalendar', () => {
+  test('folds long lines and escapes text', () => {
+    const text = `${'a'.repeat(100)};\nnext`;
+    const ics = toICalendar({ id: 1, name: 'Trips' }, [{ id: 2, text, due_date: '2030-12-31' }], () => true);
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.match(ics, /DTEND;VALUE=DATE:20310101/);
+    // Unfolding gives back the escaped summary, marked as done
+    assert.match(ics.replace(/\r\n /g, ''), new RegExp(`SUMMARY:✓ ${'a'.repeat(100)}\\\\;\\\\nnext`));
+  });
+});
@@ -0,0 +1,36 @@
+// Shared setup for the API tests: every app gets its own in-memory database
+const request = require('supertest');
+const { createApp } = require('../server/server');
+
+const PASSWORD = 'password123';
+
+function createTestApp(options = {}) {
+  return createApp({ dbPath: ':memory:', sessionSecret: 'test-secret', ...options });
+}
+
+// Register a user and return a supertest agent that keeps their session
+async function registerUser(app, username) {
+  const agent = request.agent(app);
+  const res = await agent.post('/api/register').send({ username, password: PASSWORD }).expect(200);
+  agent.user = res.body.user;
+  return agent;
+}
+
+async function createList(agent, name = 'Summer plans') {
+  const res = await agent.post('/api/bucket-lists').send({ name }).expect(200);
+  return res.body.bucketList;
+}
+
+async function joinList(agent, bucketList) {
+  await agent.post('/api/bucket-lists/join').send({ code: bucketList.share_code }).expect(200);
+}
+
+async function addItem(agent, bucketListId, fields = {}) {
+  const res = await agent
+    .post('/api/items')
+    .send({ bucket_list_id: bucketListId, text: 'Climb a mountain', ...fields })
+    .expect(200);
+  return res.body.item;
+}
+
+module.exports = { PASSWORD, createTestApp, registerUser, createList, joinList, addItem };
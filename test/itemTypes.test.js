@@ -0,0 +1,184 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('numeric, choice and rating items', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Outdoors');
+    await joinList(bob, list);
+  });
+
+  const create = (agent, fields) => agent.post('/api/items').send({ bucket_list_id: list.id, text: 'Item', ...fields });
+  const getStats = async () => (await alice.get(`/api/bucket-lists/${list.id}/stats`).expect(200)).body.stats;
+  const latestActivity = async () => (await alice.get(`/api/bucket-lists/${list.id}/activity`).expect(200)).body.activity[0];
+
+  test('numeric items add up decimal amounts toward their target', async () => {
+    const hike = await addItem(alice, list.id, { text: 'Hike', type: 'numeric', numeric_target: 100.5, unit: ' km ' });
+    assert.strictEqual(hike.numeric_target, 100.5);
+    assert.strictEqual(hike.unit, 'km');
+    assert.strictEqual(hike.numeric_value, 0);
+
+    await alice.post(`/api/items/${hike.id}/numeric`).send({ delta: 12.3 }).expect(200);
+    let res = await bob.post(`/api/items/${hike.id}/numeric`).send({ delta: '0.1' }).expect(200);
+    assert.strictEqual(res.body.item.numeric_value, 12.4);
+    assert.deepStrictEqual((await getStats()).completion, { percent: 12, completed: 0, total: 1 });
+
+    // Clamped to the target, and never below zero
+    res = await alice.post(`/api/items/${hike.id}/numeric`).send({ delta: 500 }).expect(200);
+    assert.strictEqual(res.body.item.numeric_value, 100.5);
+    assert.deepStrictEqual((await getStats()).completion, { percent: 100, completed: 1, total: 1 });
+    res = await alice.post(`/api/items/${hike.id}/numeric`).send({ delta: -1000 }).expect(200);
+    assert.strictEqual(res.body.item.numeric_value, 0);
+
+    const lowered = await alice.patch(`/api/items/${hike.id}`).send({ numeric_target: 50, unit: 'miles' }).expect(200);
+    assert.strictEqual(lowered.body.item.numeric_target, 50);
+    assert.strictEqual(lowered.body.item.unit, 'miles');
+  });
+
+  test('numeric error paths', async () => {
+    await create(alice, { type: 'numeric', numeric_target: -1 }).expect(400);
+    await create(alice, { type: 'numeric', numeric_target: 'far' }).expect(400);
+    await create(alice, { type: 'numeric', unit: 'x'.repeat(21) }).expect(400);
+
+    const hike = await addItem(alice, list.id, { text: 'Hike', type: 'numeric' });
+    const check = await addItem(alice, list.id, { text: 'Swim' });
+    await alice.post(`/api/items/${hike.id}/numeric`).send({}).expect(400);
+    await alice.post(`/api/items/${hike.id}/numeric`).send({ delta: 'lots' }).expect(400);
+    await alice.post(`/api/items/${check.id}/numeric`).send({ delta: 1 }).expect(400);
+    await alice.patch(`/api/items/${check.id}`).send({ unit: 'km' }).expect(400);
+    await alice.patch(`/api/items/${hike.id}`).send({ numeric_target: 0 }).expect(400);
+  });
+
+  test('individual numeric items keep an amount per member', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    const swim = await addItem(alice, list.id, { text: 'Swim', type: 'numeric', numeric_target: 10, unit: 'km' });
+
+    await alice.post(`/api/items/${swim.id}/numeric`).send({ delta: 2.5 }).expect(200);
+    const res = await bob.post(`/api/items/${swim.id}/numeric`).send({ delta: 10 }).expect(200);
+    const amounts = Object.fromEntries(res.body.item.progress.map(state => [state.username, state.numeric_value]));
+    assert.deepStrictEqual(amounts, { alice: 2.5, bob: 10 });
+  });
+
+  test('members vote on a choice and an editor settles it', async () => {
+    const res = await create(alice, { text: 'Where to camp', type: 'choice', options: ['Lake', ' Forest ', 'Beach'] }).expect(200);
+    const item = res.body.item;
+    assert.deepStrictEqual(item.options.map(option => option.label), ['Lake', 'Forest', 'Beach']);
+    const [lake, forest] = item.options;
+
+    await alice.post(`/api/items/${item.id}/vote`).send({ option_id: lake.id }).expect(200);
+    await bob.post(`/api/items/${item.id}/vote`).send({ option_id: lake.id }).expect(200);
+    let voted = await bob.post(`/api/items/${item.id}/vote`).send({ option_id: forest.id }).expect(200);
+    assert.deepStrictEqual(
+      voted.body.item.votes.map(({ username, option_id }) => ({ username, option_id })),
+      [{ username: 'alice', option_id: lake.id }, { username: 'bob', option_id: forest.id }]
+    );
+    voted = await bob.post(`/api/items/${item.id}/vote`).send({ option_id: null }).expect(200);
+    assert.strictEqual(voted.body.item.votes.length, 1);
+    assert.strictEqual((await latestActivity()).action, 'vote_withdrawn');
+
+    const chosen = await alice.post(`/api/items/${item.id}/choose`).send({ option_id: lake.id }).expect(200);
+    assert.strictEqual(chosen.body.item.chosen_option_id, lake.id);
+    assert.deepStrictEqual((await getStats()).completion, { percent: 100, completed: 1, total: 1 });
+
+    // The vote is over until the choice is reopened
+    await bob.post(`/api/items/${item.id}/vote`).send({ option_id: forest.id }).expect(400);
+    await alice.post(`/api/items/${item.id}/choose`).send({ option_id: null }).expect(200);
+    await bob.post(`/api/items/${item.id}/vote`).send({ option_id: forest.id }).expect(200);
+  });
+
+  test('choice error paths', async () => {
+    await create(alice, { type: 'choice' }).expect(400);
+    await create(alice, { type: 'choice', options: ['Only one'] }).expect(400);
+    await create(alice, { type: 'choice', options: ['Lake', 'lake'] }).expect(400);
+    await create(alice, { type: 'choice', options: ['Lake', '  '] }).expect(400);
+
+    const item = (await create(alice, { type: 'choice', options: ['Lake', 'Forest'] }).expect(200)).body.item;
+    const other = (await create(alice, { type: 'choice', options: ['Sea', 'Sky'] }).expect(200)).body.item;
+    await alice.post(`/api/items/${item.id}/vote`).send({ option_id: other.options[0].id }).expect(400);
+    await alice.post(`/api/items/${item.id}/choose`).send({ option_id: 9999 }).expect(400);
+    await alice.patch(`/api/items/${item.id}/toggle`).expect(400);
+
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    await bob.post(`/api/items/${item.id}/vote`).send({ option_id: item.options[0].id }).expect(403);
+  });
+
+  test('choice items stay shared in individual lists', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    const item = (await create(alice, { type: 'choice', options: ['Lake', 'Forest'] }).expect(200)).body.item;
+    assert.strictEqual(item.progress, null);
+  });
+
+  test('rating items are checked off and then rated', async () => {
+    const item = await addItem(alice, list.id, { text: 'Skydive', type: 'rating' });
+    assert.deepStrictEqual(item.ratings, []);
+    assert.strictEqual(item.average_rating, null);
+
+    await alice.post(`/api/items/${item.id}/rating`).send({ stars: 5 }).expect(400);
+    await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+
+    await alice.post(`/api/items/${item.id}/rating`).send({ stars: 5 }).expect(200);
+    const res = await bob.post(`/api/items/${item.id}/rating`).send({ stars: 4 }).expect(200);
+    assert.strictEqual(res.body.item.average_rating, 4.5);
+    assert.deepStrictEqual(res.body.item.ratings.map(rating => rating.stars), [5, 4]);
+
+    await alice.post(`/api/items/${item.id}/rating`).send({ stars: 6 }).expect(400);
+    await alice.post(`/api/items/${item.id}/rating`).send({ stars: 2.5 }).expect(400);
+    const cleared = await bob.post(`/api/items/${item.id}/rating`).send({ stars: null }).expect(200);
+    assert.strictEqual(cleared.body.item.average_rating, 5);
+    assert.strictEqual((await latestActivity()).action, 'rating_removed');
+
+    const check = await addItem(alice, list.id, { text: 'Swim' });
+    await alice.post(`/api/items/${check.id}/rating`).send({ stars: 3 }).expect(400);
+
+    // Checking a rating item counts on the leaderboard like any check
+    assert.strictEqual((await getStats()).leaderboard.find(entry => entry.username === 'alice').checks, 1);
+  });
+
+  test('exports, imports and clones keep the new types', async () => {
+    await addItem(alice, list.id, { text: 'Hike', type: 'numeric', numeric_target: 42.2, unit: 'km' });
+    const choice = (await create(alice, { text: 'Camp', type: 'choice', options: ['Lake', 'Forest'] }).expect(200)).body.item;
+    await alice.post(`/api/items/${choice.id}/choose`).send({ option_id: choice.options[1].id }).expect(200);
+    await addItem(alice, list.id, { text: 'Skydive', type: 'rating' });
+
+    for (const format of ['json', 'csv']) {
+      const exported = await alice.get(`/api/bucket-lists/${list.id}/export?format=${format}`).expect(200);
+      const imported = await alice.post('/api/bucket-lists/import').send({ format, data: exported.text, name: 'Copy' }).expect(200);
+      const { items } = (await alice.get(`/api/bucket-lists/${imported.body.bucketList.id}`).expect(200)).body;
+      assert.deepStrictEqual(items.map(item => item.type), ['numeric', 'choice', 'rating'], format);
+      assert.strictEqual(items[0].numeric_target, 42.2);
+      assert.strictEqual(items[0].unit, 'km');
+      assert.deepStrictEqual(items[1].options.map(option => option.label), ['Lake', 'Forest']);
+      assert.strictEqual(items[1].chosen_option_id, items[1].options[1].id);
+    }
+
+    const clone = await alice.post(`/api/bucket-lists/${list.id}/clone`).send({}).expect(200);
+    const { items } = (await alice.get(`/api/bucket-lists/${clone.body.bucketList.id}`).expect(200)).body;
+    assert.deepStrictEqual(items[1].options.map(option => option.label), ['Lake', 'Forest']);
+    // Clones start over, so the choice is open again
+    assert.strictEqual(items[1].chosen_option_id, null);
+
+    const bad = JSON.stringify({ items: [{ text: 'Camp', type: 'choice', options: ['Lake'] }] });
+    const error = await alice.post('/api/bucket-lists/import').send({ format: 'json', data: bad }).expect(400);
+    assert.match(error.body.error, /Item 1: Choice items need/);
+  });
+
+  test('deleting choice and rating items removes their votes and ratings', async () => {
+    const choice = (await create(alice, { type: 'choice', options: ['Lake', 'Forest'] }).expect(200)).body.item;
+    await alice.post(`/api/items/${choice.id}/vote`).send({ option_id: choice.options[0].id }).expect(200);
+    const rating = await addItem(alice, list.id, { text: 'Skydive', type: 'rating' });
+    await alice.patch(`/api/items/${rating.id}/toggle`).expect(200);
+    await alice.post(`/api/items/${rating.id}/rating`).send({ stars: 3 }).expect(200);
+
+    // Rows left behind would make these deletes fail on their foreign keys
+    await alice.delete(`/api/items/${choice.id}`).expect(200);
+    await alice.delete(`/api/bucket-lists/${list.id}`).expect(200);
+  });
+});
@@ -0,0 +1,215 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('items', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice);
+  });
+
+  test('create items with a parent', async () => {
+    const parent = await addItem(alice, list.id, { text: 'Visit Japan' });
+    const child = await addItem(alice, list.id, { text: 'See Mount Fuji', parent_item_id: parent.id });
+    assert.strictEqual(child.parent_item_id, parent.id);
+
+    const res = await alice.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.deepStrictEqual(res.body.items.map(item => item.text), ['Visit Japan', 'See Mount Fuji']);
+  });
+
+  test('create error paths', async () => {
+    const other = await createList(bob);
+    const foreign = await addItem(bob, other.id);
+
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: '  ' }).expect(400);
+    await alice.post('/api/items').send({ text: 'No list' }).expect(400);
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hi', type: 'poll' }).expect(400);
+    await alice.post('/api/items').send({ bucket_list_id: 9999, text: 'Hi' }).expect(404);
+    await alice.post('/api/items').send({ bucket_list_id: other.id, text: 'Hi' }).expect(403);
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hi', parent_item_id: 9999 }).expect(404);
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hi', parent_item_id: foreign.id }).expect(400);
+  });
+
+  test('toggle flips the checkbox and records who did it', async () => {
+    const item = await addItem(alice, list.id);
+
+    let res = await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+    assert.strictEqual(res.body.item.is_checked, 1);
+    assert.strictEqual(res.body.item.checked_by, alice.user.id);
+
+    res = await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+    assert.strictEqual(res.body.item.is_checked, 0);
+  });
+
+  test('toggle error paths', async () => {
+    const item = await addItem(alice, list.id);
+    const counter = await addItem(alice, list.id, { type: 'counter' });
+
+    await alice.patch('/api/items/9999/toggle').expect(404);
+    await alice.patch(`/api/items/${counter.id}/toggle`).expect(400);
+    await bob.patch(`/api/items/${item.id}/toggle`).expect(403);
+  });
+
+  test('counter updates are clamped between zero and the target', async () => {
+    const counter = await addItem(alice, list.id, { type: 'counter', counter_target: 5 });
+
+    let res = await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 3 }).expect(200);
+    assert.strictEqual(res.body.item.counter_value, 3);
+
+    res = await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 10 }).expect(200);
+    assert.strictEqual(res.body.item.counter_value, 5);
+
+    res = await alice.post(`/api/items/${counter.id}/counter`).send({ delta: -20 }).expect(200);
+    assert.strictEqual(res.body.item.counter_value, 0);
+  });
+
+  test('counter error paths', async () => {
+    const item = await addItem(alice, list.id);
+    const counter = await addItem(alice, list.id, { type: 'counter' });
+
+    await alice.post(`/api/items/${counter.id}/counter`).send({}).expect(400);
+    await alice.post('/api/items/9999/counter').send({ delta: 1 }).expect(404);
+    await alice.post(`/api/items/${item.id}/counter`).send({ delta: 1 }).expect(400);
+    await bob.post(`/api/items/${counter.id}/counter`).send({ delta: 1 }).expect(403);
+
+    // Targets are checked on create as they are on edit
+    const create = (fields) => alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hikes', ...fields });
+    await create({ type: 'counter', counter_target: -3 }).expect(400);
+    await create({ type: 'counter', counter_target: 0 }).expect(400);
+    await create({ type: 'counter', counter_target: 'many' }).expect(400);
+    await create({ counter_target: 5 }).expect(400);
+  });
+
+  test('edit updates text, target and parent', async () => {
+    const parent = await addItem(alice, list.id, { text: 'Europe' });
+    const counter = await addItem(alice, list.id, { type: 'counter', counter_target: 10 });
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 8 }).expect(200);
+
+    const res = await alice
+      .patch(`/api/items/${counter.id}`)
+      .send({ text: 'Visit 5 countries', counter_target: 5, parent_item_id: parent.id })
+      .expect(200);
+    assert.strictEqual(res.body.item.text, 'Visit 5 countries');
+    assert.strictEqual(res.body.item.counter_target, 5);
+    assert.strictEqual(res.body.item.counter_value, 5);
+    assert.strictEqual(res.body.item.parent_item_id, parent.id);
+  });
+
+  test('edit error paths', async () => {
+    const parent = await addItem(alice, list.id, { text: 'Europe' });
+    const child = await addItem(alice, list.id, { text: 'Paris', parent_item_id: parent.id });
+    const other = await createList(bob);
+    const foreign = await addItem(bob, other.id);
+
+    await alice.patch('/api/items/9999').send({ text: 'Hi' }).expect(404);
+    await alice.patch(`/api/items/${foreign.id}`).send({ text: 'Hi' }).expect(403);
+    await alice.patch(`/api/items/${parent.id}`).send({ text: ' ' }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ text: 5 }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ text: ['Hi'] }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ description: 5 }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ counter_target: 5 }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ parent_item_id: 9999 }).expect(404);
+    await alice.patch(`/api/items/${parent.id}`).send({ parent_item_id: foreign.id }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ parent_item_id: child.id }).expect(400);
+    await alice.patch(`/api/items/${parent.id}`).send({ parent_item_id: parent.id }).expect(400);
+
+    const counter = await addItem(alice, list.id, { type: 'counter' });
+    await alice.patch(`/api/items/${counter.id}`).send({ counter_target: 0 }).expect(400);
+  });
+
+  test('delete removes sub-items', async () => {
+    const parent = await addItem(alice, list.id, { text: 'Europe' });
+    const child = await addItem(alice, list.id, { text: 'Paris', parent_item_id: parent.id });
+
+    await alice.delete('/api/items/9999').expect(404);
+    await bob.delete(`/api/items/${parent.id}`).expect(403);
+
+    const res = await alice.delete(`/api/items/${parent.id}`).expect(200);
+    assert.deepStrictEqual(res.body.deletedIds.sort(), [parent.id, child.id].sort());
+  });
+
+  test('members see each other\'s items', async () => {
+    await joinList(bob, list);
+    await addItem(bob, list.id, { text: 'Run a marathon' });
+
+    const res = await alice.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.strictEqual(res.body.items[0].text, 'Run a marathon');
+  });
+
+  const textsOf = async (parentId = null) => {
+    const res = await alice.get(`/api/bucket-lists/${list.id}`).expect(200);
+    return res.body.items.filter(item => item.parent_item_id === parentId).map(item => item.text);
+  };
+
+  test('items keep their position among siblings', async () => {
+    const first = await addItem(alice, list.id, { text: 'First' });
+    await addItem(alice, list.id, { text: 'Second' });
+    const third = await addItem(alice, list.id, { text: 'Third' });
+
+    const res = await alice.post(`/api/items/${third.id}/move`).send({ position: 0 }).expect(200);
+    assert.deepStrictEqual(res.body.items.map(item => item.text), ['Third', 'First', 'Second']);
+
+    // Positions past the end put the item last
+    await alice.post(`/api/items/${first.id}/move`).send({ parent_item_id: null, position: 99 }).expect(200);
+    assert.deepStrictEqual(await textsOf(), ['Third', 'Second', 'First']);
+  });
+
+  test('moving to another parent renumbers both sets of siblings', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe' });
+    const asia = await addItem(alice, list.id, { text: 'Asia' });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+    await addItem(alice, list.id, { text: 'Rome', parent_item_id: europe.id });
+    await addItem(alice, list.id, { text: 'Tokyo', parent_item_id: asia.id });
+
+    await alice.post(`/api/items/${paris.id}/move`).send({ parent_item_id: asia.id, position: 1 }).expect(200);
+    assert.deepStrictEqual(await textsOf(europe.id), ['Rome']);
+    assert.deepStrictEqual(await textsOf(asia.id), ['Tokyo', 'Paris']);
+
+    // Sub-items can be promoted to the top level
+    await alice.post(`/api/items/${paris.id}/move`).send({ parent_item_id: null, position: 1 }).expect(200);
+    assert.deepStrictEqual(await textsOf(), ['Europe', 'Paris', 'Asia']);
+
+    // Editing the parent puts the item last among its new siblings
+    await alice.patch(`/api/items/${paris.id}`).send({ parent_item_id: europe.id }).expect(200);
+    assert.deepStrictEqual(await textsOf(europe.id), ['Rome', 'Paris']);
+  });
+
+  test('move error paths', async () => {
+    const parent = await addItem(alice, list.id, { text: 'Europe' });
+    const child = await addItem(alice, list.id, { text: 'Paris', parent_item_id: parent.id });
+    const other = await createList(bob);
+    const foreign = await addItem(bob, other.id);
+
+    await alice.post('/api/items/9999/move').send({ position: 0 }).expect(404);
+    await bob.post(`/api/items/${parent.id}/move`).send({ position: 0 }).expect(403);
+    await alice.post(`/api/items/${parent.id}/move`).send({ position: -1 }).expect(400);
+    await alice.post(`/api/items/${parent.id}/move`).send({}).expect(400);
+    await alice.post(`/api/items/${parent.id}/move`).send({ parent_item_id: 9999, position: 0 }).expect(404);
+    await alice.post(`/api/items/${parent.id}/move`).send({ parent_item_id: foreign.id, position: 0 }).expect(400);
+    await alice.post(`/api/items/${parent.id}/move`).send({ parent_item_id: child.id, position: 0 }).expect(400);
+
+    // Viewers cannot rearrange the list
+    await joinList(bob, list);
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    await bob.post(`/api/items/${parent.id}/move`).send({ position: 0 }).expect(403);
+  });
+
+  test('new bingo squares are filled in list order', async () => {
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3 }).expect(200);
+    const first = await addItem(alice, list.id, { text: 'First' });
+    const second = await addItem(alice, list.id, { text: 'Second' });
+    await alice.post(`/api/items/${second.id}/move`).send({ position: 0 }).expect(200);
+
+    // Turning the card off and on again lays it out from scratch
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: null }).expect(200);
+    const res = await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3 }).expect(200);
+    assert.deepStrictEqual(res.body.grid.cells.slice(0, 2), [second.id, first.id]);
+  });
+});
@@ -0,0 +1,121 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../server/csv');
+const { ImportError, parseImport } = require('../server/listTransfer');
+const { createTestApp, registerUser, createList, addItem } = require('./helpers');
+
+describe('csv', () => {
+  test('quotes fields that need it and parses them back', () => {
+    const rows = [{ a: 'plain', b: 'with, comma' }, { a: 'say "hi"', b: 'two\nlines' }];
+    const csv = toCsv(rows, ['a', 'b']);
+
+    assert.deepStrictEqual(parseCsv(csv), [['a', 'b'], ['plain', 'with, comma'], ['say "hi"', 'two\nlines']]);
+  });
+
+  test('rejects an unterminated quote', () => {
+    assert.throws(() => parseCsv('a,"b\n'), /Unterminated/);
+  });
+});
+
+describe('parseImport', () => {
+  test('nests CSV rows through parent_id in any order', () => {
+    const { items, itemCount } = parseImport('csv', 'text,id,parent_id\nParis,2,1\nEurope,1,\n');
+    assert.strictEqual(itemCount, 2);
+    assert.strictEqual(items[0].text, 'Europe');
+    assert.strictEqual(items[0].items[0].text, 'Paris');
+  });
+
+  test('clamps counters to their target', () => {
+    const { items } = parseImport('json', JSON.stringify({
+      name: 'Goals',
+      items: [{ text: 'Books', type: 'counter', counter_value: 12, counter_target: 10 }]
+    }));
+    assert.strictEqual(items[0].counterValue, 10);
+  });
+
+  test('reports invalid files', () => {
+    assert.throws(() => parseImport('json', '{'), ImportError);
+    assert.throws(() => parseImport('json', '{"items": [{"text": ""}]}'), /Item 1: item text is required/);
+    assert.throws(() => parseImport('json', '{"items": [{"text": "A", "type": "poll"}]}'), /item type/);
+    assert.throws(() => parseImport('csv', 'name\nA\n'), /"text" column/);
+    assert.throws(() => parseImport('csv', 'id,parent_id,text\n1,9,A\n'), /Row 2: unknown parent_id/);
+    assert.throws(() => parseImport('csv', 'id,parent_id,text\n1,2,A\n2,1,B\n'), /loop/);
+    assert.throws(() => parseImport('csv', 'id,text\n1,A\n1,B\n'), /duplicate id/);
+  });
+});
+
+describe('export and import routes', () => {
+  let app;
+  let alice;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    list = await createList(alice, 'Road trip');
+
+    const parent = await addItem(alice, list.id, { text: 'Visit parks', description: 'National, ideally' });
+    const child = await addItem(alice, list.id, { text: 'Yosemite', parent_item_id: parent.id });
+    await alice.patch(`/api/items/${child.id}/toggle`).expect(200);
+    const counter = await addItem(alice, list.id, { text: 'Hikes', type: 'counter', counter_target: 5 });
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 2 }).expect(200);
+  });
+
+  const importedItems = async (format, data, name) => {
+    const res = await alice.post('/api/bucket-lists/import').send({ format, data, name }).expect(200);
+    const imported = await alice.get(`/api/bucket-lists/${res.body.bucketList.id}`).expect(200);
+    return imported.body;
+  };
+
+  test('JSON export round-trips through import', async () => {
+    const res = await alice.get(`/api/bucket-lists/${list.id}/export`).expect(200);
+    assert.match(res.headers['content-disposition'], /road-trip\.json/);
+    assert.strictEqual(res.body.name, 'Road trip');
+    assert.strictEqual(res.body.items[0].items[0].text, 'Yosemite');
+
+    const { bucketList, items, role } = await importedItems('json', res.text);
+    assert.strictEqual(bucketList.name, 'Road trip');
+    assert.strictEqual(role, 'owner');
+
+    const byText = Object.fromEntries(items.map(item => [item.text, item]));
+    assert.strictEqual(byText.Yosemite.parent_item_id, byText['Visit parks'].id);
+    assert.strictEqual(byText.Yosemite.is_checked, 1);
+    assert.strictEqual(byText['Visit parks'].description, 'National, ideally');
+    assert.strictEqual(byText.Hikes.counter_value, 2);
+    assert.strictEqual(byText.Hikes.counter_target, 5);
+  });
+
+  test('CSV export round-trips through import', async () => {
+    const parks = (await alice.get(`/api/bucket-lists/${list.id}`).expect(200)).body.items.find(item => item.text === 'Visit parks');
+    await alice.patch(`/api/items/${parks.id}`).send({ auto_complete: true, proof_required: true }).expect(200);
+
+    const res = await alice.get(`/api/bucket-lists/${list.id}/export?format=csv`).expect(200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+
+    const { bucketList, items } = await importedItems('csv', res.text, 'Road trip copy');
+    assert.strictEqual(bucketList.name, 'Road trip copy');
+    assert.strictEqual(items.length, 3);
+    assert.strictEqual(items.find(item => item.text === 'Yosemite').is_checked, 1);
+    const byText = Object.fromEntries(items.map(item => [item.text, item]));
+    assert.strictEqual(byText['Visit parks'].auto_complete, 1);
+    assert.strictEqual(byText['Visit parks'].proof_required, 1);
+    assert.strictEqual(byText.Yosemite.auto_complete, 0);
+  });
+
+  test('export error paths', async () => {
+    const bob = await registerUser(app, 'bob');
+
+    await alice.get(`/api/bucket-lists/${list.id}/export?format=xml`).expect(400);
+    await alice.get('/api/bucket-lists/9999/export').expect(404);
+    await bob.get(`/api/bucket-lists/${list.id}/export`).expect(403);
+  });
+
+  test('import error paths', async () => {
+    await alice.post('/api/bucket-lists/import').send({ format: 'xml', data: '<list/>' }).expect(400);
+    await alice.post('/api/bucket-lists/import').send({ format: 'json', data: 'nope' }).expect(400);
+    await alice.post('/api/bucket-lists/import').send({ format: 'csv', data: 'text\nA\n' }).expect(400);
+
+    const before = await alice.get('/api/bucket-lists').expect(200);
+    assert.strictEqual(before.body.bucketLists.length, 1);
+  });
+});
@@ -0,0 +1,71 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('members and roles', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice);
+    await joinList(bob, list);
+  });
+
+  test('owners can change roles', async () => {
+    const res = await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    assert.strictEqual(res.body.member.role, 'viewer');
+  });
+
+  test('role change error paths', async () => {
+    const url = `/api/bucket-lists/${list.id}/members/${bob.user.id}`;
+
+    await alice.patch(url).send({ role: 'admin' }).expect(400);
+    await alice.patch(`/api/bucket-lists/9999/members/${bob.user.id}`).send({ role: 'viewer' }).expect(404);
+    await bob.patch(url).send({ role: 'owner' }).expect(403);
+    await alice.patch(`/api/bucket-lists/${list.id}/members/9999`).send({ role: 'viewer' }).expect(404);
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${alice.user.id}`).send({ role: 'editor' }).expect(400);
+
+    const carol = await registerUser(app, 'carol');
+    await carol.patch(url).send({ role: 'viewer' }).expect(403);
+  });
+
+  test('viewers cannot change items', async () => {
+    const item = await addItem(alice, list.id);
+    const counter = await addItem(alice, list.id, { type: 'counter', counter_target: 3 });
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+
+    await bob.post('/api/items').send({ bucket_list_id: list.id, text: 'Sneaky' }).expect(403);
+    await bob.patch(`/api/items/${item.id}`).send({ text: 'Sneaky' }).expect(403);
+    await bob.patch(`/api/items/${item.id}/toggle`).expect(403);
+    await bob.post(`/api/items/${counter.id}/counter`).send({ delta: 1 }).expect(403);
+    await bob.delete(`/api/items/${item.id}`).expect(403);
+
+    // Viewers can still read the list
+    await bob.get(`/api/bucket-lists/${list.id}`).expect(200);
+  });
+
+  test('owners can remove members', async () => {
+    await alice.delete(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).expect(200);
+    await bob.get(`/api/bucket-lists/${list.id}`).expect(403);
+  });
+
+  test('member removal error paths', async () => {
+    await alice.delete(`/api/bucket-lists/9999/members/${bob.user.id}`).expect(404);
+    await bob.delete(`/api/bucket-lists/${list.id}/members/${alice.user.id}`).expect(403);
+    await alice.delete(`/api/bucket-lists/${list.id}/members/${alice.user.id}`).expect(400);
+    await alice.delete(`/api/bucket-lists/${list.id}/members/9999`).expect(404);
+  });
+
+  test('an owner can leave once another owner exists', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'owner' }).expect(200);
+    await alice.post(`/api/bucket-lists/${list.id}/leave`).expect(200);
+
+    const res = await bob.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.deepStrictEqual(res.body.members.map(m => m.username), ['bob']);
+  });
+});
@@ -0,0 +1,96 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { migrations, runMigrations, getAppliedMigrations, listMigrations } = require('../server/migrations');
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+const columnNames = (db, tableName) => db.prepare(`PRAGMA table_info(${tableName})`).all().map(column => column.name);
+
+describe('migrations', () => {
+  test('versions are unique and ascending', () => {
+    migrations.forEach((migration, index) => {
+      if (index > 0) {
+        assert.ok(migration.version > migrations[index - 1].version);
+      }
+    });
+  });
+
+  test('a new database gets every migration', () => {
+    const db = new Database(':memory:');
+    const applied = runMigrations(db);
+
+    assert.strictEqual(applied.length, migrations.length);
+    assert.strictEqual(db.pragma('user_version', { simple: true }), latestVersion);
+    assert.deepStrictEqual(getAppliedMigrations(db).map(m => m.version), migrations.map(m => m.version));
+  });
+
+  test('running again applies nothing', () => {
+    const db = new Database(':memory:');
+    runMigrations(db);
+    assert.deepStrictEqual(runMigrations(db), []);
+  });
+
+  test('only pending migrations run', () => {
+    const db = new Database(':memory:');
+    runMigrations(db, migrations.slice(0, 2));
+    assert.strictEqual(db.pragma('user_version', { simple: true }), 2);
+
+    const applied = runMigrations(db);
+    assert.deepStrictEqual(applied.map(m => m.version), migrations.slice(2).map(m => m.version));
+  });
+
+  test('a failing migration is rolled back', () => {
+    const db = new Database(':memory:');
+    const broken = {
+      version: latestVersion + 1,
+      name: 'broken',
+      up: (database) => {
+        database.exec('CREATE TABLE half_done (id INTEGER)');
+        throw new Error('boom');
+      }
+    };
+
+    assert.throws(() => runMigrations(db, [...migrations, broken]), /boom/);
+    assert.strictEqual(db.pragma('user_version', { simple: true }), latestVersion);
+    assert.strictEqual(db.prepare("SELECT name FROM sqlite_master WHERE name = 'half_done'").get(), undefined);
+  });
+
+  test('upgrades a database created before versioning', () => {
+    const db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+      CREATE TABLE bucket_lists (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, share_code TEXT UNIQUE NOT NULL, created_by INTEGER, created_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+      CREATE TABLE bucket_list_members (user_id INTEGER, bucket_list_id INTEGER, joined_at DATETIME DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY (user_id, bucket_list_id));
+      CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, bucket_list_id INTEGER, text TEXT NOT NULL, is_checked BOOLEAN DEFAULT 0, checked_by INTEGER, checked_at DATETIME, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, type TEXT DEFAULT 'check', description TEXT);
+
+      INSERT INTO users (username, password_hash) VALUES ('alice', 'x'), ('bob', 'y');
+      INSERT INTO bucket_lists (name, share_code, created_by) VALUES ('Trips', 'ABC123', 1);
+      INSERT INTO bucket_list_members (user_id, bucket_list_id) VALUES (1, 1), (2, 1);
+      INSERT INTO items (bucket_list_id, text, type) VALUES (1, 'See the sea', 'check'), (1, 'Climb a hill', 'check');
+    `);
+
+    runMigrations(db);
+
+    assert.ok(columnNames(db, 'items').includes('counter_target'));
+    assert.ok(columnNames(db, 'bucket_lists').includes('join_enabled'));
+    assert.strictEqual(db.prepare('SELECT text FROM items').get().text, 'See the sea');
+
+    // Existing items are numbered in creation order
+    const positions = db.prepare('SELECT text, position FROM items ORDER BY id').all();
+    assert.deepStrictEqual(positions.map(row => row.position), [0, 1]);
+
+    const roles = db.prepare('SELECT user_id, role FROM bucket_list_members ORDER BY user_id').all();
+    assert.deepStrictEqual(roles.map(r => r.role), ['owner', 'editor']);
+  });
+
+  test('listMigrations marks pending migrations', () => {
+    const db = new Database(':memory:');
+    runMigrations(db, migrations.slice(0, 1));
+
+    const status = listMigrations(db);
+    assert.strictEqual(status.length, migrations.length);
+    assert.ok(status[0].applied_at);
+    assert.strictEqual(status[1].applied_at, null);
+  });
+});
@@ -0,0 +1,149 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('nested items and auto-completing parents', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Travel');
+  });
+
+  const getItems = async (agent = alice) => {
+    const res = await agent.get(`/api/bucket-lists/${list.id}`).expect(200);
+    return Object.fromEntries(res.body.items.map(item => [item.text, item]));
+  };
+  const toggle = (agent, item) => agent.patch(`/api/items/${item.id}/toggle`);
+
+  test('sub-items can have sub-items of their own', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe' });
+    const france = await addItem(alice, list.id, { text: 'France', parent_item_id: europe.id });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: france.id });
+    assert.strictEqual(paris.parent_item_id, france.id);
+
+    // No loops, however deep
+    await alice.patch(`/api/items/${europe.id}`).send({ parent_item_id: paris.id }).expect(400);
+    await alice.post(`/api/items/${europe.id}/move`).send({ parent_item_id: paris.id, position: 0 }).expect(400);
+    await alice.patch(`/api/items/${france.id}`).send({ parent_item_id: france.id }).expect(400);
+
+    // Deleting the top removes the whole branch
+    const res = await alice.delete(`/api/items/${europe.id}`).expect(200);
+    assert.deepStrictEqual(res.body.deletedIds.sort(), [europe.id, france.id, paris.id].sort());
+  });
+
+  test('parents check and uncheck themselves with their sub-items', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe', auto_complete: true });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+    const rome = await addItem(alice, list.id, { text: 'Rome', parent_item_id: europe.id });
+
+    let res = await toggle(alice, paris).expect(200);
+    assert.deepStrictEqual(res.body.parents, []);
+
+    res = await toggle(alice, rome).expect(200);
+    assert.strictEqual(res.body.parents.length, 1);
+    assert.strictEqual(res.body.parents[0].is_checked, 1);
+    assert.strictEqual(res.body.parents[0].checked_by, alice.user.id);
+
+    res = await toggle(alice, paris).expect(200);
+    assert.strictEqual(res.body.parents[0].is_checked, 0);
+
+    // Parents with sub-items can't be checked by hand
+    await toggle(alice, europe).expect(400);
+  });
+
+  test('adding and deleting sub-items re-evaluates the parent', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe', auto_complete: true });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+    await toggle(alice, paris).expect(200);
+    assert.strictEqual((await getItems()).Europe.is_checked, 1);
+
+    const res = await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Rome', parent_item_id: europe.id }).expect(200);
+    assert.strictEqual(res.body.parents[0].is_checked, 0);
+
+    const deleted = await alice.delete(`/api/items/${res.body.item.id}`).expect(200);
+    assert.strictEqual(deleted.body.parents[0].is_checked, 1);
+  });
+
+  test('completion ripples up through several levels and counts counters', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe', auto_complete: true });
+    const france = await addItem(alice, list.id, { text: 'France', parent_item_id: europe.id, auto_complete: true });
+    const museums = await addItem(alice, list.id, {
+      text: 'Museums', type: 'counter', counter_target: 2, parent_item_id: france.id
+    });
+
+    await alice.post(`/api/items/${museums.id}/counter`).send({ delta: 1 }).expect(200);
+    assert.strictEqual((await getItems()).Europe.is_checked, 0);
+
+    const res = await alice.post(`/api/items/${museums.id}/counter`).send({ delta: 1 }).expect(200);
+    assert.deepStrictEqual(res.body.parents.map(item => item.text).sort(), ['Europe', 'France']);
+    const items = await getItems();
+    assert.strictEqual(items.Europe.is_checked, 1);
+    assert.strictEqual(items.France.is_checked, 1);
+  });
+
+  test('turning the rule on applies it straight away', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe' });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+    await toggle(alice, paris).expect(200);
+    assert.strictEqual((await getItems()).Europe.is_checked, 0);
+
+    const res = await alice.patch(`/api/items/${europe.id}`).send({ auto_complete: true }).expect(200);
+    assert.strictEqual(res.body.item.auto_complete, 1);
+    assert.strictEqual(res.body.item.is_checked, 1);
+  });
+
+  test('only checkbox items complete automatically', async () => {
+    const counter = await addItem(alice, list.id, { text: 'Countries', type: 'counter', counter_target: 5 });
+    await alice.post('/api/items').send({ bucket_list_id: list.id, text: 'Hikes', type: 'counter', auto_complete: true }).expect(400);
+    await alice.patch(`/api/items/${counter.id}`).send({ auto_complete: true }).expect(400);
+  });
+
+  test('individual parents complete separately for every member', async () => {
+    await joinList(bob, list);
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    const europe = await addItem(alice, list.id, { text: 'Europe', auto_complete: true });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+
+    const res = await toggle(bob, paris).expect(200);
+    const parent = res.body.parents[0];
+    assert.strictEqual(parent.progress.find(state => state.user_id === bob.user.id).is_checked, 1);
+    assert.strictEqual(parent.progress.find(state => state.user_id === alice.user.id), undefined);
+  });
+
+  test('shared parents follow individual sub-items as members come and go', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe', auto_complete: true });
+    const paris = await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+    await alice.patch(`/api/items/${paris.id}`).send({ progress_mode: 'individual' }).expect(200);
+    await toggle(alice, paris).expect(200);
+    assert.strictEqual((await getItems()).Europe.is_checked, 1);
+
+    // Bob hasn't been to Paris yet
+    await joinList(bob, list);
+    assert.strictEqual((await getItems()).Europe.is_checked, 0);
+
+    await bob.post(`/api/bucket-lists/${list.id}/leave`).expect(200);
+    assert.strictEqual((await getItems()).Europe.is_checked, 1);
+
+    await joinList(bob, list);
+    await alice.delete(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).expect(200);
+    assert.strictEqual((await getItems()).Europe.is_checked, 1);
+  });
+
+  test('clones, templates and JSON exports keep the rule', async () => {
+    const europe = await addItem(alice, list.id, { text: 'Europe', auto_complete: true });
+    await addItem(alice, list.id, { text: 'Paris', parent_item_id: europe.id });
+
+    const exported = await alice.get(`/api/bucket-lists/${list.id}/export?format=json`).expect(200);
+    assert.strictEqual(JSON.parse(exported.text).items[0].auto_complete, true);
+
+    const clone = await alice.post(`/api/bucket-lists/${list.id}/clone`).send({}).expect(200);
+    const res = await alice.get(`/api/bucket-lists/${clone.body.bucketList.id}`).expect(200);
+    assert.strictEqual(res.body.items.find(item => item.text === 'Europe').auto_complete, 1);
+  });
+});
@@ -0,0 +1,95 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { OutlineError, parseOutline } = require('../server/outline');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('parseOutline', () => {
+  test('indentation creates sub-items', () => {
+    const { items, itemCount } = parseOutline('Travel\n  Japan\n    Kyoto\n  Iceland\n\nRun a marathon');
+
+    assert.strictEqual(itemCount, 5);
+    assert.deepStrictEqual(items.map(item => item.text), ['Travel', 'Run a marathon']);
+    assert.deepStrictEqual(items[0].items.map(item => item.text), ['Japan', 'Iceland']);
+    assert.strictEqual(items[0].items[0].items[0].text, 'Kyoto');
+  });
+
+  test('tabs and bullets are understood', () => {
+    const { items } = parseOutline('- Travel\n\t* Japan\n1. Read');
+    assert.deepStrictEqual(items.map(item => item.text), ['Travel', 'Read']);
+    assert.strictEqual(items[0].items[0].text, 'Japan');
+  });
+
+  test('a trailing [n/m] makes a counter', () => {
+    const { items } = parseOutline('Run 10 miles [0/10]\nRead books [12 / 5]');
+
+    assert.strictEqual(items[0].text, 'Run 10 miles');
+    assert.strictEqual(items[0].type, 'counter');
+    assert.strictEqual(items[0].counterTarget, 10);
+    assert.strictEqual(items[0].counterValue, 0);
+    assert.strictEqual(items[1].counterValue, 5);
+  });
+
+  test('rejects empty outlines and bad lines', () => {
+    assert.throws(() => parseOutline('   \n\n'), OutlineError);
+    assert.throws(() => parseOutline('Fine\n[0/3]'), /Line 2: item text is missing/);
+    assert.throws(() => parseOutline('Nothing to count [0/0]'), /Line 1: counter target/);
+  });
+});
+
+describe('POST /api/items/bulk', () => {
+  let app;
+  let alice;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    list = await createList(alice);
+  });
+
+  test('creates the whole outline', async () => {
+    const res = await alice
+      .post('/api/items/bulk')
+      .send({ bucket_list_id: list.id, text: 'Travel\n  Japan [1/3]\nRead' })
+      .expect(200);
+
+    const [travel, japan, read] = res.body.items;
+    assert.strictEqual(res.body.items.length, 3);
+    assert.strictEqual(japan.parent_item_id, travel.id);
+    assert.strictEqual(japan.counter_value, 1);
+    assert.strictEqual(read.parent_item_id, null);
+  });
+
+  test('can add under an existing item', async () => {
+    const parent = await addItem(alice, list.id, { text: 'Europe' });
+    const res = await alice
+      .post('/api/items/bulk')
+      .send({ bucket_list_id: list.id, text: 'Paris\nRome', parent_item_id: parent.id })
+      .expect(200);
+
+    assert.ok(res.body.items.every(item => item.parent_item_id === parent.id));
+  });
+
+  test('a bad line adds nothing', async () => {
+    await alice.post('/api/items/bulk').send({ bucket_list_id: list.id, text: 'Good\n[1/2]' }).expect(400);
+
+    const res = await alice.get(`/api/bucket-lists/${list.id}`).expect(200);
+    assert.strictEqual(res.body.items.length, 0);
+  });
+
+  test('error paths', async () => {
+    const bob = await registerUser(app, 'bob');
+    const other = await createList(bob);
+    const foreign = await addItem(bob, other.id);
+
+    await alice.post('/api/items/bulk').send({ bucket_list_id: list.id, text: ' ' }).expect(400);
+    await alice.post('/api/items/bulk').send({ bucket_list_id: 9999, text: 'A' }).expect(404);
+    await alice.post('/api/items/bulk').send({ bucket_list_id: other.id, text: 'A' }).expect(403);
+    await alice.post('/api/items/bulk').send({ bucket_list_id: list.id, text: 'A', parent_item_id: 9999 }).expect(404);
+    await alice.post('/api/items/bulk').send({ bucket_list_id: list.id, text: 'A', parent_item_id: foreign.id }).expect(400);
+
+    await joinList(bob, list);
+    await alice.patch(`/api/bucket-lists/${list.id}/members/${bob.user.id}`).send({ role: 'viewer' }).expect(200);
+    await bob.post('/api/items/bulk').send({ bucket_list_id: list.id, text: 'A' }).expect(403);
+  });
+});
@@ -0,0 +1,107 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('individual progress', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Reading challenge');
+    await joinList(bob, list);
+  });
+
+  const setMode = (agent, mode) => agent.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode });
+  const progressOf = (item, agent) => item.progress.find(state => state.user_id === agent.user.id);
+
+  test('lists start shared and only owners change the mode', async () => {
+    assert.strictEqual(list.progress_mode, 'shared');
+
+    await setMode(bob, 'individual').expect(403);
+    await setMode(alice, 'solo').expect(400);
+    await alice.patch('/api/bucket-lists/9999/progress-mode').send({ mode: 'individual' }).expect(404);
+
+    const res = await setMode(alice, 'individual').expect(200);
+    assert.strictEqual(res.body.bucketList.progress_mode, 'individual');
+  });
+
+  test('members check individual items for themselves', async () => {
+    await setMode(alice, 'individual').expect(200);
+    const item = await addItem(alice, list.id, { text: 'Read a classic' });
+
+    const res = await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+    assert.strictEqual(res.body.item.is_checked, 0);
+    assert.strictEqual(progressOf(res.body.item, alice).is_checked, 1);
+    // Members who haven't touched the item have no progress yet
+    assert.strictEqual(progressOf(res.body.item, bob), undefined);
+
+    // Bob's toggle checks his own state rather than unchecking Alice's
+    const bobRes = await bob.patch(`/api/items/${item.id}/toggle`).expect(200);
+    assert.strictEqual(progressOf(bobRes.body.item, alice).is_checked, 1);
+    assert.strictEqual(progressOf(bobRes.body.item, bob).is_checked, 1);
+  });
+
+  test('individual counters are kept per member and clamped to the target', async () => {
+    await setMode(alice, 'individual').expect(200);
+    const item = await addItem(alice, list.id, { text: 'Books', type: 'counter', counter_target: 5 });
+
+    await alice.post(`/api/items/${item.id}/counter`).send({ delta: 3 }).expect(200);
+    const res = await bob.post(`/api/items/${item.id}/counter`).send({ delta: 9 }).expect(200);
+    assert.strictEqual(progressOf(res.body.item, alice).counter_value, 3);
+    assert.strictEqual(progressOf(res.body.item, bob).counter_value, 5);
+    assert.strictEqual(res.body.item.counter_value, 0);
+
+    const lowered = await bob.post(`/api/items/${item.id}/counter`).send({ delta: -10 }).expect(200);
+    assert.strictEqual(progressOf(lowered.body.item, bob).counter_value, 0);
+  });
+
+  test('items can override the list mode', async () => {
+    const item = await addItem(alice, list.id, { text: 'Read a classic' });
+    await alice.patch(`/api/items/${item.id}`).send({ progress_mode: 'sideways' }).expect(400);
+
+    const res = await alice.patch(`/api/items/${item.id}`).send({ progress_mode: 'individual' }).expect(200);
+    assert.strictEqual(res.body.item.progress_mode, 'individual');
+    assert.ok(res.body.item.progress);
+
+    const reset = await alice.patch(`/api/items/${item.id}`).send({ progress_mode: null }).expect(200);
+    assert.strictEqual(reset.body.item.progress, null);
+  });
+
+  test('bingo lines need every member to finish their items', async () => {
+    await setMode(alice, 'individual').expect(200);
+    const items = [];
+    for (let i = 0; i < 9; i++) {
+      items.push(await addItem(alice, list.id, { text: `Book ${i + 1}` }));
+    }
+    const layout = items.map(item => item.id);
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3, free_center: false, layout }).expect(200);
+
+    for (const item of items.slice(0, 3)) {
+      const res = await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+      assert.deepStrictEqual(res.body.bingos, []);
+    }
+
+    await bob.patch(`/api/items/${items[0].id}/toggle`).expect(200);
+    await bob.patch(`/api/items/${items[1].id}/toggle`).expect(200);
+    const res = await bob.patch(`/api/items/${items[2].id}/toggle`).expect(200);
+    assert.strictEqual(res.body.bingos.length, 1);
+    assert.strictEqual(res.body.bingos[0].line_type, 'row');
+  });
+
+  test('clones and templates keep the progress mode', async () => {
+    await setMode(alice, 'individual').expect(200);
+    await addItem(alice, list.id, { text: 'Read a classic' });
+
+    const clone = await alice.post(`/api/bucket-lists/${list.id}/clone`).send({}).expect(200);
+    assert.strictEqual(clone.body.bucketList.progress_mode, 'individual');
+
+    const published = await alice.post(`/api/bucket-lists/${list.id}/template`).send({ name: 'Reading' }).expect(200);
+    const used = await bob.post(`/api/templates/${published.body.template.id}/use`).send({}).expect(200);
+    assert.strictEqual(used.body.bucketList.progress_mode, 'individual');
+  });
+});
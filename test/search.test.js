@@ -0,0 +1,65 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, addItem } = require('./helpers');
+
+describe('search', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Food');
+  });
+
+  const search = async (agent, q) => (await agent.get(`/api/search?q=${encodeURIComponent(q)}`).expect(200)).body.results;
+
+  test('finds items by word prefix, ignoring accents', async () => {
+    const item = await addItem(alice, list.id, { text: 'Coffee at a Parisian café' });
+    await addItem(alice, list.id, { text: 'Bake bread' });
+
+    const results = await search(alice, 'cafe paris');
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].id, item.id);
+    assert.strictEqual(results[0].bucket_list_id, list.id);
+    assert.strictEqual(results[0].bucket_list_name, 'Food');
+  });
+
+  test('matches descriptions too', async () => {
+    await addItem(alice, list.id, { text: 'Dinner out', description: 'Somewhere with sushi' });
+    const results = await search(alice, 'sushi');
+    assert.deepStrictEqual(results.map(result => result.text), ['Dinner out']);
+  });
+
+  test('only searches lists the user belongs to', async () => {
+    const other = await createList(bob, 'Bob only');
+    await addItem(bob, other.id, { text: 'Secret pizza place' });
+    await addItem(alice, list.id, { text: 'Pizza in Naples' });
+
+    assert.deepStrictEqual((await search(alice, 'pizza')).map(result => result.text), ['Pizza in Naples']);
+    assert.deepStrictEqual((await search(bob, 'pizza')).map(result => result.text), ['Secret pizza place']);
+  });
+
+  test('keeps up with edits and deletes', async () => {
+    const item = await addItem(alice, list.id, { text: 'Try ramen' });
+    await alice.patch(`/api/items/${item.id}`).send({ text: 'Try udon' }).expect(200);
+    assert.strictEqual((await search(alice, 'ramen')).length, 0);
+    assert.strictEqual((await search(alice, 'udon')).length, 1);
+
+    await alice.delete(`/api/items/${item.id}`).expect(200);
+    assert.strictEqual((await search(alice, 'udon')).length, 0);
+  });
+
+  test('search syntax in the query is treated as text', async () => {
+    await addItem(alice, list.id, { text: 'Eat oysters' });
+    assert.deepStrictEqual(await search(alice, '"'), []);
+    assert.deepStrictEqual(await search(alice, 'NEAR(oysters'), []);
+    assert.strictEqual((await search(alice, 'oysters*')).length, 1);
+
+    await alice.get('/api/search').expect(400);
+    await alice.get('/api/search?q=%20').expect(400);
+  });
+});
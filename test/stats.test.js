@@ -0,0 +1,103 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('statistics', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Summer plans');
+    await joinList(bob, list);
+  });
+
+  const getStats = async (agent) => (await agent.get(`/api/bucket-lists/${list.id}/stats`).expect(200)).body.stats;
+  const today = () => new Date().toISOString().substring(0, 10);
+
+  test('empty lists have no progress', async () => {
+    const stats = await getStats(alice);
+    assert.deepStrictEqual(stats.completion, { percent: 0, completed: 0, total: 0 });
+    assert.deepStrictEqual(stats.timeline, []);
+    assert.deepStrictEqual(stats.leaderboard.map(entry => entry.username), ['alice', 'bob']);
+  });
+
+  test('counters count as partial progress toward their target', async () => {
+    const check = await addItem(alice, list.id, { text: 'Swim' });
+    const counter = await addItem(alice, list.id, { text: 'Hikes', type: 'counter', counter_target: 4 });
+    // No target, so no way to tell how far along it is
+    await addItem(alice, list.id, { text: 'Ice creams', type: 'counter' });
+
+    await bob.patch(`/api/items/${check.id}/toggle`).expect(200);
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 2 }).expect(200);
+
+    const stats = await getStats(alice);
+    assert.deepStrictEqual(stats.completion, { percent: 75, completed: 1, total: 3 });
+  });
+
+  test('leaderboard credits checks and counter steps', async () => {
+    const first = await addItem(alice, list.id, { text: 'Swim' });
+    const second = await addItem(alice, list.id, { text: 'Camp' });
+    const counter = await addItem(alice, list.id, { text: 'Hikes', type: 'counter', counter_target: 10 });
+
+    await bob.patch(`/api/items/${first.id}/toggle`).expect(200);
+    await bob.patch(`/api/items/${second.id}/toggle`).expect(200);
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 5 }).expect(200);
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: -1 }).expect(200);
+    await bob.post(`/api/items/${counter.id}/counter`).send({ delta: 1 }).expect(200);
+
+    const { leaderboard } = await getStats(alice);
+    assert.deepStrictEqual(
+      leaderboard.map(({ username, checks, counter_steps, score }) => ({ username, checks, counter_steps, score })),
+      [
+        { username: 'alice', checks: 0, counter_steps: 4, score: 4 },
+        { username: 'bob', checks: 2, counter_steps: 1, score: 3 }
+      ]
+    );
+  });
+
+  test('timeline counts completions per day, including finished counters', async () => {
+    const check = await addItem(alice, list.id, { text: 'Swim' });
+    const counter = await addItem(alice, list.id, { text: 'Hikes', type: 'counter', counter_target: 2 });
+    const undone = await addItem(alice, list.id, { text: 'Camp' });
+
+    await alice.patch(`/api/items/${check.id}/toggle`).expect(200);
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 2 }).expect(200);
+    await alice.patch(`/api/items/${undone.id}/toggle`).expect(200);
+    await alice.patch(`/api/items/${undone.id}/toggle`).expect(200);
+
+    const { timeline } = await getStats(alice);
+    assert.deepStrictEqual(timeline, [{ date: today(), completions: 2, total: 2 }]);
+  });
+
+  test('individual items average over the members', async () => {
+    await alice.patch(`/api/bucket-lists/${list.id}/progress-mode`).send({ mode: 'individual' }).expect(200);
+    const check = await addItem(alice, list.id, { text: 'Swim' });
+    await bob.patch(`/api/items/${check.id}/toggle`).expect(200);
+
+    const stats = await getStats(alice);
+    assert.deepStrictEqual(stats.completion, { percent: 50, completed: 0, total: 1 });
+    assert.strictEqual(stats.leaderboard[0].username, 'bob');
+    assert.strictEqual(stats.leaderboard[0].checks, 1);
+    assert.deepStrictEqual(stats.timeline, [{ date: today(), completions: 1, total: 1 }]);
+  });
+
+  test('dashboard lists include their completion', async () => {
+    const item = await addItem(alice, list.id, { text: 'Swim' });
+    await addItem(alice, list.id, { text: 'Camp' });
+    await alice.patch(`/api/items/${item.id}/toggle`).expect(200);
+
+    const res = await bob.get('/api/bucket-lists').expect(200);
+    assert.deepStrictEqual(res.body.bucketLists[0].completion, { percent: 50, completed: 1, total: 2 });
+  });
+
+  test('only members see stats', async () => {
+    const carol = await registerUser(app, 'carol');
+    await carol.get(`/api/bucket-lists/${list.id}/stats`).expect(403);
+    await alice.get('/api/bucket-lists/9999/stats').expect(404);
+  });
+});
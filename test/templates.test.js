@@ -0,0 +1,95 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createTestApp, registerUser, createList, joinList, addItem } = require('./helpers');
+
+describe('cloning and templates', () => {
+  let app;
+  let alice;
+  let bob;
+  let list;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    alice = await registerUser(app, 'alice');
+    bob = await registerUser(app, 'bob');
+    list = await createList(alice, 'Summer challenge');
+
+    const parent = await addItem(alice, list.id, { text: 'Swim' });
+    const child = await addItem(alice, list.id, { text: 'Lake swim', parent_item_id: parent.id });
+    await alice.patch(`/api/items/${child.id}/toggle`).expect(200);
+    const counter = await addItem(alice, list.id, { text: 'Bike rides', type: 'counter', counter_target: 10 });
+    await alice.post(`/api/items/${counter.id}/counter`).send({ delta: 4 }).expect(200);
+    await alice.put(`/api/bucket-lists/${list.id}/grid`).send({ size: 3, free_center: true }).expect(200);
+  });
+
+  const getList = async (agent, id) => (await agent.get(`/api/bucket-lists/${id}`).expect(200)).body;
+
+  test('clone copies items and resets progress', async () => {
+    const res = await alice.post(`/api/bucket-lists/${list.id}/clone`).send({}).expect(200);
+    const copy = res.body.bucketList;
+    assert.strictEqual(copy.name, 'Summer challenge (copy)');
+    assert.notStrictEqual(copy.share_code, list.share_code);
+
+    const { items, role, grid } = await getList(alice, copy.id);
+    const byText = Object.fromEntries(items.map(item => [item.text, item]));
+    assert.strictEqual(role, 'owner');
+    assert.strictEqual(byText['Lake swim'].parent_item_id, byText.Swim.id);
+    assert.strictEqual(byText['Lake swim'].is_checked, 0);
+    assert.strictEqual(byText['Bike rides'].counter_value, 0);
+    assert.strictEqual(byText['Bike rides'].counter_target, 10);
+    assert.strictEqual(grid.size, 3);
+    assert.strictEqual(grid.free_center, true);
+  });
+
+  test('any member can clone, outsiders cannot', async () => {
+    await bob.post(`/api/bucket-lists/${list.id}/clone`).send({}).expect(403);
+    await bob.post('/api/bucket-lists/9999/clone').send({}).expect(404);
+
+    await joinList(bob, list);
+    const res = await bob.post(`/api/bucket-lists/${list.id}/clone`).send({ name: 'Bob summer' }).expect(200);
+    assert.strictEqual(res.body.bucketList.name, 'Bob summer');
+  });
+
+  test('owners publish templates others can use', async () => {
+    const published = await alice
+      .post(`/api/bucket-lists/${list.id}/template`)
+      .send({ name: 'Summer', description: 'Every year' })
+      .expect(200);
+    assert.strictEqual(published.body.template.item_count, 3);
+    assert.strictEqual(published.body.template.created_by_username, 'alice');
+
+    const { body } = await bob.get('/api/templates').expect(200);
+    assert.deepStrictEqual(body.templates.map(t => t.name), ['Summer']);
+
+    const res = await bob.post(`/api/templates/${body.templates[0].id}/use`).send({ name: 'My summer' }).expect(200);
+    const { bucketList, items, role } = await getList(bob, res.body.bucketList.id);
+    assert.strictEqual(bucketList.name, 'My summer');
+    assert.strictEqual(role, 'owner');
+    assert.strictEqual(items.length, 3);
+    assert.ok(items.every(item => !item.is_checked && !item.counter_value));
+  });
+
+  test('templates are snapshots', async () => {
+    const published = await alice.post(`/api/bucket-lists/${list.id}/template`).send({}).expect(200);
+    await addItem(alice, list.id, { text: 'Added later' });
+    await alice.delete(`/api/bucket-lists/${list.id}`).expect(200);
+
+    const res = await bob.post(`/api/templates/${published.body.template.id}/use`).send({}).expect(200);
+    const { bucketList, items } = await getList(bob, res.body.bucketList.id);
+    assert.strictEqual(bucketList.name, 'Summer challenge');
+    assert.strictEqual(items.length, 3);
+  });
+
+  test('template error paths', async () => {
+    await joinList(bob, list);
+    await bob.post(`/api/bucket-lists/${list.id}/template`).send({}).expect(403);
+    await alice.post('/api/bucket-lists/9999/template').send({}).expect(404);
+    await bob.post('/api/templates/9999/use').send({}).expect(404);
+
+    const published = await alice.post(`/api/bucket-lists/${list.id}/template`).send({}).expect(200);
+    const templateId = published.body.template.id;
+    await bob.delete(`/api/templates/${templateId}`).expect(403);
+    await alice.delete(`/api/templates/${templateId}`).expect(200);
+    await alice.delete(`/api/templates/${templateId}`).expect(404);
+  });
+});